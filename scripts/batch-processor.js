@@ -4,6 +4,15 @@
  */
 
 import { CloudflareBrowserRenderingClient } from './browser-rendering-client.js';
+import { defaultConfig, normalizeConfig } from './config.js';
+import { jobEndpoints, loadJobManifest, manifestToBatchOptions, validateJobManifest } from './job-manifest.js';
+import { DocumentGenerator, loadDataRows } from './document-generator.js';
+import { pageControlFields, pdfOptionFields, screenshotOptionFields } from './request-options.js';
+import { BatchProgress, createProgressRenderer, progressModes } from './progress.js';
+import { exportResults, resolveExporters } from './exporters.js';
+import { OutputNamer } from './naming.js';
+import { contentTypeFor, createDefaultStorage } from './storage.js';
+import { StorageError, ValidationError } from './errors.js';
 
 /**
  * Batch processor
@@ -14,20 +23,69 @@ class BatchProcessor {
    * @param {Object} config - Configuration object
    * @param {string} config.accountId - Cloudflare account ID
    * @param {string} config.apiToken - API token
+   * @param {string} [config.baseUrl] - Custom API base URL (see CloudflareBrowserRenderingClient)
+   * @param {Function} [config.fetch] - fetch-compatible transport (see CloudflareBrowserRenderingClient)
    * @param {number} [config.maxWorkers=3] - Maximum concurrency
+   * @param {Object} [config.retry] - Client retry policy
+   * @param {Object} [config.rateLimit] - Client rate limiter (see CloudflareBrowserRenderingClient)
+   * @param {Object} [config.budget] - Client browser time budget (see CloudflareBrowserRenderingClient)
+   * @param {boolean} [config.validate=true] - Validate request options locally before sending
+   * @param {Object} [config.cache] - Response cache (see CloudflareBrowserRenderingClient)
+   * @param {Object} [config.hooks] - Lifecycle hooks (see CloudflareBrowserRenderingClient#use)
+   * @param {number} [config.requestTimeout] - Client-side deadline per request, retries included (milliseconds)
+   * @param {string} [config.progress='log'] - Progress output: 'log', 'bar', 'jsonl' or 'quiet' (see progress.js)
+   * @param {Function} [config.onProgress] - Progress event listener `(event) => void` for every batch
+   * @param {Object} [config.storage] - Where outputs, results and checkpoints are written (see storage.js;
+   *   default: the filesystem in Deno and Node.js, downloads in browsers)
+   * @param {CloudflareBrowserRenderingClient} [config.client] - Existing client to send requests through (client options above are ignored)
+   * @param {Object} [config.defaults] - config.json contents or defaultConfig-shaped object: client call defaults,
+   *   plus performance_optimization max workers and delay between requests
    */
   constructor(config) {
-    this.client = new CloudflareBrowserRenderingClient({
+    this.client = config.client || new CloudflareBrowserRenderingClient({
       accountId: config.accountId,
-      apiToken: config.apiToken
+      apiToken: config.apiToken,
+      baseUrl: config.baseUrl,
+      fetch: config.fetch,
+      retry: config.retry,
+      rateLimit: config.rateLimit,
+      budget: config.budget,
+      defaults: config.defaults,
+      validate: config.validate,
+      cache: config.cache,
+      hooks: config.hooks,
+      requestTimeout: config.requestTimeout
     });
-    this.maxWorkers = config.maxWorkers || 3;
+
+    const performance = config.defaults ? normalizeConfig(config.defaults).performanceOptimization || {} : {};
+    this.maxWorkers = config.maxWorkers || performance.maxWorkers || defaultConfig.performanceOptimization.maxWorkers;
+    this.defaultDelay = performance.delayBetweenRequests || 0;
     this.results = [];
+    this._nextRequestAt = 0;
+    this._activeRuns = 0;
+    this._paused = false;
+    this._cancelled = false;
+    this._resumeWaiters = [];
+    this._abortController = new AbortController();
+    this._runs = new Set();
+
+    if (config.progress && !progressModes.includes(config.progress)) {
+      throw new Error(`Unknown progress mode "${config.progress}" (use: ${progressModes.join(', ')})`);
+    }
+    this.progress = config.progress || 'log';
+    this.onProgress = config.onProgress || null;
+    this.storage = config.storage || createDefaultStorage();
 
-    // Detect runtime environment
-    this.isDeno = typeof Deno !== 'undefined';
-    this.isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
-    this.isBrowser = typeof window !== 'undefined';
+    // Report retries of this processor's requests as progress events; registered on the
+    // client only while a batch runs (see _runBatch) since the client may be shared
+    this._retryHooks = {
+      onRetry: (info) => {
+        if (info.request.options.signal !== this._abortController.signal) return;
+        for (const run of this._runs) {
+          run.retry(info);
+        }
+      }
+    };
   }
 
   /**
@@ -40,22 +98,300 @@ class BatchProcessor {
   }
 
   /**
-   * Ensure directory exists
-   * @param {string} dirPath - Directory path
+   * Wait for the next request slot so request starts are at least `interval` ms apart
+   * across all workers of this processor
+   * @param {number} interval - Minimum interval between request starts (milliseconds)
+   * @returns {Promise<void>}
    */
-  async _ensureDir(dirPath) {
-    if (this.isDeno) {
-      try {
-        await Deno.mkdir(dirPath, { recursive: true });
-      } catch (e) {
-        if (!(e instanceof Deno.errors.AlreadyExists)) {
-          throw e;
+  async _waitForSlot(interval) {
+    if (!(interval > 0)) return;
+
+    const now = Date.now();
+    const startAt = Math.max(now, this._nextRequestAt);
+    this._nextRequestAt = startAt + interval;
+
+    if (startAt > now) {
+      await this._delay(startAt - now);
+    }
+  }
+
+  /**
+   * Check whether batch progress must stay off stdout because the 'stdout' exporter writes results there
+   * @param {Object} options - Batch options
+   * @returns {boolean}
+   */
+  _progressToStderr(options) {
+    return Boolean(options.exporters?.includes('stdout'));
+  }
+
+  /**
+   * Log a message in the human-readable progress modes ('log' and 'bar')
+   * @param {Object} options - Batch options (options.progress overrides the processor setting)
+   * @param {string} message - Message
+   */
+  _log(options, message) {
+    const mode = options.progress || this.progress;
+    if (mode === 'log' || mode === 'bar') {
+      (this._progressToStderr(options) ? console.error : console.log)(message);
+    }
+  }
+
+  /**
+   * Log a per-item line in 'log' progress mode
+   * @param {Object} options - Batch options
+   * @param {string} message - Message
+   */
+  _logItem(options, message) {
+    if ((options.progress || this.progress) === 'log') {
+      (this._progressToStderr(options) ? console.error : console.log)(message);
+    }
+  }
+
+  /**
+   * Cancel running batches: no new items start and in-flight requests are aborted
+   * Results files are still written; items that never started get status 'cancelled'
+   * @param {*} [reason] - Abort reason passed to in-flight requests
+   */
+  cancel(reason) {
+    this._cancelled = true;
+    this._abortController.abort(reason);
+    this.resume();
+  }
+
+  /**
+   * Pause running batches: in-flight requests finish, no new items start until resume()
+   */
+  pause() {
+    this._paused = true;
+  }
+
+  /**
+   * Resume paused batches
+   * (Continuing an interrupted job from its checkpoint is the `resume` batch option instead)
+   */
+  resume() {
+    this._paused = false;
+    for (const resolve of this._resumeWaiters.splice(0)) {
+      resolve();
+    }
+  }
+
+  /**
+   * Wait while the processor is paused
+   * @returns {Promise<void>}
+   */
+  async _waitIfPaused() {
+    while (this._paused && !this._cancelled) {
+      await new Promise(resolve => this._resumeWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * Mark the start of a batch run; the first concurrent run clears an earlier cancellation
+   * @param {AbortSignal} [signal] - Cancels the run when aborted
+   * @returns {Function} Marks the end of the run
+   */
+  _beginRun(signal) {
+    if (this._activeRuns++ === 0 && this._cancelled) {
+      this._cancelled = false;
+      this._abortController = new AbortController();
+    }
+
+    const onAbort = () => this.cancel(signal.reason);
+    if (signal?.aborted) {
+      onAbort();
+    } else if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return () => {
+      this._activeRuns--;
+      signal?.removeEventListener('abort', onAbort);
+    };
+  }
+
+  /**
+   * Run a task for each item on a pool of workers
+   * Stops taking items when the processor is cancelled and waits while it is paused
+   * @param {Array} items - Items to process
+   * @param {Function} task - Async task `(item, index) => result`
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxWorkers] - Concurrency (defaults to this.maxWorkers)
+   * @param {number} [options.delay] - Minimum interval between request starts (milliseconds)
+   * @returns {Promise<Array>} Task results in item order (undefined for items never started)
+   */
+  async _runPool(items, task, options = {}) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(options.maxWorkers || this.maxWorkers, items.length));
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        await this._waitIfPaused();
+        if (this._cancelled) break;
+
+        const index = nextIndex++;
+        await this._waitForSlot(options.delay ?? this.defaultDelay);
+        await this._waitIfPaused();
+        if (this._cancelled) break;
+
+        results[index] = await task(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+  }
+
+  /**
+   * Run a batch task over URLs with optional checkpointing
+   * Each finished item is appended to a JSONL checkpoint so that a crashed or
+   * interrupted job can be resumed, skipping URLs already recorded as successful
+   * @param {string} kind - Batch kind, used for the default checkpoint filename
+   * @param {Array<string>} urls - URL list
+   * @param {string} outputDir - Output directory
+   * @param {Object} options - Batch options
+   * @param {string|boolean} [options.checkpoint] - Checkpoint file path, or true for `<outputDir>/<kind>_checkpoint.jsonl`
+   * @param {boolean} [options.resume=false] - Reuse successful results from the checkpoint and retry the rest
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.progress] - Progress output mode override (see BatchProcessor config.progress)
+   * @param {Function} [options.onProgress] - Progress event listener for this batch
+   * @param {Array<string|Object>} [options.exporters] - Result exporters, checked before any request is sent (see exporters.js)
+   * @param {string} [options.filenameTemplate] - Output naming template (see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Array<string>} [options.namingPlaceholders] - Extra placeholders the task supplies values for
+   * @param {Function} task - Async task `(url, index, namer) => result`; namer allocates output paths (see _allocateOutput)
+   * @param {string} [keyField='url'] - Result field identifying an item in the checkpoint (`urls` holds its values)
+   * @returns {Promise<Array>} Results in URL order
+   */
+  async _runBatch(kind, urls, outputDir, options, task, keyField = 'url') {
+    resolveExporters(options.exporters);
+    const namer = new OutputNamer({
+      outputDir,
+      template: options.filenameTemplate,
+      shard: options.shard,
+      placeholders: options.namingPlaceholders
+    });
+    const results = new Array(urls.length);
+    let pending = urls.map((url, index) => index);
+
+    const checkpointFile = options.checkpoint || options.resume
+      ? (typeof options.checkpoint === 'string' ? options.checkpoint : `${outputDir}/${kind}_checkpoint.jsonl`)
+      : null;
+
+    if (checkpointFile) {
+      if (typeof this.storage.append !== 'function' || typeof this.storage.get !== 'function') {
+        throw new StorageError(
+          `Checkpoints need a storage that can append and read (${this.storage.constructor.name} cannot); ` +
+          'drop checkpoint/resume or use another storage',
+          { key: checkpointFile }
+        );
+      }
+      const completed = options.resume ? await this._readCheckpoint(checkpointFile, keyField) : new Map();
+      pending = pending.filter(index => {
+        const previous = completed.get(urls[index]);
+        if (previous) {
+          results[index] = previous;
+          // Keep resumed outputs from being overwritten by new items with the same name
+          for (const field of ['filepath', 'htmlFilepath']) {
+            if (previous[field]) namer.reserve(previous[field]);
+          }
+        }
+        return !previous;
+      });
+
+      if (options.resume && completed.size > 0) {
+        this._log(options, `Resuming from ${checkpointFile}: ${urls.length - pending.length} done, ${pending.length} remaining`);
+      } else if (!options.resume) {
+        await this._writeFile(checkpointFile, '');
+      }
+    }
+
+    const progress = new BatchProgress({
+      kind,
+      total: urls.length,
+      listeners: [
+        createProgressRenderer(options.progress || this.progress, { stderr: this._progressToStderr(options) }),
+        this.onProgress,
+        options.onProgress
+      ]
+    });
+    progress.start(results.filter(Boolean));
+
+    let appendQueue = Promise.resolve();
+    const endRun = this._beginRun(options.signal);
+    if (this._runs.size === 0) this.client.use(this._retryHooks);
+    this._runs.add(progress);
+    try {
+      await this._runPool(pending, async (index) => {
+        progress.itemStart(index, urls[index]);
+        const result = await task(urls[index], index, namer);
+        results[index] = result;
+        progress.itemDone(index, urls[index], result);
+
+        if (checkpointFile) {
+          // Serialize appends so concurrent workers never interleave lines
+          appendQueue = appendQueue.then(() => this._appendFile(checkpointFile, JSON.stringify(result) + '\n'));
+          await appendQueue;
         }
+      }, options);
+    } finally {
+      this._runs.delete(progress);
+      if (this._runs.size === 0) this.client.removeHooks(this._retryHooks);
+      endRun();
+    }
+
+    const notStarted = pending.filter(index => results[index] === undefined);
+    for (const index of notStarted) {
+      results[index] = { [keyField]: urls[index], status: 'cancelled', timestamp: this._getTimestamp(), browserMsUsed: 0 };
+    }
+
+    progress.finish(this._summarize(results), outputDir);
+    if (notStarted.length > 0) {
+      this._log(options, `Batch cancelled: ${notStarted.length} of ${urls.length} item(s) not started`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Read successful results from a checkpoint file
+   * @param {string} filePath - Checkpoint file path
+   * @param {string} [keyField='url'] - Result field identifying an item
+   * @returns {Promise<Map<string, Object>>} Latest successful result per URL
+   */
+  async _readCheckpoint(filePath, keyField = 'url') {
+    const completed = new Map();
+    const content = await this._readFile(filePath);
+    if (!content) return completed;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash can leave a truncated last line
+        continue;
+      }
+
+      if (record.status === 'success') {
+        completed.set(record[keyField], record);
+      } else {
+        completed.delete(record[keyField]);
       }
-    } else if (this.isNode) {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      await fs.mkdir(path.resolve(dirPath), { recursive: true });
+    }
+    return completed;
+  }
+
+  /**
+   * Ensure directory exists (for storages with directories)
+   * @param {string} dirPath - Directory path
+   */
+  async _ensureDir(dirPath) {
+    if (this.storage.ensureDir) {
+      await this.storage.ensureDir(dirPath);
     }
   }
 
@@ -63,31 +399,127 @@ class BatchProcessor {
    * Write file
    * @param {string} filePath - File path
    * @param {Uint8Array|Buffer|Blob|string} data - Data
+   * @param {Object} [metadata] - Object metadata (e.g. source URL), kept by storages that support it
    */
-  async _writeFile(filePath, data) {
-    if (this.isDeno) {
-      if (typeof data === 'string') {
-        await Deno.writeTextFile(filePath, data);
-      } else {
-        await Deno.writeFile(filePath, data);
-      }
-    } else if (this.isNode) {
-      const fs = await import('fs/promises');
-      if (typeof data === 'string') {
-        await fs.writeFile(filePath, data, 'utf-8');
-      } else {
-        await fs.writeFile(filePath, data);
+  async _writeFile(filePath, data, metadata) {
+    await this.storage.put(filePath, data, { contentType: contentTypeFor(filePath), metadata });
+  }
+
+  /**
+   * Append text to file
+   * @param {string} filePath - File path
+   * @param {string} data - Text
+   */
+  async _appendFile(filePath, data) {
+    await this.storage.append(filePath, data);
+  }
+
+  /**
+   * Read text file
+   * @param {string} filePath - File path
+   * @returns {Promise<string|null>} File content, or null if it does not exist
+   */
+  async _readFile(filePath) {
+    return this.storage.get(filePath);
+  }
+
+  /**
+   * Persist buffered outputs (e.g. write the zip archive of ZipStorage) at the end of a batch
+   */
+  async _flushStorage() {
+    if (this.storage.flush) {
+      await this.storage.flush();
+    }
+  }
+
+  /**
+   * Summarize a batch: item counts and total browser time
+   * @param {Array} results - Processing results
+   * @returns {Object} { total, success, failed, cancelled, browserMsUsed }
+   */
+  _summarize(results) {
+    return {
+      total: results.length,
+      success: results.filter(r => r.status === 'success').length,
+      failed: results.filter(r => r.status === 'error').length,
+      cancelled: results.filter(r => r.status === 'cancelled').length,
+      browserMsUsed: results.reduce((sum, r) => sum + (r.browserMsUsed || 0), 0)
+    };
+  }
+
+  /**
+   * Export results with the batch's exporters (default: `<kind>_results.json` with the results array,
+   * `<kind>_summary.json` and `<kind>_results.csv` ending with a TOTAL row); extracted `data` carried on results is left out
+   * @param {string} outputDir - Output directory
+   * @param {string} kind - Batch kind
+   * @param {Array} results - Processing results
+   * @param {Array<Array<string>>} columns - Columns after the key column and Status, as [header, key] pairs
+   * @param {Object} [options] - Batch options (options.exporters, see exporters.js)
+   * @param {Array<string>} [keyColumn=['URL', 'url']] - First column identifying the item
+   */
+  async _saveResults(outputDir, kind, results, columns, options = {}, keyColumn = ['URL', 'url']) {
+    const table = {
+      kind,
+      summary: { kind, ...this._summarize(results) },
+      columns: [keyColumn, ['Status', 'status'], ...columns, ['BrowserMsUsed', 'browserMsUsed']],
+      records: results.map(({ data, ...record }) => record)
+    };
+
+    await exportResults(table, options.exporters, {
+      outputDir,
+      writeFile: (path, data) => this._writeFile(path, data)
+    });
+  }
+
+  /**
+   * Save the extracted data of successful results to `<kind>_dataset.json`
+   * @param {string} outputDir - Output directory
+   * @param {string} kind - Batch kind
+   * @param {Array} results - Processing results carrying `data`
+   */
+  async _saveDataset(outputDir, kind, results) {
+    const dataset = results
+      .filter(r => r.status === 'success')
+      .map(r => ({ url: r.url, data: r.data }));
+
+    await this._writeFile(`${outputDir}/${kind}_dataset.json`, JSON.stringify(dataset, null, 2));
+  }
+
+  /**
+   * Log batch summary
+   * @param {string} label - Batch description
+   * @param {string} outputDir - Output directory
+   * @param {Array} results - Processing results
+   * @param {Object} [options] - Batch options (nothing is logged in 'jsonl' and 'quiet' progress modes)
+   */
+  _logSummary(label, outputDir, results, options = {}) {
+    const summary = this._summarize(results);
+    this._log(options, `${label} complete! Results saved in ${outputDir}`);
+    this._log(options, `Success: ${summary.success}`);
+    this._log(options, `Failed: ${summary.failed}`);
+    if (summary.cancelled > 0) {
+      this._log(options, `Cancelled: ${summary.cancelled}`);
+    }
+    this._log(options, `Browser time: ${(summary.browserMsUsed / 1000).toFixed(1)}s`);
+  }
+
+  /**
+   * Pick the per-request client options from batch options
+   * Page controls (see pageControlFields), page load settings and retry apply to every endpoint;
+   * results always carry metadata so browser time can be reported per URL, and requests
+   * share the processor's abort signal so cancel() reaches them
+   * @param {Object} options - Batch options
+   * @param {Array<string>} [extraFields] - Endpoint-specific fields to forward
+   * @returns {Object} Client method options
+   */
+  _requestOptions(options, extraFields = []) {
+    const requestOptions = { withMeta: true, signal: this._abortController.signal };
+    for (const field of [...pageControlFields, 'timeout', 'waitUntil', 'gotoOptions', 'retry', 'cache', ...extraFields]) {
+      if (options[field] !== undefined) {
+        requestOptions[field] = options[field];
       }
-    } else if (this.isBrowser) {
-      // Browser environment creates download link
-      const blob = data instanceof Blob ? data : new Blob([data]);
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filePath.split('/').pop();
-      a.click();
-      URL.revokeObjectURL(url);
     }
+    return requestOptions;
   }
 
   /**
@@ -96,97 +528,118 @@ class BatchProcessor {
    */
   _getTimestamp() {
     const now = new Date();
-    return now.toISOString().replace(/[:.]/g, '').slice(0, -5);
+    // 20261018T120000 (UTC)
+    return now.toISOString().replace(/[-:]/g, '').slice(0, 15);
   }
 
   /**
-   * Extract domain from URL
-   * @param {string} url - URL
-   * @returns {string}
+   * Allocate collision-free output paths for an item and create their directories
+   * @param {OutputNamer} namer - Namer of the batch run
+   * @param {Object} item - { url, index, timestamp }
+   * @param {Array<string>} extensions - One file extension per output
+   * @param {Object} [extraValues] - Additional naming placeholder values
+   * @returns {Promise<Array<Object>>} [{ filename, filepath }]
    */
-  _getDomain(url) {
-    try {
-      const urlObj = new URL(url);
-      return urlObj.hostname.replace(/\./g, '_');
-    } catch {
-      return 'unknown';
+  async _allocateOutput(namer, item, extensions, extraValues) {
+    const outputs = namer.allocate(item, extensions, extraValues);
+    for (const { filepath } of outputs) {
+      const dir = filepath.slice(0, filepath.lastIndexOf('/'));
+      if (dir !== namer.outputDir) {
+        await this._ensureDir(dir);
+      }
     }
+    return outputs;
+  }
+
+  /**
+   * Run a declarative batch job
+   * @param {Object|string} manifest - Job manifest object, or path to a JSON manifest file
+   * @returns {Promise<Array>} Processing results list
+   */
+  async runJob(manifest) {
+    const job = typeof manifest === 'string'
+      ? await loadJobManifest(manifest)
+      : validateJobManifest(manifest);
+
+    const options = manifestToBatchOptions(job);
+    this._log(options, `Running job${job.name ? ` "${job.name}"` : ''}: ${job.endpoint} for ${job.urls.length} URLs`);
+
+    const method = jobEndpoints[job.endpoint];
+    return this[method](job.urls, job.outputDir, options);
   }
 
   /**
    * Batch capture web page screenshots
+   * Page-control options (userAgent, cookies, rejectResourceTypes, ...) are forwarded to every request
    * @param {Array<string>} urls - URL list
    * @param {string} outputDir - Output directory
    * @param {Object} [options] - Options
    * @param {Object} [options.viewport] - Viewport configuration
    * @param {boolean} [options.fullPage=true] - Full page screenshot
-   * @param {number} [options.delay=1000] - Request interval (milliseconds)
+   * @param {string} [options.type='png'] - Image type ('png', 'jpeg', 'webp'), also used as the file extension
+   * @param {number} [options.quality] - Image quality (jpeg and webp)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds;
+   *   default: config.defaults performance_optimization delay, otherwise 0)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
    * @returns {Promise<Array>} Processing results list
    */
   async batchScreenshots(urls, outputDir, options = {}) {
     await this._ensureDir(outputDir);
-    const results = [];
 
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      console.log(`Processing ${i + 1}/${urls.length}: ${url}`);
+    const results = await this._runBatch('screenshot', urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Processing ${i + 1}/${urls.length}: ${url}`);
 
       try {
         // 生成文件名
-        const domain = this._getDomain(url);
         const timestamp = this._getTimestamp();
-        const filename = `${domain}_${timestamp}.png`;
-        const filepath = `${outputDir}/${filename}`;
+        const extension = options.type || options.screenshotOptions?.type || 'png';
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { url, index: i, timestamp }, [extension]);
 
         // Take screenshot
-        const screenshot = await this.client.screenshot(url, {
-          viewport: options.viewport,
-          fullPage: options.fullPage !== false
-        });
+        const { data: screenshot, browserMsUsed } = await this.client.screenshot(
+          url,
+          this._requestOptions(options, [...screenshotOptionFields, 'screenshotOptions', 'selector', 'scrollPage'])
+        );
 
         // 保存文件
-        await this._writeFile(filepath, screenshot);
+        await this._writeFile(filepath, screenshot, { url, timestamp });
 
         const result = {
           url,
           status: 'success',
           filepath,
           filename,
-          timestamp
+          timestamp,
+          browserMsUsed
         };
 
-        results.push(result);
-
-        // 延迟处理
-        if (options.delay > 0 && i < urls.length - 1) {
-          await this._delay(options.delay);
-        }
+        return result;
       } catch (error) {
         const result = {
           url,
           status: 'error',
           error: error.message,
-          timestamp: this._getTimestamp()
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
         };
-        results.push(result);
+        return result;
       }
-    }
-
-    // Save results to JSON file
-    const resultsFile = `${outputDir}/screenshot_results.json`;
-    await this._writeFile(resultsFile, JSON.stringify(results, null, 2));
-
-    // Save results to CSV file
-    const csvFile = `${outputDir}/screenshot_results.csv`;
-    const csvContent = [
-      'URL,Status,FilePath,FileName,Timestamp,Error',
-      ...results.map(r => `${r.url},"${r.status}","${r.filepath || ''}","${r.filename || ''}","${r.timestamp}","${r.error || ''}"`)
-    ].join('\n');
-    await this._writeFile(csvFile, csvContent);
+    });
 
-    console.log(`Batch screenshots complete! Results saved in ${outputDir}`);
-    console.log(`Success: ${results.filter(r => r.status === 'success').length}`);
-    console.log(`Failed: ${results.filter(r => r.status === 'error').length}`);
+    await this._saveResults(outputDir, 'screenshot', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['Error', 'error']
+    ], options);
+    await this._flushStorage();
+    this._logSummary('Batch screenshots', outputDir, results, options);
 
     return results;
   }
@@ -196,45 +649,38 @@ class BatchProcessor {
    * @param {Array<string>} urls - URL list
    * @param {string} outputDir - Output directory
    * @param {Object} [options] - Options
-   * @param {Object} [options.pdfOptions] - PDF options configuration
-   * @param {number} [options.delay=1000] - Request interval (milliseconds)
+   * @param {Object} [options.pdfOptions] - PDF options (format, landscape, margin, ...); also accepted as
+   *   top-level options. Unset fields fall back to the client defaults (config pdf_options)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds;
+   *   default: config.defaults performance_optimization delay, otherwise 0)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
    * @returns {Promise<Array>} Processing results list
    */
   async batchPdfs(urls, outputDir, options = {}) {
     await this._ensureDir(outputDir);
-    const results = [];
-
-    // Default PDF options
-    const defaultPdfOptions = {
-      format: 'a4',
-      printBackground: true,
-      displayHeaderFooter: false,
-      margin: {
-        top: '20px',
-        bottom: '20px',
-        left: '20px',
-        right: '20px'
-      }
-    };
 
-    const pdfOptions = { ...defaultPdfOptions, ...options.pdfOptions };
-
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      console.log(`Generating PDF ${i + 1}/${urls.length}: ${url}`);
+    const results = await this._runBatch('pdf', urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Generating PDF ${i + 1}/${urls.length}: ${url}`);
 
       try {
         // 生成文件名
-        const domain = this._getDomain(url);
         const timestamp = this._getTimestamp();
-        const filename = `${domain}_${timestamp}.pdf`;
-        const filepath = `${outputDir}/${filename}`;
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { url, index: i, timestamp }, ['pdf']);
 
         // Generate PDF
-        const pdf = await this.client.pdf(url, pdfOptions);
+        const { data: pdf, browserMsUsed } = await this.client.pdf(
+          url,
+          this._requestOptions(options, [...pdfOptionFields, 'pdfOptions'])
+        );
 
         // 保存文件
-        await this._writeFile(filepath, pdf);
+        await this._writeFile(filepath, pdf, { url, timestamp });
 
         const result = {
           url,
@@ -242,40 +688,32 @@ class BatchProcessor {
           filepath,
           filename,
           timestamp,
-          sizeBytes: pdf.length || pdf.size
+          sizeBytes: pdf.length || pdf.size,
+          browserMsUsed
         };
 
-        results.push(result);
-
-        // 延迟处理
-        if (options.delay > 0 && i < urls.length - 1) {
-          await this._delay(options.delay);
-        }
+        return result;
       } catch (error) {
         const result = {
           url,
           status: 'error',
           error: error.message,
-          timestamp: this._getTimestamp()
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
         };
-        results.push(result);
+        return result;
       }
-    }
-
-    // Save results
-    const resultsFile = `${outputDir}/pdf_results.json`;
-    await this._writeFile(resultsFile, JSON.stringify(results, null, 2));
-
-    const csvFile = `${outputDir}/pdf_results.csv`;
-    const csvContent = [
-      'URL,Status,FilePath,FileName,Timestamp,SizeBytes,Error',
-      ...results.map(r => `${r.url},"${r.status}","${r.filepath || ''}","${r.filename || ''}","${r.timestamp}","${r.sizeBytes || ''}","${r.error || ''}"`)
-    ].join('\n');
-    await this._writeFile(csvFile, csvContent);
+    });
 
-    console.log(`Batch PDF generation complete! Results saved in ${outputDir}`);
-    console.log(`Success: ${results.filter(r => r.status === 'success').length}`);
-    console.log(`Failed: ${results.filter(r => r.status === 'error').length}`);
+    await this._saveResults(outputDir, 'pdf', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['SizeBytes', 'sizeBytes'],
+      ['Error', 'error']
+    ], options);
+    await this._flushStorage();
+    this._logSummary('Batch PDF generation', outputDir, results, options);
 
     return results;
   }
@@ -287,40 +725,36 @@ class BatchProcessor {
    * @param {Object} [options] - Options
    * @param {string} [options.contentType='html'] - Content type (html, markdown)
    * @param {string} [options.waitForSelector] - Wait for specific element
-   * @param {number} [options.delay=500] - Request interval (milliseconds)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds;
+   *   default: config.defaults performance_optimization delay, otherwise 0)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
    * @returns {Promise<Array>} Processing results list
    */
   async batchExtractContent(urls, outputDir, options = {}) {
     await this._ensureDir(outputDir);
-    const results = [];
     const contentType = options.contentType || 'html';
 
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      console.log(`Extracting content ${i + 1}/${urls.length}: ${url}`);
+    const results = await this._runBatch(contentType, urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Extracting content ${i + 1}/${urls.length}: ${url}`);
 
       try {
         // 生成文件名
-        const domain = this._getDomain(url);
         const timestamp = this._getTimestamp();
         const extension = contentType === 'html' ? 'html' : 'md';
-        const filename = `${domain}_${timestamp}.${extension}`;
-        const filepath = `${outputDir}/${filename}`;
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { url, index: i, timestamp }, [extension]);
 
         // Extract content
-        let content;
-        if (contentType === 'html') {
-          content = await this.client.content(url, {
-            waitForSelector: options.waitForSelector
-          });
-        } else {
-          content = await this.client.markdown(url, {
-            waitForSelector: options.waitForSelector
-          });
-        }
+        const method = contentType === 'html' ? 'content' : 'markdown';
+        const { data: content, browserMsUsed } = await this.client[method](url, this._requestOptions(options));
 
         // 保存文件
-        await this._writeFile(filepath, content);
+        await this._writeFile(filepath, content, { url, timestamp });
 
         const result = {
           url,
@@ -329,40 +763,398 @@ class BatchProcessor {
           filename,
           timestamp,
           contentType,
-          sizeChars: content.length
+          sizeChars: content.length,
+          browserMsUsed
         };
 
-        results.push(result);
-
-        // 延迟处理
-        if (options.delay > 0 && i < urls.length - 1) {
-          await this._delay(options.delay);
-        }
+        return result;
       } catch (error) {
         const result = {
           url,
           status: 'error',
           error: error.message,
-          timestamp: this._getTimestamp()
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
         };
-        results.push(result);
+        return result;
       }
+    });
+
+    await this._saveResults(outputDir, contentType, results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['ContentType', 'contentType'],
+      ['SizeChars', 'sizeChars'],
+      ['Error', 'error']
+    ], options);
+    await this._flushStorage();
+    this._logSummary('Batch content extraction', outputDir, results, options);
+
+    return results;
+  }
+
+  /**
+   * Batch extract structured data using AI
+   * @param {Array<string>} urls - URL list
+   * @param {string} outputDir - Output directory
+   * @param {Object} options - Options (must provide either prompt or responseFormat)
+   * @param {string} [options.prompt] - Natural language prompt shared by all URLs
+   * @param {Object} [options.responseFormat] - JSON Schema shared by all URLs
+   * @param {string} [options.waitForSelector] - Wait for specific element
+   * @param {number} [options.timeout] - Timeout (milliseconds)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
+   * @returns {Promise<Array>} Processing results list (successful results carry the extracted `data`)
+   */
+  async batchJsonExtract(urls, outputDir, options = {}) {
+    if (!options.prompt && !options.responseFormat) {
+      throw new ValidationError(['"prompt" or "responseFormat" is required'], { endpoint: 'json' });
     }
 
-    // Save results
-    const resultsFile = `${outputDir}/${contentType}_results.json`;
-    await this._writeFile(resultsFile, JSON.stringify(results, null, 2));
+    await this._ensureDir(outputDir);
+
+    const results = await this._runBatch('json', urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Extracting data ${i + 1}/${urls.length}: ${url}`);
+
+      try {
+        const timestamp = this._getTimestamp();
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { url, index: i, timestamp }, ['json']);
+
+        const { data, browserMsUsed } = await this.client.jsonExtract(url, this._requestOptions(options, ['prompt', 'responseFormat']));
+
+        await this._writeFile(filepath, JSON.stringify(data, null, 2), { url, timestamp });
+
+        return {
+          url,
+          status: 'success',
+          filepath,
+          filename,
+          timestamp,
+          data,
+          browserMsUsed
+        };
+      } catch (error) {
+        return {
+          url,
+          status: 'error',
+          error: error.message,
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
+        };
+      }
+    });
+
+    await this._saveResults(outputDir, 'json', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['Error', 'error']
+    ], options);
+    await this._saveDataset(outputDir, 'json', results);
+    await this._flushStorage();
+    this._logSummary('Batch data extraction', outputDir, results, options);
+
+    return results;
+  }
+
+  /**
+   * Batch scrape the same elements from multiple pages
+   * @param {Array<string>} urls - URL list
+   * @param {string} outputDir - Output directory
+   * @param {Object} options - Options
+   * @param {Array} options.elements - Array of CSS selectors shared by all URLs
+   * @param {Array} [options.cookies] - Cookie list
+   * @param {string} [options.waitForSelector] - Wait for specific element
+   * @param {number} [options.timeout] - Timeout (milliseconds)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
+   * @returns {Promise<Array>} Processing results list (successful results carry the scraped `data`)
+   */
+  async batchScrape(urls, outputDir, options = {}) {
+    if (!Array.isArray(options.elements) || options.elements.length === 0) {
+      throw new ValidationError(['"elements" must be a non-empty array'], { endpoint: 'scrape' });
+    }
+
+    await this._ensureDir(outputDir);
+
+    const results = await this._runBatch('scrape', urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Scraping ${i + 1}/${urls.length}: ${url}`);
+
+      try {
+        const timestamp = this._getTimestamp();
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { url, index: i, timestamp }, ['json']);
+
+        const { data, browserMsUsed } = await this.client.scrape(url, options.elements, this._requestOptions(options));
+
+        await this._writeFile(filepath, JSON.stringify(data, null, 2), { url, timestamp });
+
+        return {
+          url,
+          status: 'success',
+          filepath,
+          filename,
+          timestamp,
+          data,
+          browserMsUsed
+        };
+      } catch (error) {
+        return {
+          url,
+          status: 'error',
+          error: error.message,
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
+        };
+      }
+    });
+
+    await this._saveResults(outputDir, 'scrape', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['Error', 'error']
+    ], options);
+    await this._saveDataset(outputDir, 'scrape', results);
+    await this._flushStorage();
+    this._logSummary('Batch scraping', outputDir, results, options);
+
+    return results;
+  }
+
+  /**
+   * Batch capture page snapshots (screenshot + HTML) for archiving
+   * @param {Array<string>} urls - URL list
+   * @param {string} outputDir - Output directory
+   * @param {Object} [options] - Options
+   * @param {Object} [options.viewport] - Viewport configuration
+   * @param {boolean} [options.fullPage=true] - Full page screenshot
+   * @param {string} [options.type='png'] - Image type ('png', 'jpeg', 'webp'), also used as the image file extension
+   * @param {number} [options.timeout] - Timeout (milliseconds)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
+   * @returns {Promise<Array>} Processing results list
+   */
+  async batchSnapshots(urls, outputDir, options = {}) {
+    await this._ensureDir(outputDir);
+
+    const results = await this._runBatch('snapshot', urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Capturing snapshot ${i + 1}/${urls.length}: ${url}`);
+
+      try {
+        const timestamp = this._getTimestamp();
+        const [
+          { filename, filepath },
+          { filename: htmlFilename, filepath: htmlFilepath }
+        ] = await this._allocateOutput(
+          namer,
+          { url, index: i, timestamp },
+          [options.type || options.screenshotOptions?.type || 'png', 'html']
+        );
 
-    const csvFile = `${outputDir}/${contentType}_results.csv`;
-    const csvContent = [
-      'URL,Status,FilePath,FileName,Timestamp,ContentType,SizeChars,Error',
-      ...results.map(r => `${r.url},"${r.status}","${r.filepath || ''}","${r.filename || ''}","${r.timestamp}","${r.contentType || ''}","${r.sizeChars || ''}","${r.error || ''}"`)
-    ].join('\n');
-    await this._writeFile(csvFile, csvContent);
+        const { data: snapshot } = await this.client.snapshot(
+          url,
+          this._requestOptions(options, [...screenshotOptionFields, 'screenshotOptions'])
+        );
 
-    console.log(`Batch content extraction complete! Results saved in ${outputDir}`);
-    console.log(`Success: ${results.filter(r => r.status === 'success').length}`);
-    console.log(`Failed: ${results.filter(r => r.status === 'error').length}`);
+        await this._writeFile(filepath, snapshot.screenshot, { url, timestamp });
+        await this._writeFile(htmlFilepath, snapshot.html, { url, timestamp });
+
+        return {
+          url,
+          status: 'success',
+          filepath,
+          filename,
+          htmlFilepath,
+          htmlFilename,
+          timestamp,
+          browserMsUsed: snapshot.browserMsUsed
+        };
+      } catch (error) {
+        return {
+          url,
+          status: 'error',
+          error: error.message,
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
+        };
+      }
+    });
+
+    await this._saveResults(outputDir, 'snapshot', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['HtmlFilePath', 'htmlFilepath'],
+      ['Timestamp', 'timestamp'],
+      ['Error', 'error']
+    ], options);
+    await this._flushStorage();
+    this._logSummary('Batch snapshots', outputDir, results, options);
+
+    return results;
+  }
+
+  /**
+   * Batch extract links from multiple pages
+   * @param {Array<string>} urls - URL list
+   * @param {string} outputDir - Output directory
+   * @param {Object} [options] - Options
+   * @param {string} [options.waitForSelector] - Wait for specific element
+   * @param {number} [options.timeout] - Timeout (milliseconds)
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip URLs already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {string} [options.filenameTemplate='{domain}_{timestamp}'] - Output naming template, '/' creates subdirectories (placeholders: see naming.js)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'host' or 'date'
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
+   * @returns {Promise<Array>} Processing results list (successful results carry the extracted `data`)
+   */
+  async batchLinks(urls, outputDir, options = {}) {
+    await this._ensureDir(outputDir);
+
+    const results = await this._runBatch('links', urls, outputDir, options, async (url, i, namer) => {
+      this._logItem(options, `Extracting links ${i + 1}/${urls.length}: ${url}`);
+
+      try {
+        const timestamp = this._getTimestamp();
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { url, index: i, timestamp }, ['json']);
+
+        const { data: links, browserMsUsed } = await this.client.links(url, this._requestOptions(options, ['visibleLinksOnly', 'excludeExternalLinks']));
+
+        await this._writeFile(filepath, JSON.stringify(links, null, 2), { url, timestamp });
+
+        return {
+          url,
+          status: 'success',
+          filepath,
+          filename,
+          timestamp,
+          linkCount: links.length,
+          data: links,
+          browserMsUsed
+        };
+      } catch (error) {
+        return {
+          url,
+          status: 'error',
+          error: error.message,
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
+        };
+      }
+    });
+
+    await this._saveResults(outputDir, 'links', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['LinkCount', 'linkCount'],
+      ['Error', 'error']
+    ], options);
+    await this._saveDataset(outputDir, 'links', results);
+    await this._flushStorage();
+    this._logSummary('Batch link extraction', outputDir, results, options);
+
+    return results;
+  }
+
+  /**
+   * Batch generate PDF documents from a template, one per data row
+   * @param {string|DocumentGenerator} template - Template HTML, or a configured DocumentGenerator
+   * @param {Array<Object>|string} rows - Data rows, or path to a JSON/CSV data file
+   * @param {string} outputDir - Output directory
+   * @param {Object} [options] - Options
+   * @param {Object} [options.assets] - Template assets (see DocumentGenerator)
+   * @param {Object} [options.pdfOptions] - client.pdf() options (headerTemplate/footerTemplate may use placeholders)
+   * @param {string} [options.idField] - Row field identifying each document (defaults to the row number)
+   * @param {string} [options.filenameTemplate='document_{index}'] - Output naming template ({index}, {timestamp}, {date}, {ext} and row fields)
+   * @param {string} [options.shard] - Group outputs in subdirectories by 'date'
+   * @param {number} [options.delay] - Minimum interval between request starts across workers (milliseconds)
+   * @param {number} [options.maxWorkers] - Concurrency override for this batch
+   * @param {string|boolean} [options.checkpoint] - Append progress to a JSONL checkpoint (path, or true for the default)
+   * @param {boolean} [options.resume=false] - Skip documents already successful in the checkpoint
+   * @param {AbortSignal} [options.signal] - Cancels the batch when aborted (see cancel)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this batch
+   * @returns {Promise<Array>} Processing results list
+   */
+  async batchDocuments(template, rows, outputDir, options = {}) {
+    const generator = template instanceof DocumentGenerator
+      ? template
+      : new DocumentGenerator(this.client, { template, assets: options.assets, pdfOptions: options.pdfOptions });
+    const data = typeof rows === 'string' ? await loadDataRows(rows) : rows;
+    const ids = data.map((row, i) => String(options.idField ? row[options.idField] : i + 1));
+
+    await this._ensureDir(outputDir);
+
+    const runOptions = {
+      ...options,
+      filenameTemplate: options.filenameTemplate || 'document_{index}',
+      namingPlaceholders: [...new Set(data.flatMap(row => Object.keys(row)))]
+    };
+    const results = await this._runBatch('document', ids, outputDir, runOptions, async (id, i, namer) => {
+      this._logItem(options, `Generating document ${i + 1}/${data.length}: ${id}`);
+
+      try {
+        const timestamp = this._getTimestamp();
+        const [{ filename, filepath }] = await this._allocateOutput(namer, { index: i, timestamp }, ['pdf'], data[i]);
+
+        const { data: pdf, browserMsUsed } = await generator.generate(data[i], {
+          retry: options.retry,
+          withMeta: true,
+          signal: this._abortController.signal
+        });
+
+        await this._writeFile(filepath, pdf, { id, timestamp });
+
+        return {
+          id,
+          status: 'success',
+          filepath,
+          filename,
+          timestamp,
+          sizeBytes: pdf.length || pdf.size,
+          browserMsUsed
+        };
+      } catch (error) {
+        return {
+          id,
+          status: 'error',
+          error: error.message,
+          timestamp: this._getTimestamp(),
+          browserMsUsed: error.browserMsUsed || 0
+        };
+      }
+    }, 'id');
+
+    await this._saveResults(outputDir, 'document', results, [
+      ['FilePath', 'filepath'],
+      ['FileName', 'filename'],
+      ['Timestamp', 'timestamp'],
+      ['SizeBytes', 'sizeBytes'],
+      ['Error', 'error']
+    ], options, ['Id', 'id']);
+    await this._flushStorage();
+    this._logSummary('Batch document generation', outputDir, results, options);
 
     return results;
   }
@@ -373,40 +1165,39 @@ export { BatchProcessor };
 
 // Usage example
 if (import.meta.main) {
-  // Initialize batch processor
-  const processor = new BatchProcessor({
-    accountId: Deno.env.get('CLOUDFLARE_ACCOUNT_ID'),
-    apiToken: Deno.env.get('CLOUDFLARE_API_TOKEN'),
-    maxWorkers: 3
-  });
-
-  // Example URL list
-  const urls = [
-    'https://example.com',
-    'https://cloudflare.com',
-    'https://github.com'
-  ];
+  const { loadConfig } = await import('./config.js');
 
   try {
-    // Batch screenshots
-    // const results = await processor.batchScreenshots(urls, './screenshots', {
-    //   viewport: { width: 1920, height: 1080 },
-    //   delay: 2000
-    // });
-
-    // Batch PDF generation
-    // const results = await processor.batchPdfs(urls, './pdfs', {
-    //   delay: 2000
-    // });
-
-    // Batch extract HTML content
-    const results = await processor.batchExtractContent(urls, './content', {
-      contentType: 'html',
-      delay: 1000
+    const config = await loadConfig();
+
+    // Initialize batch processor
+    const processor = new BatchProcessor({
+      accountId: config.account_id,
+      apiToken: config.api_token,
+      defaults: config
     });
 
+    // Run a job manifest: deno run -A scripts/batch-processor.js job.json
+    const manifestPath = Deno.args[0];
+    if (manifestPath) {
+      await processor.runJob(manifestPath);
+    } else {
+      // Example URL list
+      const urls = [
+        'https://example.com',
+        'https://cloudflare.com',
+        'https://github.com'
+      ];
+
+      // Batch extract HTML content
+      await processor.batchExtractContent(urls, './content', {
+        contentType: 'html',
+        delay: 1000
+      });
+    }
+
     console.log('Batch processing complete!');
   } catch (error) {
-    console.error('Batch processing error:', error);
+    console.error('Batch processing error:', error.message);
   }
-}
\ No newline at end of file
+}
@@ -3,18 +3,72 @@
  * Supports Deno, Node.js, and modern browsers
  */
 
+import { deepMerge, defaultConfig, detectFileType, getRetryDelay, parseRetryAfter, resolveClientDefaults } from './config.js';
+import {
+  BrowserRenderingError,
+  InvalidResponseError,
+  NetworkError,
+  RequestAbortedError,
+  RequestTimeoutError,
+  createApiError
+} from './errors.js';
+import { buildRequestPayload } from './request-options.js';
+import { validateRequest } from './validation.js';
+import { ResponseCache } from './response-cache.js';
+import { BrowserTimeBudget, TokenBucketRateLimiter, getSharedBudget, getSharedRateLimiter } from './rate-limiter.js';
+
+/**
+ * File types accepted from binary endpoints
+ */
+const binaryEndpointTypes = {
+  screenshot: ['png', 'jpeg', 'webp'],
+  pdf: ['pdf']
+};
+
 class CloudflareBrowserRenderingClient {
   /**
    * Initialize client
    * @param {Object} config - Configuration object
    * @param {string} config.accountId - Cloudflare account ID
    * @param {string} config.apiToken - API token (requires Browser Rendering permissions)
-   * @param {string} [config.baseUrl] - Custom base URL
+   * @param {string} [config.baseUrl] - Custom base URL (e.g. a mock server, see mock-server.js)
+   * @param {Function} [config.fetch] - fetch-compatible transport (url, init) => Promise<Response>; defaults to the global fetch
+   * @param {Object|number|boolean} [config.retry] - Retry policy (see defaultConfig.retry), attempt count, or false to disable
+   * @param {Object|TokenBucketRateLimiter} [config.rateLimit] - Limiter instance, or options ({ requestsPerMinute, burst }) for the limiter shared by all clients of this account
+   * @param {Object|BrowserTimeBudget} [config.budget] - Budget instance, or options ({ maxBrowserMs, period, onExceeded }) for the budget shared by all clients of this account
+   * @param {Object} [config.defaults] - Default options merged into every call: config.json contents or a defaultConfig-shaped object
+   * @param {boolean} [config.validate=true] - Validate options locally before sending (throws ValidationError)
+   * @param {boolean} [config.withMeta=false] - Return { data, browserMsUsed, status, contentType, durationMs, requestId, ... } from every method
+   * @param {Object|ResponseCache} [config.cache] - Response cache instance, or ResponseCache options ({ store, ttl, dir, maxEntries, maxBytes, endpoints })
+   * @param {boolean} [config.dryRun=false] - Return request descriptions instead of calling the API (see describeRequest)
+   * @param {Object} [config.hooks] - Lifecycle hooks { beforeRequest, afterResponse, onError, onRetry } (see use)
+   * @param {number} [config.requestTimeout] - Client-side deadline for each call, retries included (milliseconds; none by default)
    */
   constructor(config) {
     this.accountId = config.accountId;
     this.apiToken = config.apiToken;
     this.baseUrl = config.baseUrl || `https://api.cloudflare.com/client/v4/accounts/${this.accountId}/browser-rendering`;
+    this.fetch = config.fetch || ((url, init) => fetch(url, init));
+    this.retryPolicy = this._resolveRetryPolicy(config.retry, defaultConfig.retry);
+    this.rateLimiter = config.rateLimit instanceof TokenBucketRateLimiter
+      ? config.rateLimit
+      : config.rateLimit ? getSharedRateLimiter(this.accountId, config.rateLimit) : null;
+    this.budget = config.budget instanceof BrowserTimeBudget
+      ? config.budget
+      : config.budget ? getSharedBudget(this.accountId, config.budget) : null;
+    this.usage = { requests: 0, browserMs: 0 };
+    this.defaults = config.defaults ? resolveClientDefaults(config.defaults) : {};
+    this.validate = config.validate !== false;
+    this.dryRun = Boolean(config.dryRun);
+    this.withMeta = Boolean(config.withMeta);
+    this.requestTimeout = config.requestTimeout || null;
+    this.cache = config.cache instanceof ResponseCache
+      ? config.cache
+      : config.cache ? new ResponseCache(config.cache) : null;
+    this.hooks = { beforeRequest: [], afterResponse: [], onError: [], onRetry: [] };
+    if (config.hooks) {
+      this.use(config.hooks);
+    }
 
     // Detect runtime environment
     this.isDeno = typeof Deno !== 'undefined';
@@ -23,118 +77,673 @@ class CloudflareBrowserRenderingClient {
   }
 
   /**
-   * Send API request
+   * Register lifecycle hooks; each hook is a function or an array of functions, run in registration order
+   * Hooks receive the request { endpoint, url, headers, body, options, attempt } and may modify url, headers and body
+   * @param {Object} hooks - Hooks
+   * @param {Function|Array<Function>} [hooks.beforeRequest] - (request) => Change the request before it is sent;
+   *   return { data } to skip the API call and use data as the response
+   * @param {Function|Array<Function>} [hooks.afterResponse] - (result, request) => Inspect the result
+   *   ({ data, browserMsUsed, status, ... }); return an object to replace it
+   * @param {Function|Array<Function>} [hooks.onError] - (error, request) => Called once retries are exhausted;
+   *   throw to replace the error, return { data } to recover
+   * @param {Function|Array<Function>} [hooks.onRetry] - ({ error, attempt, delay, request }) => Called before
+   *   waiting for the next attempt; changes to the request apply to that attempt
+   * @returns {CloudflareBrowserRenderingClient} This client
+   */
+  use(hooks) {
+    for (const [name, value] of Object.entries(hooks)) {
+      if (value === undefined || value === null) continue;
+      if (!this.hooks[name]) {
+        throw new Error(`Unknown hook "${name}" (use: ${Object.keys(this.hooks).join(', ')})`);
+      }
+      for (const hook of [].concat(value)) {
+        if (typeof hook !== 'function') {
+          throw new TypeError(`Hook ${name} must be a function`);
+        }
+        this.hooks[name].push(hook);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Unregister hooks added with use (each function is matched by identity)
+   * @param {Object} hooks - Hooks, in the shape passed to use
+   * @returns {CloudflareBrowserRenderingClient} This client
+   */
+  removeHooks(hooks) {
+    for (const [name, value] of Object.entries(hooks)) {
+      if (!this.hooks[name] || value === undefined || value === null) continue;
+      for (const hook of [].concat(value)) {
+        const index = this.hooks[name].indexOf(hook);
+        if (index !== -1) this.hooks[name].splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Merge configured defaults into per-call options (per-call options take precedence)
+   * A field set in options.pdfOptions or options.screenshotOptions also overrides its top-level default
+   * and setting rejectResourceTypes or allowResourceTypes drops the default of the other list
+   * @private
    * @param {string} endpoint - API endpoint
-   * @param {Object} data - Request data
-   * @returns {Promise<Object>} Response data
+   * @param {Object} options - Per-call options
+   * @returns {Object} Merged options
+   */
+  _withDefaults(endpoint, options) {
+    const defaults = deepMerge(this.defaults.all, this.defaults[endpoint]);
+    for (const nested of ['pdfOptions', 'screenshotOptions']) {
+      for (const field of Object.keys(options[nested] || {})) {
+        delete defaults[field];
+      }
+    }
+    // The resource type lists are mutually exclusive: a call setting either one replaces both defaults
+    if (options.rejectResourceTypes !== undefined || options.allowResourceTypes !== undefined) {
+      delete defaults.rejectResourceTypes;
+      delete defaults.allowResourceTypes;
+    }
+    return deepMerge(defaults, options);
+  }
+
+  /**
+   * Validate a call and build its request payload
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {string|Object} source - URL, HTML string, or { url } / { html }
+   * @param {Object} options - Merged method options (options.validate=false skips validation)
+   * @returns {Object} Request payload
+   */
+  _buildRequest(endpoint, source, options) {
+    if (this.validate && options.validate !== false) {
+      validateRequest(endpoint, source, options);
+    }
+    return buildRequestPayload(endpoint, source, options);
+  }
+
+  /**
+   * Merge a retry policy override onto a base policy
+   * @private
+   * @param {Object|number|boolean|undefined} override - Policy object, max attempts, or false to disable
+   * @param {Object} base - Base policy
+   * @returns {Object} Resolved retry policy
+   */
+  _resolveRetryPolicy(override, base) {
+    if (override === undefined || override === null || override === true) {
+      return { ...base };
+    }
+    if (override === false) {
+      return { ...base, maxAttempts: 1 };
+    }
+    if (typeof override === 'number') {
+      return { ...base, maxAttempts: override };
+    }
+    return { ...base, ...override };
+  }
+
+  /**
+   * Decide whether a failed attempt should be retried
+   * @private
+   * @param {Error} error - Error thrown by the attempt
+   * @param {Object} policy - Retry policy
+   * @returns {boolean}
+   */
+  _isRetryable(error, policy) {
+    if (error instanceof NetworkError) {
+      return policy.retryOnNetworkError;
+    }
+    if (error.code && policy.retryOnCodes.map(String).includes(String(error.code))) {
+      return true;
+    }
+    return Boolean(error.status && policy.retryOnStatus.includes(error.status));
+  }
+
+  /**
+   * Get browser time usage
+   * @returns {Object} Usage of this client, plus the shared budget state and cache statistics when configured
+   */
+  getUsage() {
+    return {
+      ...this.usage,
+      budget: this.budget ? this.budget.getUsage() : null,
+      cache: this.cache ? { ...this.cache.stats } : null
+    };
+  }
+
+  /**
+   * Record browser time used by a request
+   * @private
+   * @param {number} browserMs - Browser time (milliseconds)
+   */
+  _recordUsage(browserMs) {
+    this.usage.requests++;
+    this.usage.browserMs += browserMs || 0;
+    if (this.budget) {
+      this.budget.record(browserMs);
+    }
+  }
+
+  /**
+   * Delay function
+   * @private
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
+   * @returns {Promise<void>}
+   */
+  _delay(ms, signal) {
+    let timer;
+    const delay = new Promise(resolve => {
+      timer = setTimeout(resolve, ms);
+    });
+    return this._untilAborted(delay, signal).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Wait for a promise, rejecting early with the abort reason when the signal aborts
+   * @private
+   * @param {Promise} promise - Promise to wait for
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<*>}
+   */
+  _untilAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Attach the abort signal of a call to its request
+   * Combines options.signal with the client-side deadline; the signal aborts with
+   * RequestAbortedError or RequestTimeoutError so callers get a typed error
+   * @private
+   * @param {Object} request - Request object (request.signal is set)
+   * @param {Object} options - Per-call options (signal, requestTimeout)
+   * @returns {Function} Releases the timer and listeners
+   */
+  _attachSignal(request, options) {
+    const timeout = options.requestTimeout ?? this.requestTimeout;
+    const parent = options.signal;
+    if (!parent && !timeout) {
+      return () => {};
+    }
+
+    const controller = new AbortController();
+    const details = { endpoint: request.endpoint, requestUrl: request.url, url: request.body?.url };
+    const onAbort = () => controller.abort(new RequestAbortedError('Request aborted', { ...details, cause: parent.reason }));
+    if (parent?.aborted) {
+      onAbort();
+    } else if (parent) {
+      parent.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const timer = timeout
+      ? setTimeout(() => controller.abort(new RequestTimeoutError(`Request did not complete within ${timeout}ms`, details)), timeout)
+      : null;
+
+    request.signal = controller.signal;
+    return () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    };
+  }
+
+  /**
+   * Build request headers
+   * @private
+   * @returns {Object} Headers
    */
-  async _makeRequest(endpoint, data) {
-    const url = `${this.baseUrl}/${endpoint}`;
-    const headers = {
+  _requestHeaders() {
+    return {
       'Authorization': `Bearer ${this.apiToken}`,
       'Content-Type': 'application/json'
     };
+  }
 
-    try {
-      const resp = await fetch(url, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(data)
-      });
+  /**
+   * Shape a method's return value
+   * @private
+   * @param {Object} result - _makeRequest result
+   * @param {Object} options - Method options (withMeta overrides the client setting)
+   * @param {*} [data=result.data] - Method data
+   * @returns {*} Data, or { data, ...metadata } in rich-result mode
+   */
+  _result(result, options, data = result.data) {
+    if (result.dryRun || !(options.withMeta ?? this.withMeta)) {
+      return data;
+    }
+    return { ...result, data };
+  }
 
-      const browserMsUsed = resp.headers.get('x-browser-ms-used');
-
-      // PDF and screenshot endpoints return binary data
-      if (endpoint === 'pdf' || endpoint === 'screenshot') {
-        if (this.isDeno || this.isNode) {
-          const arrayBuffer = await resp.arrayBuffer();
-          const data = this.isNode ? Buffer.from(arrayBuffer) : new Uint8Array(arrayBuffer);
-          return {
-            data,
-            browserMsUsed: browserMsUsed ? parseInt(browserMsUsed) : 0
-          };
-        } else {
-          // Browser environment
-          return {
-            data: await resp.blob(),
-            browserMsUsed: browserMsUsed ? parseInt(browserMsUsed) : 0
-          };
-        }
+  /**
+   * Describe the request that would be sent, without calling the API
+   * The token is redacted; the curl command reads it from $CLOUDFLARE_API_TOKEN
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @returns {Object} { method, url, headers, body, curl }
+   */
+  describeRequest(endpoint, data) {
+    return this._describe(this._createRequest(endpoint, data));
+  }
+
+  /**
+   * Create the request object passed through the hooks
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @param {Object} [options] - Per-call options
+   * @returns {Object} { endpoint, url, headers, body, options, attempt }
+   */
+  _createRequest(endpoint, data, options = {}) {
+    return {
+      endpoint,
+      url: `${this.baseUrl}/${endpoint}`,
+      headers: this._requestHeaders(),
+      body: data,
+      options,
+      attempt: 0
+    };
+  }
+
+  /**
+   * Describe a request object (see describeRequest)
+   * @private
+   * @param {Object} request - Request object
+   * @returns {Object} { method, url, headers, body, curl }
+   */
+  _describe(request) {
+    const { endpoint, url, body } = request;
+    const headers = { ...request.headers };
+    const quote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+    const curl = [`curl -X POST ${quote(url)}`];
+    for (const name of Object.keys(headers)) {
+      if (name.toLowerCase() === 'authorization') {
+        headers[name] = 'Bearer [REDACTED]';
+        curl.push(`  -H "${name}: Bearer $CLOUDFLARE_API_TOKEN"`);
+      } else {
+        curl.push(`  -H ${quote(`${name}: ${headers[name]}`)}`);
       }
+    }
+    curl.push(`  -d ${quote(JSON.stringify(body, null, 2))}`);
+    if (binaryEndpointTypes[endpoint]) {
+      curl.push(`  -o ${endpoint}.${binaryEndpointTypes[endpoint][0]}`);
+    }
+
+    return {
+      method: 'POST',
+      url,
+      headers,
+      body,
+      curl: curl.join(' \\\n')
+    };
+  }
+
+  /**
+   * Check whether a hook returned a response ({ data, ... })
+   * @private
+   * @param {*} value - Hook return value
+   * @returns {boolean}
+   */
+  _isHookResponse(value) {
+    return Boolean(value) && typeof value === 'object' && 'data' in value;
+  }
+
+  /**
+   * Build the result of a request answered by a hook
+   * @private
+   * @param {Object} response - Hook return value ({ data, ... })
+   * @param {number} startedAt - Request start time
+   * @param {number} attempts - Attempts sent to the API
+   * @returns {Object} Request result
+   */
+  _hookResult(response, startedAt, attempts) {
+    return {
+      browserMsUsed: 0,
+      status: null,
+      contentType: null,
+      requestId: null,
+      ...response,
+      durationMs: Date.now() - startedAt,
+      attempts,
+      cached: false
+    };
+  }
 
-      // Other endpoints return JSON
-      const response = await resp.json();
+  /**
+   * Run afterResponse hooks
+   * @private
+   * @param {Object} result - Request result
+   * @param {Object} request - Request object
+   * @returns {Promise<Object>} Result, possibly replaced by a hook
+   */
+  async _afterResponse(result, request) {
+    for (const hook of this.hooks.afterResponse) {
+      const replacement = await hook(result, request);
+      if (replacement && typeof replacement === 'object') {
+        result = replacement;
+      }
+    }
+    return result;
+  }
 
-      if (!response.success) {
-        const errorMsg = response.errors?.map(e => `${e.code}: ${e.message}`).join(', ') || 'Unknown error';
-        throw new Error(`API error: ${errorMsg}`);
+  /**
+   * Send API request, running the hooks and retrying according to the retry policy
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @param {Object} [options] - Per-call options
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
+   * @param {boolean} [options.dryRun] - Return describeRequest() output instead of sending
+   * @param {boolean} [options.cache] - false bypasses the response cache for this call
+   * @param {AbortSignal} [options.signal] - Cancels the call, including retries and their delays
+   * @param {number} [options.requestTimeout] - Client-side deadline override for this call (milliseconds)
+   * @returns {Promise<Object>} { data, browserMsUsed, status, contentType, requestId, durationMs, attempts, cached }
+   */
+  async _makeRequest(endpoint, data, options = {}) {
+    const startedAt = Date.now();
+    const request = this._createRequest(endpoint, data, options);
+
+    for (const hook of this.hooks.beforeRequest) {
+      const response = await hook(request);
+      if (this._isHookResponse(response)) {
+        return this._hookResult(response, startedAt, 0);
       }
+    }
 
-      return {
-        data: response.result,
-        browserMsUsed: browserMsUsed ? parseInt(browserMsUsed) : 0
-      };
+    if (options.dryRun ?? this.dryRun) {
+      return { data: this._describe(request), browserMsUsed: 0, dryRun: true };
+    }
+
+    const cache = this.cache && options.cache !== false && this.cache.handles(endpoint) ? this.cache : null;
+    if (cache) {
+      const cached = await cache.get(endpoint, request.body);
+      if (cached !== undefined) {
+        return this._afterResponse({
+          data: cached,
+          browserMsUsed: 0,
+          status: null,
+          contentType: null,
+          requestId: null,
+          durationMs: Date.now() - startedAt,
+          attempts: 0,
+          cached: true
+        }, request);
+      }
+    }
+
+    const release = this._attachSignal(request, options);
+    let result;
+    try {
+      result = await this._sendWithRetry(request, cache, startedAt);
     } catch (error) {
-      if (error.message.startsWith('API error:')) {
-        throw error;
+      for (const hook of this.hooks.onError) {
+        const response = await hook(error, request);
+        if (this._isHookResponse(response)) {
+          return this._hookResult(response, startedAt, request.attempt);
+        }
       }
-      throw new Error(`Request failed: ${error.message}`);
+      throw error;
+    } finally {
+      release();
     }
+
+    return this._afterResponse(result, request);
   }
 
   /**
-   * Take web page screenshot
-   * @param {string} url - Target web page URL
-   * @param {Object} [options] - Options
-   * @param {Object} [options.viewport] - Viewport configuration
-   * @param {boolean} [options.fullPage=true] - Whether to capture full page
-   * @param {string} [options.selector] - CSS selector to capture specific element
-   * @param {Array} [options.cookies] - Cookie list
-   * @param {string} [options.waitForSelector] - Wait for specific element to appear
-   * @param {number} [options.timeout=30000] - Timeout (milliseconds)
-   * @param {Array} [options.addScriptTag] - Inject custom JavaScript
-   * @param {Array} [options.addStyleTag] - Inject custom styles
-   * @returns {Promise<Uint8Array|Buffer|Blob>} Screenshot data
+   * Send a request, retrying failed attempts according to the retry policy
+   * An aborted request.signal stops the attempts and rejects with its reason
+   * @private
+   * @param {Object} request - Request object
+   * @param {ResponseCache|null} cache - Cache to store the response in
+   * @param {number} startedAt - Call start time
+   * @returns {Promise<Object>} Request result
    */
-  async screenshot(url, options = {}) {
-    const data = {
-      url,
-      screenshotOptions: {
-        fullPage: options.fullPage !== false
-      },
-      gotoOptions: {
-        timeout: options.timeout || 30000
+  async _sendWithRetry(request, cache, startedAt) {
+    const { endpoint, options, signal } = request;
+    const policy = this._resolveRetryPolicy(options.retry, this.retryPolicy);
+
+    for (let attempt = 0; ; attempt++) {
+      request.attempt = attempt + 1;
+      try {
+        // The budget reserves browser time for this attempt until its usage is recorded
+        const releaseBudget = this.budget ? await this.budget.check(signal) : null;
+        let response;
+        try {
+          if (this.rateLimiter) {
+            await this._untilAborted(this.rateLimiter.acquire(signal), signal);
+          }
+          response = await this._sendRequest(request);
+          this._recordUsage(response.browserMsUsed);
+        } catch (error) {
+          if (error instanceof BrowserRenderingError && error.status !== null) {
+            this._recordUsage(error.browserMsUsed);
+          }
+          throw error;
+        } finally {
+          releaseBudget?.();
+        }
+
+        if (cache) {
+          await cache.set(endpoint, request.body, response.data);
+        }
+        return { ...response, durationMs: Date.now() - startedAt, attempts: attempt + 1, cached: false };
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        if (attempt + 1 >= policy.maxAttempts || !this._isRetryable(error, policy)) {
+          throw error;
+        }
+
+        let delay = getRetryDelay(attempt, policy.baseDelay, policy.jitter);
+        if (policy.respectRetryAfter && error.retryAfter != null) {
+          delay = error.retryAfter;
+        }
+        delay = Math.min(delay, policy.maxDelay);
+        for (const hook of this.hooks.onRetry) {
+          await hook({ error, attempt: attempt + 1, delay, request });
+        }
+        await this._delay(delay, signal);
       }
+    }
+  }
+
+  /**
+   * Send a single API request attempt
+   * @private
+   * @param {Object} request - Request object { endpoint, url, headers, body, signal }
+   * @returns {Promise<Object>} { data, browserMsUsed, status, contentType, requestId }
+   */
+  async _sendRequest(request) {
+    const { endpoint, url, headers, body } = request;
+    const context = { endpoint, requestUrl: url, url: body.url };
+
+    let resp;
+    try {
+      resp = await this.fetch(url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(body),
+        signal: request.signal
+      });
+    } catch (error) {
+      if (request.signal?.aborted) {
+        throw request.signal.reason;
+      }
+      throw new NetworkError(`Request failed: ${error.message}`, { ...context, cause: error });
+    }
+
+    const browserMsUsed = resp.headers.get('x-browser-ms-used');
+    context.status = resp.status;
+    context.browserMsUsed = browserMsUsed ? parseInt(browserMsUsed) : 0;
+    context.retryAfter = parseRetryAfter(resp.headers.get('retry-after'));
+    context.requestId = resp.headers.get('cf-ray');
+
+    const meta = {
+      browserMsUsed: context.browserMsUsed,
+      status: resp.status,
+      contentType: resp.headers.get('content-type'),
+      requestId: context.requestId
     };
 
-    if (options.viewport) {
-      data.viewport = options.viewport;
+    if (!resp.ok) {
+      throw await this._errorFromResponse(resp, context);
     }
 
-    if (options.selector) {
-      data.selector = options.selector;
+    // PDF and screenshot endpoints return binary data
+    if (binaryEndpointTypes[endpoint]) {
+      return {
+        data: await this._readBinaryResponse(resp, endpoint, context),
+        ...meta
+      };
+    }
+
+    // Other endpoints return JSON
+    let response;
+    try {
+      response = await resp.json();
+    } catch (error) {
+      throw new BrowserRenderingError(`Request failed: ${error.message}`, { ...context, cause: error });
     }
 
-    if (options.cookies) {
-      data.cookies = options.cookies;
+    if (!response.success) {
+      throw this._apiError(response, context);
     }
 
-    if (options.waitForSelector) {
-      data.waitForSelector = options.waitForSelector;
+    return {
+      data: response.result,
+      ...meta
+    };
+  }
+
+  /**
+   * Read and validate a binary endpoint response
+   * @private
+   * @param {Response} resp - Fetch response
+   * @param {string} endpoint - API endpoint
+   * @param {Object} context - Error details collected for this request
+   * @returns {Promise<Uint8Array|Buffer|Blob>} Binary data
+   */
+  async _readBinaryResponse(resp, endpoint, context) {
+    const contentType = resp.headers.get('content-type') || '';
+
+    // Error bodies arrive as JSON even on binary endpoints
+    if (contentType.includes('application/json')) {
+      const response = await resp.json().catch(() => null);
+      if (response && response.success === false) {
+        throw this._apiError(response, context);
+      }
+      throw new InvalidResponseError(`Invalid response: expected ${endpoint} binary data, received JSON`, context);
+    }
+
+    const arrayBuffer = await resp.arrayBuffer();
+    const bytes = new Uint8Array(arrayBuffer);
+    const fileType = detectFileType(bytes.subarray(0, 12));
+
+    if (!binaryEndpointTypes[endpoint].includes(fileType)) {
+      // Some error bodies are served without a JSON content type
+      if (bytes[0] === 0x7B) {
+        let response = null;
+        try {
+          response = JSON.parse(new TextDecoder().decode(bytes));
+        } catch {
+          // Not JSON either, fall through to the format error
+        }
+        if (response && response.success === false) {
+          throw this._apiError(response, context);
+        }
+      }
+      const received = fileType || `unrecognized data${contentType ? ` (content-type ${contentType})` : ''}`;
+      throw new InvalidResponseError(
+        `Invalid response: expected ${binaryEndpointTypes[endpoint].join('/')} data from ${endpoint}, received ${received}`,
+        context
+      );
     }
 
-    if (options.addScriptTag) {
-      data.addScriptTag = options.addScriptTag;
+    if (this.isNode) {
+      return Buffer.from(arrayBuffer);
     }
+    if (this.isDeno) {
+      return bytes;
+    }
+    // Browser environment
+    return new Blob([bytes], { type: contentType || `${endpoint === 'pdf' ? 'application' : 'image'}/${fileType}` });
+  }
 
-    if (options.addStyleTag) {
-      data.addStyleTag = options.addStyleTag;
+  /**
+   * Build an error from a non-2xx response
+   * @private
+   * @param {Response} resp - Fetch response
+   * @param {Object} context - Error details collected for this request
+   * @returns {Promise<BrowserRenderingError>}
+   */
+  async _errorFromResponse(resp, context) {
+    const text = await resp.text().catch(() => '');
+    try {
+      return this._apiError(JSON.parse(text), context);
+    } catch {
+      const message = `Request failed: HTTP ${resp.status} ${resp.statusText || ''}`.trim();
+      return createApiError(message, context);
     }
+  }
 
-    const result = await this._makeRequest('screenshot', data);
+  /**
+   * Build a typed error from an API error response body
+   * @private
+   * @param {Object} response - Parsed response body
+   * @param {Object} context - Error details collected for this request
+   * @returns {BrowserRenderingError}
+   */
+  _apiError(response, context) {
+    const errorMsg = response.errors?.map(e => `${e.code}: ${e.message}`).join(', ') || 'Unknown error';
+    return createApiError(`API error: ${errorMsg}`, {
+      ...context,
+      code: response.errors?.[0]?.code,
+      errors: response.errors
+    });
+  }
+
+  /**
+   * Take web page screenshot
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
+   * @param {Object} [options] - Options
+   * @param {Object} [options.viewport] - Viewport configuration
+   * @param {boolean} [options.fullPage=true] - Whether to capture full page
+   * @param {string} [options.type='png'] - Image type: 'png', 'jpeg' or 'webp'
+   * @param {number} [options.quality] - Image quality 0-100 (jpeg and webp only)
+   * @param {Object} [options.clip] - Capture region { x, y, width, height }
+   * @param {boolean} [options.omitBackground] - Transparent background instead of white (png and webp)
+   * @param {boolean} [options.captureBeyondViewport] - Capture content outside the viewport
+   * @param {Object} [options.screenshotOptions] - Raw screenshotOptions (top-level options take precedence)
+   * @param {string} [options.selector] - CSS selector to capture specific element
+   * @param {string} [options.waitUntil] - Page load event: 'load', 'domcontentloaded', 'networkidle0', 'networkidle2'
+   * @param {string} [options.userAgent] - User agent string
+   * @param {Object} [options.setExtraHTTPHeaders] - Extra request headers
+   * @param {Object} [options.authenticate] - HTTP authentication { username, password }
+   * @param {string} [options.emulateMediaType] - CSS media type: 'screen' or 'print'
+   * @param {Array} [options.rejectResourceTypes] - Resource types to block
+   * @param {Array} [options.rejectRequestPattern] - Regex patterns to block requests
+   * @param {Array} [options.cookies] - Cookie list
+   * @param {string} [options.waitForSelector] - Wait for specific element to appear
+   * @param {number} [options.timeout=30000] - Timeout (milliseconds)
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Array} [options.addScriptTag] - Inject custom JavaScript
+   * @param {Array} [options.addStyleTag] - Inject custom styles
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
+   * @returns {Promise<Uint8Array|Buffer|Blob>} Screenshot data
+   */
+  async screenshot(source, options = {}) {
+    options = this._withDefaults('screenshot', options);
+    const result = await this._makeRequest('screenshot', this._buildRequest('screenshot', source, options), options);
 
-    // Return raw binary data directly (API returns PNG data, not base64)
-    return result.data;
+    // Return raw binary data directly (API returns image data, not base64)
+    return this._result(result, options);
   }
 
   /**
@@ -163,7 +772,8 @@ class CloudflareBrowserRenderingClient {
 
   /**
    * Generate PDF
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Object} [options] - PDF options
    * @param {string} [options.format='a4'] - Page format
    * @param {boolean} [options.landscape=false] - Landscape orientation
@@ -172,239 +782,167 @@ class CloudflareBrowserRenderingClient {
    * @param {string} [options.headerTemplate] - Header HTML template
    * @param {string} [options.footerTemplate] - Footer HTML template
    * @param {Object} [options.margin] - Page margins
+   * @param {number} [options.scale] - Rendering scale
+   * @param {string} [options.pageRanges] - Pages to print, e.g. '1-3, 5'
+   * @param {Object} [options.pdfOptions] - Raw pdfOptions (top-level options take precedence)
    * @param {Object} [options.viewport] - Viewport configuration
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<Uint8Array|Buffer|Blob>} PDF data
    */
-  async pdf(url, options = {}) {
-    const data = {
-      url,
-      pdfOptions: {
-        format: options.format || 'a4',
-        landscape: options.landscape || false,
-        printBackground: options.printBackground !== false,
-        displayHeaderFooter: options.displayHeaderFooter || false,
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.displayHeaderFooter) {
-      if (options.headerTemplate) {
-        data.pdfOptions.headerTemplate = options.headerTemplate;
-      }
-      if (options.footerTemplate) {
-        data.pdfOptions.footerTemplate = options.footerTemplate;
-      }
-    }
-
-    if (options.margin) {
-      data.pdfOptions.margin = options.margin;
-    }
-
-    if (options.viewport) {
-      data.viewport = options.viewport;
-    }
-
-    return (await this._makeRequest('pdf', data)).data;
+  async pdf(source, options = {}) {
+    options = this._withDefaults('pdf', options);
+    const result = await this._makeRequest('pdf', this._buildRequest('pdf', source, options), options);
+    return this._result(result, options);
   }
 
   /**
    * Get rendered HTML content
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Object} [options] - Options
    * @param {Array} [options.rejectResourceTypes] - Resource types to block
    * @param {Array} [options.allowResourceTypes] - Resource types to allow
    * @param {Array} [options.cookies] - Cookie list
    * @param {string} [options.waitForSelector] - Wait for specific element
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<string>} HTML content
    */
-  async content(url, options = {}) {
-    const data = {
-      url,
-      gotoOptions: {
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.rejectResourceTypes) {
-      data.rejectResourceTypes = options.rejectResourceTypes;
-    }
-
-    if (options.allowResourceTypes) {
-      data.allowResourceTypes = options.allowResourceTypes;
-    }
-
-    if (options.cookies) {
-      data.cookies = options.cookies;
-    }
-
-    if (options.waitForSelector) {
-      data.waitForSelector = options.waitForSelector;
-    }
-
-    const result = await this._makeRequest('content', data);
-    return result.data;
+  async content(source, options = {}) {
+    options = this._withDefaults('content', options);
+    const result = await this._makeRequest('content', this._buildRequest('content', source, options), options);
+    return this._result(result, options);
   }
 
   /**
    * Convert web page to Markdown
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Object} [options] - Options
    * @param {Array} [options.rejectRequestPattern] - Regex patterns to block requests
+   * @param {Array} [options.rejectResourceTypes] - Resource types to block
    * @param {string} [options.waitForSelector] - Wait for specific element
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<string>} Markdown content
    */
-  async markdown(url, options = {}) {
-    const data = {
-      url,
-      gotoOptions: {
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.rejectRequestPattern) {
-      data.rejectRequestPattern = options.rejectRequestPattern;
-    }
-
-    if (options.waitForSelector) {
-      data.waitForSelector = options.waitForSelector;
-    }
-
-    const result = await this._makeRequest('markdown', data);
-    return result.data;
+  async markdown(source, options = {}) {
+    options = this._withDefaults('markdown', options);
+    const result = await this._makeRequest('markdown', this._buildRequest('markdown', source, options), options);
+    return this._result(result, options);
   }
 
   /**
    * Extract structured data using AI
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Object} options - Options (must provide either prompt or responseFormat)
    * @param {string} [options.prompt] - Natural language prompt
    * @param {Object} [options.responseFormat] - JSON Schema to define output structure
    * @param {string} [options.waitForSelector] - Wait for specific element
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<Object>} Extracted structured data
    */
-  async jsonExtract(url, options = {}) {
-    if (!options.prompt && !options.responseFormat) {
-      throw new Error('Must provide either prompt or responseFormat parameter');
-    }
+  async jsonExtract(source, options = {}) {
+    options = this._withDefaults('json', options);
 
-    const data = {
-      url,
-      gotoOptions: {
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.prompt) {
-      data.prompt = options.prompt;
-    }
-
-    if (options.responseFormat) {
-      data.response_format = options.responseFormat;
-    }
-
-    if (options.waitForSelector) {
-      data.waitForSelector = options.waitForSelector;
-    }
-
-    const result = await this._makeRequest('json', data);
-    return result.data;
+    const result = await this._makeRequest('json', this._buildRequest('json', source, options), options);
+    return this._result(result, options);
   }
 
   /**
    * Scrape specific elements
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Array} elements - Array of CSS selectors
    * @param {Object} [options] - Options
    * @param {Array} [options.cookies] - Cookie list
    * @param {string} [options.waitForSelector] - Wait for specific element
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<Object>} Scraped element information
    */
-  async scrape(url, elements, options = {}) {
-    const data = {
-      url,
-      elements,
-      gotoOptions: {
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.cookies) {
-      data.cookies = options.cookies;
-    }
-
-    if (options.waitForSelector) {
-      data.waitForSelector = options.waitForSelector;
-    }
-
-    const result = await this._makeRequest('scrape', data);
-    return result.data;
+  async scrape(source, elements, options = {}) {
+    options = this._withDefaults('scrape', options);
+    const data = this._buildRequest('scrape', source, { ...options, elements });
+    const result = await this._makeRequest('scrape', data, options);
+    return this._result(result, options);
   }
 
   /**
    * Get page snapshot (screenshot + HTML)
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Object} [options] - Options
    * @param {boolean} [options.fullPage=true] - Full page screenshot
+   * @param {Object} [options.screenshotOptions] - Raw screenshotOptions (type, quality, clip, ...)
    * @param {Object} [options.viewport] - Viewport configuration
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<Object>} Object containing screenshot and HTML
    */
-  async snapshot(url, options = {}) {
-    const data = {
-      url,
-      screenshotOptions: {
-        fullPage: options.fullPage !== false
-      },
-      gotoOptions: {
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.viewport) {
-      data.viewport = options.viewport;
+  async snapshot(source, options = {}) {
+    options = this._withDefaults('snapshot', options);
+    const result = await this._makeRequest('snapshot', this._buildRequest('snapshot', source, options), options);
+    if (result.dryRun) {
+      return result.data;
     }
 
-    const result = await this._makeRequest('snapshot', data);
-
-    return {
+    return this._result(result, options, {
       screenshot: this._decodeBase64Image(result.data.screenshot),
       html: result.data.content,
       browserMsUsed: result.browserMsUsed
-    };
+    });
   }
 
   /**
    * Extract all links from page
-   * @param {string} url - Target web page URL
+   * Accepts the shared page-control options (see pageControlFields in request-options.js)
+   * @param {string|Object} source - Target URL, HTML string, or { url } / { html }
    * @param {Object} [options] - Options
+   * @param {boolean} [options.visibleLinksOnly] - Only return links visible on the page
+   * @param {boolean} [options.excludeExternalLinks] - Only return links to the same domain
    * @param {string} [options.waitForSelector] - Wait for specific element
    * @param {number} [options.timeout=30000] - Timeout
+   * @param {Object} [options.gotoOptions] - Page load options (waitUntil, timeout)
+   * @param {Object|number|boolean} [options.retry] - Retry policy override for this call
    * @returns {Promise<Array>} List of links
    */
-  async links(url, options = {}) {
-    const data = {
-      url,
-      gotoOptions: {
-        timeout: options.timeout || 30000
-      }
-    };
-
-    if (options.waitForSelector) {
-      data.waitForSelector = options.waitForSelector;
-    }
-
-    const result = await this._makeRequest('links', data);
-    return result.data;
+  async links(source, options = {}) {
+    options = this._withDefaults('links', options);
+    const result = await this._makeRequest('links', this._buildRequest('links', source, options), options);
+    return this._result(result, options);
   }
 }
 
 // Export client class
 export { CloudflareBrowserRenderingClient };
+export {
+  BrowserRenderingError,
+  AuthenticationError,
+  InvalidRequestError,
+  TimeoutError,
+  NavigationError,
+  ElementNotFoundError,
+  RateLimitError,
+  QuotaExceededError,
+  NetworkError,
+  InvalidResponseError,
+  BudgetExceededError,
+  ValidationError,
+  RequestTimeoutError,
+  RequestAbortedError
+} from './errors.js';
+export { TokenBucketRateLimiter, BrowserTimeBudget } from './rate-limiter.js';
+export { ResponseCache } from './response-cache.js';
 
 // Usage example
 if (import.meta.main) {
@@ -416,7 +954,8 @@ if (import.meta.main) {
     
     const client = new CloudflareBrowserRenderingClient({
       accountId: config.account_id,
-      apiToken: config.api_token
+      apiToken: config.api_token,
+      defaults: config
     });
 
     // Example 1: Take web page screenshot
@@ -451,6 +990,9 @@ if (import.meta.main) {
     console.log('Extracted data:', JSON.stringify(data, null, 2));
   } catch (error) {
     console.error('❌ Error:', error.message);
+    if (error.solution) {
+      console.error('   Solution:', error.solution);
+    }
     
     if (error.message.includes('Configuration file does not exist')) {
       console.log('\nPlease configure your Cloudflare API credentials first:');
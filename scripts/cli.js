@@ -0,0 +1,621 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for Cloudflare Browser Rendering API
+ * Supports Deno and Node.js
+ *
+ * Usage:
+ *   node scripts/cli.js <command> [urls...] [options]
+ *   deno run -A scripts/cli.js <command> [urls...] [options]
+ */
+
+import { CloudflareBrowserRenderingClient } from './browser-rendering-client.js';
+import { BatchProcessor } from './batch-processor.js';
+import { devicePresets, detectEnvironment, getFileHandlers, isValidUrl, loadConfig, sanitizeFilename } from './config.js';
+import { AuthenticationError, ManifestError } from './errors.js';
+import { jobEndpoints, loadJobManifest, parseUrlList } from './job-manifest.js';
+import { progressModes } from './progress.js';
+import { ZipStorage } from './storage.js';
+
+/**
+ * Process exit codes
+ */
+export const exitCodes = {
+  success: 0,
+  requestFailed: 1,
+  usage: 2,
+  configuration: 3,
+  partialFailure: 4
+};
+
+const usage = `Usage: cf-browser <command> [urls...] [options]
+
+Commands:
+  screenshot   Capture a screenshot (PNG, JPEG or WebP)
+  pdf          Generate a PDF
+  content      Get rendered HTML
+  markdown     Convert page to Markdown
+  json         Extract structured data with AI (--prompt or --schema)
+  scrape       Scrape elements (--elements)
+  snapshot     Capture screenshot + HTML
+  links        Extract links
+  batch        Run a job manifest (batch job.json) or --endpoint over many URLs
+
+Input:
+  URLs are read from arguments, --input FILE (one per line or JSON array),
+  or stdin when "-" or --stdin is passed.
+  --html FILE renders a local HTML file instead of a URL.
+
+Options:
+  -o, --output PATH            Output file (single URL) or directory (several URLs, batch)
+  -i, --input FILE             Read URLs from a file
+      --stdin                  Read URLs from stdin (same as "-")
+      --html FILE              Render HTML from a file instead of a URL
+      --preset NAME            Device preset (${Object.keys(devicePresets).join(', ')})
+      --viewport WxH[@scale]   Viewport, e.g. 1280x720 or 390x844@3
+      --selector CSS           Capture a specific element (screenshot)
+      --wait-for CSS           Wait for an element before capturing
+      --cookies FILE           JSON file with a cookie array
+      --timeout MS             Page load timeout (default 30000)
+      --retries N              Maximum attempts per request
+      --request-timeout MS     Client-side deadline per request, retries included
+      --base-url URL           API base URL (e.g. a local mock server)
+      --cache DIR              Cache responses in DIR (1 hour TTL)
+      --dry-run                Print the request as a curl command instead of sending it
+      --no-full-page           Capture only the viewport
+      --type TYPE              Screenshot type: png, jpeg or webp
+      --quality N              JPEG/WebP quality (0-100)
+      --transparent            Transparent screenshot background
+      --wait-until EVENT       load, domcontentloaded, networkidle0 or networkidle2
+      --user-agent UA          User agent string
+      --http-header NAME:VALUE Extra request header (comma-separated for several)
+      --media TYPE             Emulate CSS media type (screen or print)
+      --format NAME            PDF page format (default a4)
+      --landscape              Landscape PDF
+      --no-background          Do not print backgrounds in PDF
+      --margin SIZE            PDF margin for all sides (e.g. 20px)
+      --header-template HTML   PDF header template
+      --footer-template HTML   PDF footer template
+      --prompt TEXT            Prompt for json
+      --schema FILE            JSON Schema file for json
+      --elements LIST          Comma-separated CSS selectors for scrape
+      --reject-resource-types LIST  Comma-separated resource types to block
+      --endpoint NAME          Endpoint for batch without a manifest
+      --concurrency N          Batch concurrency
+      --delay MS               Minimum interval between batch requests
+      --progress MODE          Batch progress: bar (default on a terminal), log, jsonl or quiet
+      --export LIST            Batch result formats: json, csv, jsonl, stdout, markdown, sql, outputs
+                               (default json,csv,outputs)
+      --naming TEMPLATE        Batch output naming template (e.g. {host}/{path}/{index}-{hash}.{ext})
+      --shard MODE             Group batch outputs in subdirectories by host or date
+      --zip FILE               Write batch outputs and results into a zip archive
+  -h, --help                   Show this help
+
+Credentials come from assets/config.json, or CLOUDFLARE_ACCOUNT_ID and
+CLOUDFLARE_API_TOKEN environment variables.
+
+Exit codes: 0 success, 1 request failed, 2 usage error,
+            3 configuration/authentication error, 4 some batch items failed`;
+
+const booleanFlags = ['help', 'stdin', 'full-page', 'landscape', 'background', 'transparent', 'dry-run'];
+const shortFlags = { o: 'output', i: 'input', h: 'help' };
+
+/**
+ * Error in command-line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments (without runtime and script)
+ * @returns {Object} { command, positionals, flags }
+ */
+export function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-' || !arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name = arg.startsWith('--') ? arg.slice(2) : shortFlags[arg.slice(1)];
+    if (!name) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    let value;
+    if (name.includes('=')) {
+      [name, value] = [name.slice(0, name.indexOf('=')), name.slice(name.indexOf('=') + 1)];
+    }
+
+    if (name.startsWith('no-') && booleanFlags.includes(name.slice(3))) {
+      flags[name.slice(3)] = false;
+    } else if (booleanFlags.includes(name)) {
+      flags[name] = value === undefined ? true : value !== 'false';
+    } else {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) {
+          throw new UsageError(`Option --${name} requires a value`);
+        }
+        value = argv[++i];
+      }
+      flags[name] = value;
+    }
+  }
+
+  return { command: positionals.shift(), positionals, flags };
+}
+
+/**
+ * Runtime-specific I/O
+ * @returns {Object} I/O functions
+ */
+function getRuntime() {
+  const env = detectEnvironment();
+
+  if (env.isDeno) {
+    return {
+      args: () => Deno.args,
+      env: (name) => Deno.env.get(name),
+      stdoutIsTTY: () => Deno.stdout.isTerminal(),
+      readStdin: () => new Response(Deno.stdin.readable).text(),
+      writeStdout: async (data) => {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        for (let written = 0; written < bytes.length;) {
+          written += await Deno.stdout.write(bytes.subarray(written));
+        }
+      },
+      exit: (code) => Deno.exit(code),
+      onInterrupt: (handler) => {
+        Deno.addSignalListener('SIGINT', handler);
+        return () => Deno.removeSignalListener('SIGINT', handler);
+      }
+    };
+  }
+
+  return {
+    args: () => process.argv.slice(2),
+    env: (name) => process.env[name],
+    stdoutIsTTY: () => Boolean(process.stdout.isTTY),
+    readStdin: async () => {
+      const chunks = [];
+      for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString('utf-8');
+    },
+    writeStdout: (data) => new Promise((resolve, reject) => {
+      process.stdout.write(data, (error) => (error ? reject(error) : resolve()));
+    }),
+    exit: (code) => process.exit(code),
+    onInterrupt: (handler) => {
+      process.on('SIGINT', handler);
+      return () => process.off('SIGINT', handler);
+    }
+  };
+}
+
+/**
+ * Split a comma-separated flag value
+ * @param {string} value - Flag value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a non-negative integer flag
+ * @param {Object} flags - Parsed flags
+ * @param {string} name - Flag name
+ * @returns {number|undefined}
+ */
+function intFlag(flags, name) {
+  if (flags[name] === undefined) return undefined;
+  const value = Number(flags[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Build client options from flags
+ * @param {Object} flags - Parsed flags
+ * @param {Object} fileHandlers - File handlers
+ * @returns {Promise<Object>} Client method options
+ */
+export async function buildOptions(flags, fileHandlers = getFileHandlers()) {
+  const options = {};
+
+  if (flags.preset) {
+    if (!devicePresets[flags.preset]) {
+      throw new UsageError(`Unknown preset "${flags.preset}" (available: ${Object.keys(devicePresets).join(', ')})`);
+    }
+    options.viewport = { ...devicePresets[flags.preset].viewport };
+  }
+
+  if (flags.viewport) {
+    const match = /^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/.exec(flags.viewport);
+    if (!match) {
+      throw new UsageError('--viewport must look like 1280x720 or 390x844@3');
+    }
+    options.viewport = {
+      width: Number(match[1]),
+      height: Number(match[2]),
+      ...(match[3] ? { deviceScaleFactor: Number(match[3]) } : {})
+    };
+  }
+
+  if (flags.selector) options.selector = flags.selector;
+  if (flags['wait-for']) options.waitForSelector = flags['wait-for'];
+  if (flags['full-page'] === false) options.fullPage = false;
+  if (flags.timeout !== undefined) options.timeout = intFlag(flags, 'timeout');
+  if (flags.type) {
+    if (!['png', 'jpeg', 'webp'].includes(flags.type)) {
+      throw new UsageError('--type must be png, jpeg or webp');
+    }
+    options.type = flags.type;
+  }
+  if (flags.quality !== undefined) options.quality = intFlag(flags, 'quality');
+  if (flags.transparent) options.omitBackground = true;
+  if (flags['wait-until']) options.waitUntil = flags['wait-until'];
+  if (flags['user-agent']) options.userAgent = flags['user-agent'];
+  if (flags.media) options.emulateMediaType = flags.media;
+  if (flags['http-header']) {
+    options.setExtraHTTPHeaders = Object.fromEntries(splitList(flags['http-header']).map(header => {
+      const separator = header.indexOf(':');
+      if (separator < 1) {
+        throw new UsageError('--http-header must look like Name:Value');
+      }
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }));
+  }
+  if (flags['dry-run']) options.dryRun = true;
+  if (flags.retries !== undefined) options.retry = { maxAttempts: Math.max(1, intFlag(flags, 'retries')) };
+
+  if (flags.cookies) {
+    options.cookies = JSON.parse(await fileHandlers.readFile(flags.cookies));
+    if (!Array.isArray(options.cookies)) {
+      throw new UsageError('--cookies file must contain a JSON array');
+    }
+  }
+
+  if (flags.format) options.format = flags.format;
+  if (flags.landscape) options.landscape = true;
+  if (flags.background === false) options.printBackground = false;
+  if (flags.margin) {
+    options.margin = { top: flags.margin, bottom: flags.margin, left: flags.margin, right: flags.margin };
+  }
+  if (flags['header-template'] || flags['footer-template']) {
+    options.displayHeaderFooter = true;
+    if (flags['header-template']) options.headerTemplate = flags['header-template'];
+    if (flags['footer-template']) options.footerTemplate = flags['footer-template'];
+  }
+
+  if (flags.prompt) options.prompt = flags.prompt;
+  if (flags.schema) options.responseFormat = JSON.parse(await fileHandlers.readFile(flags.schema));
+  if (flags.elements) options.elements = splitList(flags.elements).map(selector => ({ selector }));
+  if (flags['reject-resource-types']) options.rejectResourceTypes = splitList(flags['reject-resource-types']);
+
+  return options;
+}
+
+/**
+ * Collect URLs from arguments, --input file and stdin
+ * @param {Array<string>} positionals - URL arguments
+ * @param {Object} flags - Parsed flags
+ * @param {Object} runtime - Runtime I/O
+ * @returns {Promise<Array<string>>}
+ */
+async function collectUrls(positionals, flags, runtime) {
+  const urls = positionals.filter(arg => arg !== '-');
+
+  if (flags.input) {
+    urls.push(...parseUrlList(await getFileHandlers().readFile(flags.input), flags.input));
+  }
+
+  // Only read stdin when asked: a non-terminal stdin (CI, cron) may never be closed
+  if (positionals.includes('-') || flags.stdin) {
+    urls.push(...parseUrlList(await runtime.readStdin()));
+  }
+
+  if (urls.length === 0) {
+    throw new UsageError('No URL given (pass URLs as arguments, --input FILE, or --stdin)');
+  }
+
+  const invalid = urls.filter(url => !isValidUrl(url));
+  if (invalid.length > 0) {
+    throw new UsageError(`Invalid URL: ${invalid.join(', ')}`);
+  }
+  return urls;
+}
+
+/**
+ * Load API credentials from environment or config file
+ * Settings from the config file become client defaults
+ * @param {Object} runtime - Runtime I/O
+ * @param {Object} [flags] - Parsed flags (--base-url, --cache)
+ * @returns {Promise<Object>} Client config: { accountId, apiToken, defaults, baseUrl, cache }
+ */
+async function loadCredentials(runtime, flags = {}) {
+  const clientOptions = {
+    ...(flags['base-url'] ? { baseUrl: flags['base-url'] } : {}),
+    ...(flags.cache ? { cache: { store: 'fs', dir: flags.cache } } : {}),
+    ...(flags['request-timeout'] !== undefined ? { requestTimeout: intFlag(flags, 'request-timeout') } : {})
+  };
+  const accountId = runtime.env('CLOUDFLARE_ACCOUNT_ID');
+  const apiToken = runtime.env('CLOUDFLARE_API_TOKEN');
+  if (accountId && apiToken) {
+    return { accountId, apiToken, ...clientOptions };
+  }
+
+  const config = await loadConfig();
+  return { accountId: config.account_id, apiToken: config.api_token, defaults: config, ...clientOptions };
+}
+
+/**
+ * Output file extension per endpoint
+ */
+const outputExtensions = {
+  screenshot: 'png',
+  pdf: 'pdf',
+  content: 'html',
+  markdown: 'md',
+  json: 'json',
+  scrape: 'json',
+  links: 'json'
+};
+
+/**
+ * Call a client endpoint for one source
+ * @param {CloudflareBrowserRenderingClient} client - Client
+ * @param {string} command - Endpoint command
+ * @param {string|Object} url - URL or { html } source
+ * @param {Object} options - Client options
+ * @returns {Promise<*>} Endpoint result
+ */
+function callEndpoint(client, command, url, options) {
+  switch (command) {
+    case 'screenshot': return client.screenshot(url, options);
+    case 'pdf': return client.pdf(url, options);
+    case 'content': return client.content(url, options);
+    case 'markdown': return client.markdown(url, options);
+    case 'json': return client.jsonExtract(url, options);
+    case 'scrape': return client.scrape(url, options.elements, options);
+    case 'snapshot': return client.snapshot(url, options);
+    case 'links': return client.links(url, options);
+  }
+}
+
+/**
+ * Run a single-endpoint command for each URL
+ * @param {string} command - Endpoint command
+ * @param {Array<string|Object>} urls - URLs, or a single { html } source
+ * @param {Object} flags - Parsed flags
+ * @param {Object} runtime - Runtime I/O
+ * @returns {Promise<number>} Exit code
+ */
+async function runEndpoint(command, urls, flags, runtime) {
+  const options = await buildOptions(flags);
+  if (command === 'json' && !options.prompt && !options.responseFormat) {
+    throw new UsageError('json requires --prompt or --schema');
+  }
+  if (command === 'scrape' && !options.elements) {
+    throw new UsageError('scrape requires --elements');
+  }
+
+  const client = new CloudflareBrowserRenderingClient(await loadCredentials(runtime, flags));
+  const fileHandlers = getFileHandlers();
+  const binary = command === 'screenshot' || command === 'pdf' || command === 'snapshot';
+
+  // Several URLs, or binary output on a terminal, go to files in a directory
+  const toStdout = !flags.output && (!binary || (urls.length === 1 && command !== 'snapshot' && !runtime.stdoutIsTTY()));
+  const outputDir = urls.length > 1 || (!flags.output && !toStdout) ? (flags.output || '.') : null;
+  if (outputDir && outputDir !== '.' && !options.dryRun) {
+    await fileHandlers.mkdir(outputDir);
+  }
+
+  let failures = 0;
+  for (const source of urls) {
+    const url = typeof source === 'string' ? source : flags.html;
+    try {
+      const result = await callEndpoint(client, command, source, options);
+      if (options.dryRun) {
+        await runtime.writeStdout(`${result.curl}\n`);
+        continue;
+      }
+
+      const name = typeof source === 'string'
+        ? new URL(url).host + new URL(url).pathname
+        : url.split('/').pop().replace(/\.html?$/, '');
+      const base = outputDir
+        ? `${outputDir}/${sanitizeFilename(name).replace(/_+$/, '')}`
+        : flags.output;
+
+      if (command === 'snapshot') {
+        const stem = base.replace(/\.(png|html)$/, '');
+        await fileHandlers.writeBinary(`${stem}.png`, result.screenshot);
+        await fileHandlers.writeFile(`${stem}.html`, result.html);
+        console.error(`✅ ${url} -> ${stem}.png, ${stem}.html`);
+        continue;
+      }
+
+      const text = typeof result === 'string' || binary ? result : JSON.stringify(result, null, 2);
+      if (toStdout) {
+        await runtime.writeStdout(binary ? result : text + (text.endsWith('\n') ? '' : '\n'));
+      } else {
+        const extension = command === 'screenshot' && options.type ? options.type : outputExtensions[command];
+        const path = outputDir ? `${base}.${extension}` : base;
+        if (binary) {
+          await fileHandlers.writeBinary(path, result);
+        } else {
+          await fileHandlers.writeFile(path, text);
+        }
+        console.error(`✅ ${url} -> ${path}`);
+      }
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+      failures++;
+      console.error(`❌ ${url}: ${error.message}`);
+      if (error.solution) {
+        console.error(`   Solution: ${error.solution}`);
+      }
+    }
+  }
+
+  if (failures === 0) return exitCodes.success;
+  return failures === urls.length ? exitCodes.requestFailed : exitCodes.partialFailure;
+}
+
+/**
+ * Run the batch command
+ * @param {Array<string>} positionals - Manifest path or URLs
+ * @param {Object} flags - Parsed flags
+ * @param {Object} runtime - Runtime I/O
+ * @returns {Promise<number>} Exit code
+ */
+async function runBatch(positionals, flags, runtime) {
+  if (flags['dry-run']) {
+    throw new UsageError('--dry-run applies to single-endpoint commands, not batch');
+  }
+  const progress = flags.progress || (runtime.stdoutIsTTY() ? 'bar' : 'log');
+  if (!progressModes.includes(progress)) {
+    throw new UsageError(`Unknown progress mode "${progress}" (use: ${progressModes.join(', ')})`);
+  }
+  const processor = new BatchProcessor({
+    ...(await loadCredentials(runtime, flags)),
+    progress,
+    ...(flags.zip ? { storage: new ZipStorage({ path: flags.zip }) } : {})
+  });
+  let results;
+
+  // First Ctrl+C cancels the batch and keeps the partial results; a second one exits
+  const stopListening = runtime.onInterrupt?.(() => {
+    console.error('Interrupted: cancelling batch and saving partial results (Ctrl+C again to exit)');
+    stopListening();
+    processor.cancel();
+  }) || (() => {});
+
+  try {
+    results = await runBatchJob(processor, positionals, flags, runtime);
+  } finally {
+    stopListening();
+  }
+
+  const failures = results.filter(r => r.status !== 'success').length;
+  if (failures === 0) return exitCodes.success;
+  return failures === results.length ? exitCodes.requestFailed : exitCodes.partialFailure;
+}
+
+/**
+ * Run the manifest or --endpoint job of the batch command
+ * @param {BatchProcessor} processor - Batch processor
+ * @param {Array<string>} positionals - Manifest path or URLs
+ * @param {Object} flags - Parsed flags
+ * @param {Object} runtime - Runtime I/O
+ * @returns {Promise<Array>} Processing results
+ */
+async function runBatchJob(processor, positionals, flags, runtime) {
+  // Flags that override the manifest
+  const overrides = {
+    ...(flags.export ? { exporters: splitList(flags.export) } : {}),
+    ...(flags.naming ? { naming: flags.naming } : {}),
+    ...(flags.shard ? { shard: flags.shard } : {})
+  };
+  let results;
+
+  if (!flags.endpoint) {
+    if (positionals.length !== 1) {
+      throw new UsageError('batch requires a manifest file, or --endpoint with URLs');
+    }
+    results = await processor.runJob(Object.keys(overrides).length > 0
+      ? { ...(await loadJobManifest(positionals[0])), ...overrides }
+      : positionals[0]);
+  } else {
+    if (!jobEndpoints[flags.endpoint]) {
+      throw new UsageError(`Unknown endpoint "${flags.endpoint}" (available: ${Object.keys(jobEndpoints).join(', ')})`);
+    }
+
+    const options = await buildOptions(flags);
+    results = await processor.runJob({
+      endpoint: flags.endpoint,
+      urls: await collectUrls(positionals, flags, runtime),
+      outputDir: flags.output || `./${flags.endpoint}`,
+      options,
+      ...(flags.concurrency !== undefined ? { concurrency: intFlag(flags, 'concurrency') } : {}),
+      ...(flags.delay !== undefined ? { delay: intFlag(flags, 'delay') } : {}),
+      ...(options.retry ? { retry: options.retry } : {}),
+      ...overrides
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments (without runtime and script)
+ * @param {Object} [runtime] - Runtime I/O
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, runtime = getRuntime()) {
+  try {
+    const { command, positionals, flags } = parseArgs(argv);
+
+    if (flags.help || !command) {
+      console.log(usage);
+      return command || flags.help ? exitCodes.success : exitCodes.usage;
+    }
+
+    if (command === 'batch') {
+      return await runBatch(positionals, flags, runtime);
+    }
+    if (!outputExtensions[command] && command !== 'snapshot') {
+      throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const sources = flags.html
+      ? [{ html: await getFileHandlers().readFile(flags.html) }]
+      : await collectUrls(positionals, flags, runtime);
+    return await runEndpoint(command, sources, flags, runtime);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+
+    if (error instanceof UsageError) {
+      console.error('Run with --help for usage.');
+      return exitCodes.usage;
+    }
+    if (error instanceof ManifestError || error instanceof SyntaxError) {
+      return exitCodes.usage;
+    }
+    if (error instanceof AuthenticationError || error.message.includes('Configuration file') || error.message.includes('configure account_id')) {
+      if (error.solution) {
+        console.error(`   Solution: ${error.solution}`);
+      }
+      return exitCodes.configuration;
+    }
+    return exitCodes.requestFailed;
+  }
+}
+
+const isEntrypoint = import.meta.main ?? (
+  typeof process !== 'undefined' &&
+  process.argv[1] !== undefined &&
+  import.meta.url === (await import('url')).pathToFileURL(process.argv[1]).href
+);
+
+if (isEntrypoint) {
+  const runtime = getRuntime();
+  runtime.exit(await main(runtime.args(), runtime));
+}
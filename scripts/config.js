@@ -143,6 +143,18 @@ export const defaultConfig = {
     timeout: 30000
   },
 
+  // Retry policy for API requests
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 1000,
+    retryOnCodes: ['10030', '10050'],
+    retryOnStatus: [429, 500, 502, 503, 504],
+    retryOnNetworkError: true,
+    respectRetryAfter: true
+  },
+
   // Performance optimization configuration
   performanceOptimization: {
     rejectResourceTypes: ['font', 'image'],
@@ -190,6 +202,113 @@ export const defaultConfig = {
   }
 };
 
+/**
+ * Convert snake_case keys to camelCase recursively
+ * @param {*} value - Value
+ * @returns {*} Value with camelCase object keys
+ */
+export function toCamelCaseKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(toCamelCaseKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key.replace(/_([a-z])/g, (m, c) => c.toUpperCase()), toCamelCaseKeys(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Normalize a configuration object to the defaultConfig shape
+ * Accepts config.json (snake_case sections as in config_template.json) or a defaultConfig-shaped object
+ * @param {Object} config - Configuration object
+ * @returns {Object} Configuration in defaultConfig shape (camelCase, delays in milliseconds)
+ */
+export function normalizeConfig(config) {
+  if (!config.default_settings && !config.screenshot_options && !config.pdf_options && !config.content_extraction) {
+    return config;
+  }
+
+  const defaults = toCamelCaseKeys(config.default_settings || {});
+  const performance = defaults.performanceOptimization || {};
+
+  return {
+    viewport: defaults.viewport,
+    gotoOptions: defaults.gotoOptions,
+    performanceOptimization: {
+      ...performance,
+      // config.json specifies the delay in seconds
+      delayBetweenRequests: performance.delayBetweenRequests !== undefined
+        ? performance.delayBetweenRequests * 1000
+        : undefined
+    },
+    screenshotOptions: toCamelCaseKeys(config.screenshot_options),
+    pdfOptions: toCamelCaseKeys(config.pdf_options),
+    contentExtraction: toCamelCaseKeys(config.content_extraction),
+    aiExtraction: toCamelCaseKeys(config.ai_extraction)
+  };
+}
+
+/**
+ * Remove null and undefined values recursively
+ * @param {Object} obj - Object
+ * @returns {Object}
+ */
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj || {})
+      .filter(([, v]) => v !== null && v !== undefined)
+      .map(([k, v]) => [k, v && typeof v === 'object' && !Array.isArray(v) ? compact(v) : v])
+  );
+}
+
+/**
+ * Build per-endpoint client option defaults from a configuration object
+ * `all` applies to every endpoint; endpoint keys apply on top of it
+ * @param {Object} config - config.json contents or defaultConfig-shaped object
+ * @returns {Object} { all, screenshot, snapshot, pdf, content, markdown }
+ */
+export function resolveClientDefaults(config) {
+  const normalized = normalizeConfig(config);
+  const contentDefaults = compact(normalized.contentExtraction);
+
+  return {
+    all: compact({
+      viewport: normalized.viewport,
+      gotoOptions: normalized.gotoOptions,
+      rejectResourceTypes: normalized.performanceOptimization?.rejectResourceTypes
+    }),
+    screenshot: compact(normalized.screenshotOptions),
+    snapshot: compact(normalized.screenshotOptions),
+    pdf: compact(normalized.pdfOptions),
+    content: contentDefaults,
+    markdown: contentDefaults
+  };
+}
+
+/**
+ * Deep merge plain objects; later sources win, arrays are replaced, undefined values are skipped
+ * @param {...Object} sources - Objects to merge
+ * @returns {Object} Merged object
+ */
+export function deepMerge(...sources) {
+  const result = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value === undefined) continue;
+
+      const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.getPrototypeOf(value) === Object.prototype;
+      const existing = result[key];
+      result[key] = isPlainObject && existing && typeof existing === 'object' && !Array.isArray(existing)
+        ? deepMerge(existing, value)
+        : value;
+    }
+  }
+  return result;
+}
+
 /**
  * Device configuration presets
  */
@@ -286,15 +405,34 @@ export function getErrorInfo(code) {
  * Create retry delay (exponential backoff)
  * @param {number} attempt - Attempt number
  * @param {number} baseDelay - Base delay (milliseconds)
+ * @param {number} [maxJitter=1000] - Maximum random jitter (milliseconds)
  * @returns {number} Delay time (milliseconds)
  */
-export function getRetryDelay(attempt, baseDelay = 1000) {
+export function getRetryDelay(attempt, baseDelay = 1000, maxJitter = 1000) {
   // Exponential backoff + random jitter
   const delay = baseDelay * Math.pow(2, attempt);
-  const jitter = Math.random() * 1000;
+  const jitter = Math.random() * maxJitter;
   return delay + jitter;
 }
 
+/**
+ * Parse Retry-After header value
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
 /**
  * Validate URL format
  * @param {string} url - URL
@@ -331,6 +469,35 @@ export function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * File signatures (magic bytes) of binary API responses
+ */
+const fileSignatures = [
+  { type: 'png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], riff: true },
+  { type: 'pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }
+];
+
+/**
+ * Detect file type from magic bytes
+ * @param {Uint8Array} bytes - Leading bytes of the file (at least 12)
+ * @returns {string|null} 'png', 'jpeg', 'webp', 'pdf', or null if unknown
+ */
+export function detectFileType(bytes) {
+  const matches = (offset, expected) => expected.every((b, i) => bytes[offset + i] === b);
+
+  for (const signature of fileSignatures) {
+    if (signature.riff && !matches(0, [0x52, 0x49, 0x46, 0x46])) {
+      continue;
+    }
+    if (matches(signature.offset, signature.bytes)) {
+      return signature.type;
+    }
+  }
+  return null;
+}
+
 /**
  * Create progress bar
  * @param {number} current - Current progress
@@ -440,3 +607,60 @@ export function base64UrlDecode(str) {
     throw new Error('Base64 decoding not available in current environment');
   }
 }
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} str - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+export function base64ToBytes(str) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(str, 'base64'));
+  }
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads serialize identically
+ * @param {*} value - Value
+ * @returns {string} JSON string
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest of a string (Web Crypto)
+ * @param {string} text - Input
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,91 @@
+/**
+ * CSV utilities (RFC 4180)
+ * Supports Deno, Node.js, and modern browsers
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields containing commas, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM written by spreadsheet tools
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  return rows
+    .filter(row => row.some(field => field !== ''))
+    .map(row => Object.fromEntries(header.map((name, i) => [name.trim(), row[i] ?? ''])));
+}
+
+/**
+ * Format one CSV field
+ * Fields containing commas, quotes or line breaks are quoted, with quotes doubled;
+ * objects and arrays are written as JSON, null and undefined as empty fields
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows of fields as CSV text (CRLF line breaks, as in RFC 4180)
+ * @param {Array<Array<*>>} rows - Rows
+ * @returns {string} CSV text
+ */
+export function formatCsv(rows) {
+  return rows.map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,315 @@
+/**
+ * Template-driven PDF document generation for Cloudflare Browser Rendering API
+ * Supports Deno and Node.js (template rendering also works in browsers)
+ *
+ * Template syntax:
+ *   {{ path.to.value }}        HTML-escaped value
+ *   {{{ path }}}               Raw (unescaped) value
+ *   {{#each items}}...{{/each}} Repeat for each item ({{ this }}, {{ @index }}, item fields)
+ *   {{#if path}}...{{else}}...{{/if}}
+ *   {{ assets.logo }}          Data URI of an image asset
+ */
+
+import { bytesToBase64, getFileHandlers } from './config.js';
+import { parseCsv } from './csv.js';
+
+const tagPattern = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#each|#if|\/each|\/if|else(?=\s*\}\}))?\s*([\w.@]*)\s*\}\}/g;
+
+/**
+ * Parse a template into a node tree
+ * @param {string} template - Template HTML
+ * @returns {Array<Object>} Nodes
+ */
+function parseTemplate(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.elseChildren : node.children;
+  };
+
+  for (const match of template.matchAll(tagPattern)) {
+    const [tag, raw, keyword, path] = match;
+    if (match.index > last) {
+      target().push({ type: 'text', value: template.slice(last, match.index) });
+    }
+    last = match.index + tag.length;
+
+    if (raw) {
+      target().push({ type: 'var', path: raw, raw: true });
+    } else if (keyword === '#each' || keyword === '#if') {
+      if (!path) {
+        throw new Error(`Template error: {{${keyword}}} requires a path`);
+      }
+      const node = { type: keyword.slice(1), path, children: [], elseChildren: [], inElse: false };
+      target().push(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type === 'root' || node.inElse) {
+        throw new Error('Template error: unexpected {{else}}');
+      }
+      node.inElse = true;
+    } else if (keyword) {
+      const node = stack.pop();
+      if (node.type !== keyword.slice(1)) {
+        throw new Error(`Template error: unexpected {{${keyword}}}`);
+      }
+    } else if (path) {
+      target().push({ type: 'var', path, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template error: unclosed {{#${stack[stack.length - 1].type} ${stack[stack.length - 1].path}}}`);
+  }
+  if (last < template.length) {
+    root.children.push({ type: 'text', value: template.slice(last) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Escape HTML special characters
+ * @param {*} value - Value
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a template path against the scope stack
+ * @param {string} path - Dotted path, "this" or "@index"
+ * @param {Array<Object>} scopes - Scopes ({ value, index }), innermost last
+ * @returns {*} Value
+ */
+function lookup(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+  if (path === '@index') return scope.index;
+
+  const [first, ...rest] = path.split('.');
+  let value;
+  if (first === 'this') {
+    value = scope.value;
+  } else {
+    const owner = [...scopes].reverse().find(s => s.value && typeof s.value === 'object' && first in s.value);
+    value = owner ? owner.value[first] : undefined;
+  }
+
+  for (const key of rest) {
+    value = value == null ? undefined : value[key];
+  }
+  return value;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Nodes
+ * @param {Array<Object>} scopes - Scope stack
+ * @returns {string} HTML
+ */
+function renderNodes(nodes, scopes) {
+  let html = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      html += node.value;
+    } else if (node.type === 'var') {
+      const value = lookup(node.path, scopes);
+      if (value != null) {
+        html += node.raw ? String(value) : escapeHtml(value);
+      }
+    } else if (node.type === 'if') {
+      const value = lookup(node.path, scopes);
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      html += renderNodes(truthy ? node.children : node.elseChildren, scopes);
+    } else if (node.type === 'each') {
+      const items = lookup(node.path, scopes);
+      if (Array.isArray(items) && items.length > 0) {
+        items.forEach((item, index) => {
+          html += renderNodes(node.children, [...scopes, { value: item, index }]);
+        });
+      } else {
+        html += renderNodes(node.elseChildren, scopes);
+      }
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Render a template with data
+ * @param {string} template - Template HTML
+ * @param {Object} data - Data object
+ * @returns {string} Rendered HTML
+ */
+export function renderTemplate(template, data) {
+  return renderNodes(parseTemplate(template), [{ value: data, index: 0 }]);
+}
+
+/**
+ * MIME types of inlined assets
+ */
+const assetMimeTypes = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf'
+};
+
+/**
+ * Load rows of template data from a JSON (array) or CSV file
+ * @param {string} path - File path
+ * @returns {Promise<Array<Object>>} Rows
+ */
+export async function loadDataRows(path) {
+  const content = await getFileHandlers().readFile(path);
+
+  if (path.toLowerCase().endsWith('.csv')) {
+    return parseCsv(content);
+  }
+
+  const rows = JSON.parse(content);
+  if (!Array.isArray(rows)) {
+    throw new Error(`Data file must contain a JSON array: ${path}`);
+  }
+  return rows;
+}
+
+/**
+ * PDF document generator
+ */
+export class DocumentGenerator {
+  /**
+   * Initialize document generator
+   * @param {CloudflareBrowserRenderingClient} client - Client
+   * @param {Object} options - Options
+   * @param {string} options.template - Template HTML
+   * @param {Object} [options.assets] - Asset references
+   * @param {Array<string>} [options.assets.styles] - CSS files inlined into the document
+   * @param {Object} [options.assets.images] - Image files by name, available as {{ assets.<name> }} data URIs
+   * @param {string} [options.baseDir] - Directory that relative asset paths are resolved against
+   * @param {Object} [options.pdfOptions] - client.pdf() options; headerTemplate/footerTemplate may use placeholders
+   */
+  constructor(client, options) {
+    this.client = client;
+    this.template = options.template;
+    this.assets = options.assets || {};
+    this.baseDir = options.baseDir || '';
+    this.pdfOptions = options.pdfOptions || {};
+    this._nodes = parseTemplate(this.template);
+    this._loadedAssets = null;
+  }
+
+  /**
+   * Create a document generator from a template file
+   * Relative asset paths are resolved against the template's directory
+   * @param {CloudflareBrowserRenderingClient} client - Client
+   * @param {string} templatePath - Template file path
+   * @param {Object} [options] - Generator options (without template)
+   * @returns {Promise<DocumentGenerator>}
+   */
+  static async fromFile(client, templatePath, options = {}) {
+    const template = await getFileHandlers().readFile(templatePath);
+    const baseDir = templatePath.includes('/') ? templatePath.slice(0, templatePath.lastIndexOf('/') + 1) : '';
+    return new DocumentGenerator(client, { baseDir, ...options, template });
+  }
+
+  /**
+   * Resolve an asset path
+   * @private
+   * @param {string} path - Asset path
+   * @returns {string}
+   */
+  _resolvePath(path) {
+    if (path.startsWith('/') || /^[A-Za-z]:[\\/]/.test(path) || !this.baseDir) {
+      return path;
+    }
+    return this.baseDir.endsWith('/') ? this.baseDir + path : `${this.baseDir}/${path}`;
+  }
+
+  /**
+   * Read and encode assets once
+   * @private
+   * @returns {Promise<Object>} { styles, images }
+   */
+  async _loadAssets() {
+    if (this._loadedAssets) return this._loadedAssets;
+
+    const fileHandlers = getFileHandlers();
+    const styles = [];
+    for (const path of this.assets.styles || []) {
+      styles.push(await fileHandlers.readFile(this._resolvePath(path)));
+    }
+
+    const images = {};
+    for (const [name, path] of Object.entries(this.assets.images || {})) {
+      if (/^(data|https?):/.test(path)) {
+        images[name] = path;
+        continue;
+      }
+      const extension = path.split('.').pop().toLowerCase();
+      const bytes = await fileHandlers.readBinary(this._resolvePath(path));
+      images[name] = `data:${assetMimeTypes[extension] || 'application/octet-stream'};base64,${bytesToBase64(new Uint8Array(bytes))}`;
+    }
+
+    this._loadedAssets = { styles, images };
+    return this._loadedAssets;
+  }
+
+  /**
+   * Render the template into a self-contained HTML string
+   * @param {Object} data - Data object
+   * @returns {Promise<string>} HTML
+   */
+  async render(data) {
+    const { styles, images } = await this._loadAssets();
+    let html = renderNodes(this._nodes, [{ value: { ...data, assets: images }, index: 0 }]);
+
+    if (styles.length > 0) {
+      const styleTags = styles.map(css => `<style>\n${css}\n</style>`).join('\n');
+      html = /<\/head>/i.test(html)
+        ? html.replace(/<\/head>/i, () => `${styleTags}\n</head>`)
+        : `${styleTags}\n${html}`;
+    }
+
+    return html;
+  }
+
+  /**
+   * Render the template and generate a PDF
+   * @param {Object} data - Data object
+   * @param {Object} [pdfOptions] - Per-document client.pdf() options
+   * @returns {Promise<Uint8Array|Buffer|Blob|Object>} PDF data, or { data, ...metadata } with withMeta
+   */
+  async generate(data, pdfOptions = {}) {
+    const html = await this.render(data);
+    const options = { ...this.pdfOptions, ...pdfOptions };
+
+    for (const key of ['headerTemplate', 'footerTemplate']) {
+      if (options[key]) {
+        options[key] = renderTemplate(options[key], data);
+      }
+    }
+    if ((options.headerTemplate || options.footerTemplate) && options.displayHeaderFooter === undefined) {
+      options.displayHeaderFooter = true;
+    }
+
+    return this.client.pdf({ html }, options);
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Error classes for Cloudflare Browser Rendering API
+ * Supports Deno, Node.js, and modern browsers
+ */
+
+import { getErrorInfo } from './config.js';
+
+/**
+ * Base error for all Browser Rendering API failures
+ */
+export class BrowserRenderingError extends Error {
+  /**
+   * Cloudflare error code used for remediation text when the response carries none
+   * @type {string|null}
+   */
+  static defaultCode = null;
+
+  /**
+   * Initialize error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string|number} [details.code] - Cloudflare error code (errors[0].code)
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.endpoint] - API endpoint (screenshot, pdf, ...)
+   * @param {string} [details.requestUrl] - Full API URL that was called
+   * @param {string} [details.url] - Target web page URL
+   * @param {number} [details.browserMsUsed=0] - Value of x-browser-ms-used
+   * @param {Array} [details.errors] - Raw errors array from the response
+   * @param {number} [details.retryAfter] - Retry-After delay (milliseconds)
+   * @param {string} [details.requestId] - Request ID (cf-ray header)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code != null ? String(details.code) : this.constructor.defaultCode;
+    this.status = details.status ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.requestUrl = details.requestUrl ?? null;
+    this.url = details.url ?? null;
+    this.browserMsUsed = details.browserMsUsed ?? 0;
+    this.errors = details.errors || [];
+    this.retryAfter = details.retryAfter ?? null;
+    this.requestId = details.requestId ?? null;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+
+    const info = getErrorInfo(this.code);
+    this.description = info.description;
+    this.solution = info.solution;
+  }
+
+  /**
+   * Serialize error for logs and results files
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      status: this.status,
+      endpoint: this.endpoint,
+      requestUrl: this.requestUrl,
+      url: this.url,
+      browserMsUsed: this.browserMsUsed,
+      requestId: this.requestId,
+      description: this.description,
+      solution: this.solution
+    };
+  }
+}
+
+/**
+ * Invalid or expired API token (10000, HTTP 401/403)
+ */
+export class AuthenticationError extends BrowserRenderingError {
+  static defaultCode = '10000';
+}
+
+/**
+ * Malformed request (10020, HTTP 400)
+ */
+export class InvalidRequestError extends BrowserRenderingError {
+  static defaultCode = '10020';
+}
+
+/**
+ * Request options rejected by local validation (request was not sent)
+ */
+export class ValidationError extends InvalidRequestError {
+  /**
+   * Initialize error
+   * @param {Array<string>} problems - Every problem found in the request
+   * @param {Object} [details] - Error details (see BrowserRenderingError)
+   */
+  constructor(problems, details = {}) {
+    const target = details.endpoint ? ` ${details.endpoint}` : '';
+    super(`Invalid${target} request:\n` + problems.map(p => `  - ${p}`).join('\n'), details);
+    this.problems = problems;
+    this.description = 'Request options failed local validation';
+    this.solution = 'Fix the listed options; the request was not sent';
+  }
+
+  /**
+   * Serialize error for logs and results files
+   * @returns {Object}
+   */
+  toJSON() {
+    return { ...super.toJSON(), problems: this.problems };
+  }
+}
+
+/**
+ * Page load timeout (10030)
+ */
+export class TimeoutError extends BrowserRenderingError {
+  static defaultCode = '10030';
+}
+
+/**
+ * Client-side deadline (requestTimeout) reached before the request completed
+ */
+export class RequestTimeoutError extends TimeoutError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.description = 'Request did not complete within the client deadline';
+    this.solution = 'Raise requestTimeout, lower retry attempts, or check API latency';
+  }
+}
+
+/**
+ * Request cancelled through an AbortSignal
+ */
+export class RequestAbortedError extends BrowserRenderingError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.description = 'Request cancelled by the caller';
+    this.solution = 'No action needed; send the request again to retry it';
+  }
+}
+
+/**
+ * Navigation failed (10031)
+ */
+export class NavigationError extends BrowserRenderingError {
+  static defaultCode = '10031';
+}
+
+/**
+ * Element not found (10040)
+ */
+export class ElementNotFoundError extends BrowserRenderingError {
+  static defaultCode = '10040';
+}
+
+/**
+ * Request rate limit exceeded (10050, HTTP 429)
+ */
+export class RateLimitError extends BrowserRenderingError {
+  static defaultCode = '10050';
+}
+
+/**
+ * Browser time quota exceeded (10051)
+ */
+export class QuotaExceededError extends BrowserRenderingError {
+  static defaultCode = '10051';
+}
+
+/**
+ * Client-side browser time budget exhausted (request was not sent)
+ */
+export class BudgetExceededError extends QuotaExceededError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.description = 'Configured browser time budget exhausted';
+    this.solution = 'Wait for the budget period to reset, raise maxBrowserMs, or reduce browser time per request';
+  }
+}
+
+/**
+ * Request never reached the API or the connection failed
+ */
+export class NetworkError extends BrowserRenderingError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.description = 'Network request failed';
+    this.solution = 'Check network connectivity and that the API base URL is reachable';
+  }
+}
+
+/**
+ * API returned a response that does not match the endpoint's expected format
+ */
+export class InvalidResponseError extends BrowserRenderingError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.description = 'Unexpected response format';
+    this.solution = 'Check the request options and retry; report the response if it persists';
+  }
+}
+
+/**
+ * Invalid batch job manifest
+ */
+export class ManifestError extends Error {
+  /**
+   * Initialize error
+   * @param {Array<string>} problems - Every problem found in the manifest
+   * @param {string} [source] - Manifest file path
+   */
+  constructor(problems, source) {
+    const location = source ? ` (${source})` : '';
+    super(`Invalid job manifest${location}:\n` + problems.map(p => `  - ${p}`).join('\n'));
+    this.name = 'ManifestError';
+    this.problems = problems;
+    this.source = source || null;
+  }
+}
+
+/**
+ * Batch output storage failure (e.g. an S3 PUT rejected by the bucket)
+ */
+export class StorageError extends Error {
+  /**
+   * Initialize error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.key] - Object key or file path
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.code] - Storage error code (e.g. NoSuchBucket)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'StorageError';
+    this.key = details.key ?? null;
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+  }
+}
+
+const errorClassesByCode = {
+  '10000': AuthenticationError,
+  '10020': InvalidRequestError,
+  '10030': TimeoutError,
+  '10031': NavigationError,
+  '10040': ElementNotFoundError,
+  '10050': RateLimitError,
+  '10051': QuotaExceededError
+};
+
+const errorClassesByStatus = {
+  400: InvalidRequestError,
+  401: AuthenticationError,
+  403: AuthenticationError,
+  429: RateLimitError
+};
+
+/**
+ * Create the typed error matching an API error response
+ * @param {string} message - Error message
+ * @param {Object} details - Error details (see BrowserRenderingError)
+ * @returns {BrowserRenderingError}
+ */
+export function createApiError(message, details = {}) {
+  const ErrorClass = errorClassesByCode[String(details.code)] ||
+    errorClassesByStatus[details.status] ||
+    BrowserRenderingError;
+  return new ErrorClass(message, details);
+}
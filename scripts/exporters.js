@@ -0,0 +1,237 @@
+/**
+ * Batch result exporters for Cloudflare Browser Rendering API
+ * Supports Deno, Node.js, and modern browsers
+ *
+ * Every exporter receives the same results table:
+ *   { kind, summary, columns: [[header, key], ...], records }
+ * where records are the batch results without extracted `data`.
+ *
+ * An exporter is an object with either
+ *   extension + format(table) => string   written to <outputDir>/<kind>_results.<extension>
+ *   export(table, context) => Promise      custom output; context is { outputDir, writeFile(path, data) }
+ *
+ * Usage:
+ *   await processor.batchScreenshots(urls, './shots', { exporters: ['json', 'csv', 'sql'] });
+ *   await processor.batchLinks(urls, './links', { exporters: ['stdout', { extension: 'txt', format: (t) => ... }] });
+ */
+
+import { formatCsv } from './csv.js';
+
+/**
+ * Format a results table as CSV, ending with a TOTAL row
+ * @param {Object} table - Results table
+ * @returns {string}
+ */
+function formatCsvTable(table) {
+  const { summary, columns, records } = table;
+  const totalRow = columns.map(([, key]) => {
+    if (key === 'status') return `${summary.success}/${summary.total} succeeded`;
+    if (key === 'browserMsUsed') return summary.browserMsUsed;
+    return '';
+  });
+  totalRow[0] = 'TOTAL';
+
+  return formatCsv([
+    columns.map(([header]) => header),
+    ...records.map(record => columns.map(([, key]) => record[key])),
+    totalRow
+  ]);
+}
+
+/**
+ * Format a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Format a results table as a Markdown table with a summary line
+ * @param {Object} table - Results table
+ * @returns {string}
+ */
+function formatMarkdownTable(table) {
+  const { kind, summary, columns, records } = table;
+  return [
+    `**${kind}**: ${summary.success}/${summary.total} succeeded, browser time ${(summary.browserMsUsed / 1000).toFixed(1)}s`,
+    '',
+    `| ${columns.map(([header]) => markdownCell(header)).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...records.map(record => `| ${columns.map(([, key]) => markdownCell(record[key])).join(' | ')} |`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Identifier
+ * @returns {string}
+ */
+function sqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Format a value as an SQL literal
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQLite column type for a column's values
+ * @param {Array} values - Column values
+ * @returns {string} INTEGER, REAL or TEXT
+ */
+function sqlColumnType(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length > 0 && present.every(value => Number.isInteger(value) || typeof value === 'boolean')) return 'INTEGER';
+  if (present.length > 0 && present.every(value => typeof value === 'number')) return 'REAL';
+  return 'TEXT';
+}
+
+/**
+ * Format a results table as SQLite statements: CREATE TABLE plus one INSERT per record
+ * The table is named <kind>_results and columns use the result keys
+ * @param {Object} table - Results table
+ * @returns {string}
+ */
+function formatSqlInserts(table) {
+  const { kind, columns, records } = table;
+  const tableName = sqlIdentifier(`${kind}_results`);
+  const keys = columns.map(([, key]) => key);
+  const columnList = keys.map(sqlIdentifier).join(', ');
+
+  return [
+    'BEGIN TRANSACTION;',
+    `CREATE TABLE IF NOT EXISTS ${tableName} (${keys.map(key => `${sqlIdentifier(key)} ${sqlColumnType(records.map(r => r[key]))}`).join(', ')});`,
+    ...records.map(record => `INSERT INTO ${tableName} (${columnList}) VALUES (${keys.map(key => sqlLiteral(record[key])).join(', ')});`),
+    'COMMIT;',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Map each successful item to its output file(s), relative to the output directory
+ * Items with several outputs (snapshots) map to an array of paths
+ * @param {Object} table - Results table
+ * @param {string} outputDir - Output directory
+ * @returns {Object} { [url or id]: path | [paths] }
+ */
+function outputsManifest(table, outputDir) {
+  const [, keyField] = table.columns[0];
+  const relative = (path) => (path.startsWith(`${outputDir}/`) ? path.slice(outputDir.length + 1) : path);
+  const manifest = {};
+
+  for (const record of table.records) {
+    if (record.status !== 'success') continue;
+    const paths = [record.filepath, record.htmlFilepath].filter(Boolean).map(relative);
+    if (paths.length > 0) {
+      manifest[record[keyField]] = paths.length === 1 ? paths[0] : paths;
+    }
+  }
+  return manifest;
+}
+
+/**
+ * Built-in exporters
+ * - json: results array, plus <kind>_summary.json with the totals (default)
+ * - csv: RFC 4180 CSV with a TOTAL row (default)
+ * - jsonl: one JSON record per line
+ * - stdout: NDJSON records on stdout, for piping into other tools (batch progress then goes to stderr)
+ * - markdown: Markdown table with a summary line
+ * - sql: SQLite CREATE TABLE and INSERT statements
+ * - outputs: <kind>_outputs.json mapping each URL (or document ID) to its output path (default)
+ */
+export const resultExporters = {
+  json: {
+    export: async ({ kind, summary, records }, { outputDir, writeFile }) => {
+      await writeFile(`${outputDir}/${kind}_results.json`, JSON.stringify(records, null, 2));
+      await writeFile(`${outputDir}/${kind}_summary.json`, JSON.stringify(summary, null, 2));
+    }
+  },
+  csv: {
+    extension: 'csv',
+    format: formatCsvTable
+  },
+  jsonl: {
+    extension: 'jsonl',
+    format: ({ records }) => records.map(record => JSON.stringify(record) + '\n').join('')
+  },
+  stdout: {
+    export: async ({ records }) => {
+      for (const record of records) {
+        console.log(JSON.stringify(record));
+      }
+    }
+  },
+  markdown: {
+    extension: 'md',
+    format: formatMarkdownTable
+  },
+  sql: {
+    extension: 'sql',
+    format: formatSqlInserts
+  },
+  outputs: {
+    export: async (table, { outputDir, writeFile }) => {
+      await writeFile(`${outputDir}/${table.kind}_outputs.json`, JSON.stringify(outputsManifest(table, outputDir), null, 2));
+    }
+  }
+};
+
+/**
+ * Exporters used when a batch does not choose any
+ */
+export const defaultExporters = ['json', 'csv', 'outputs'];
+
+/**
+ * Resolve exporter names and objects
+ * @param {Array<string|Object>} [exporters=defaultExporters] - Built-in exporter names or exporter objects
+ * @returns {Array<Object>} Exporters
+ */
+export function resolveExporters(exporters = defaultExporters) {
+  return exporters.map(exporter => {
+    if (typeof exporter === 'string') {
+      if (!resultExporters[exporter]) {
+        throw new Error(`Unknown exporter "${exporter}" (available: ${Object.keys(resultExporters).join(', ')})`);
+      }
+      return resultExporters[exporter];
+    }
+    if (!exporter || (typeof exporter.export !== 'function' && !(typeof exporter.format === 'function' && exporter.extension))) {
+      throw new TypeError('Exporters need an export(table, context) function, or an extension and a format(table) function');
+    }
+    return exporter;
+  });
+}
+
+/**
+ * Run exporters over a results table
+ * @param {Object} table - Results table { kind, summary, columns, records }
+ * @param {Array<string|Object>} [exporters] - Exporters (see resolveExporters)
+ * @param {Object} context - { outputDir, writeFile(path, data) }
+ * @returns {Promise<Array<string>>} Paths of the files written by format-based exporters
+ */
+export async function exportResults(table, exporters, context) {
+  const written = [];
+  for (const exporter of resolveExporters(exporters)) {
+    if (typeof exporter.export === 'function') {
+      await exporter.export(table, context);
+    } else {
+      const path = `${context.outputDir}/${table.kind}_results.${exporter.extension}`;
+      await context.writeFile(path, exporter.format(table));
+      written.push(path);
+    }
+  }
+  return written;
+}
@@ -0,0 +1,239 @@
+/**
+ * Declarative batch job manifests for Cloudflare Browser Rendering API
+ * Supports Deno and Node.js
+ *
+ * Example manifest (JSON):
+ * {
+ *   "name": "nightly-homepages",
+ *   "endpoint": "screenshot",
+ *   "urlsFile": "urls.txt",
+ *   "device": "mobile",
+ *   "outputDir": "./screenshots",
+ *   "naming": "{host}/{path}/{index}-{hash}.{ext}",
+ *   "shard": "date",
+ *   "concurrency": 3,
+ *   "delay": 1000,
+ *   "retry": { "maxAttempts": 5 },
+ *   "exporters": ["json", "csv", "markdown"],
+ *   "options": { "fullPage": true }
+ * }
+ */
+
+import { devicePresets, getFileHandlers, isValidUrl } from './config.js';
+import { ManifestError } from './errors.js';
+import { resultExporters } from './exporters.js';
+import { namingPlaceholders, shardModes, templatePlaceholders } from './naming.js';
+
+/**
+ * Endpoints a job can run, mapped to BatchProcessor methods
+ */
+export const jobEndpoints = {
+  screenshot: 'batchScreenshots',
+  pdf: 'batchPdfs',
+  content: 'batchExtractContent',
+  markdown: 'batchExtractContent',
+  json: 'batchJsonExtract',
+  scrape: 'batchScrape',
+  snapshot: 'batchSnapshots',
+  links: 'batchLinks'
+};
+
+const manifestKeys = [
+  'name', 'description', 'endpoint', 'urls', 'urlsFile', 'options', 'device',
+  'outputDir', 'naming', 'concurrency', 'delay', 'retry', 'checkpoint', 'resume', 'exporters', 'shard'
+];
+
+/**
+ * Parse a URL list file: JSON array, or one URL per line (blank lines and # comments ignored)
+ * @param {string} content - File content
+ * @param {string} path - File path (used to detect JSON)
+ * @returns {Array<string>} URLs
+ */
+export function parseUrlList(content, path = '') {
+  if (path.endsWith('.json')) {
+    return JSON.parse(content);
+  }
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Validate a job manifest
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} [source] - Manifest file path, included in error messages
+ * @returns {Object} The manifest
+ * @throws {ManifestError} Listing every problem found
+ */
+export function validateJobManifest(manifest, source) {
+  const problems = [];
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new ManifestError(['manifest must be a JSON object'], source);
+  }
+
+  for (const key of Object.keys(manifest)) {
+    if (!manifestKeys.includes(key)) {
+      problems.push(`unknown field "${key}" (allowed: ${manifestKeys.join(', ')})`);
+    }
+  }
+
+  if (!manifest.endpoint) {
+    problems.push(`"endpoint" is required (one of: ${Object.keys(jobEndpoints).join(', ')})`);
+  } else if (!jobEndpoints[manifest.endpoint]) {
+    problems.push(`"endpoint" must be one of: ${Object.keys(jobEndpoints).join(', ')} (got "${manifest.endpoint}")`);
+  }
+
+  if (manifest.urls && manifest.urlsFile) {
+    problems.push('use either "urls" or "urlsFile", not both');
+  } else if (manifest.urlsFile !== undefined && typeof manifest.urlsFile !== 'string') {
+    problems.push('"urlsFile" must be a file path');
+  } else if (manifest.urls === undefined && manifest.urlsFile === undefined) {
+    problems.push('"urls" or "urlsFile" is required');
+  } else if (manifest.urls !== undefined) {
+    if (!Array.isArray(manifest.urls) || manifest.urls.length === 0) {
+      problems.push('"urls" must be a non-empty array');
+    } else {
+      manifest.urls.forEach((url, i) => {
+        if (typeof url !== 'string' || !isValidUrl(url)) {
+          problems.push(`urls[${i}] is not a valid URL: ${JSON.stringify(url)}`);
+        }
+      });
+    }
+  }
+
+  if (!manifest.outputDir || typeof manifest.outputDir !== 'string') {
+    problems.push('"outputDir" is required and must be a string');
+  }
+
+  if (manifest.options !== undefined && (typeof manifest.options !== 'object' || Array.isArray(manifest.options) || manifest.options === null)) {
+    problems.push('"options" must be an object');
+  }
+
+  const options = manifest.options || {};
+  if (manifest.endpoint === 'json' && !options.prompt && !options.responseFormat) {
+    problems.push('"options.prompt" or "options.responseFormat" is required for the json endpoint');
+  }
+  if (manifest.endpoint === 'scrape' && (!Array.isArray(options.elements) || options.elements.length === 0)) {
+    problems.push('"options.elements" must be a non-empty array for the scrape endpoint');
+  }
+
+  if (manifest.device !== undefined && !devicePresets[manifest.device]) {
+    problems.push(`"device" must be one of: ${Object.keys(devicePresets).join(', ')} (got "${manifest.device}")`);
+  }
+
+  if (manifest.naming !== undefined) {
+    if (typeof manifest.naming !== 'string' || !manifest.naming) {
+      problems.push('"naming" must be a non-empty string');
+    } else {
+      for (const key of templatePlaceholders(manifest.naming)) {
+        if (!namingPlaceholders.includes(key)) {
+          problems.push(`"naming" uses unknown placeholder {${key}} (allowed: ${namingPlaceholders.map(k => `{${k}}`).join(', ')})`);
+        }
+      }
+    }
+  }
+
+  if (manifest.shard !== undefined && !shardModes[manifest.shard]) {
+    problems.push(`"shard" must be one of: ${Object.keys(shardModes).join(', ')} (got ${JSON.stringify(manifest.shard)})`);
+  }
+
+  if (manifest.concurrency !== undefined && !(Number.isInteger(manifest.concurrency) && manifest.concurrency > 0)) {
+    problems.push('"concurrency" must be a positive integer');
+  }
+
+  if (manifest.delay !== undefined && !(typeof manifest.delay === 'number' && manifest.delay >= 0)) {
+    problems.push('"delay" must be a non-negative number of milliseconds');
+  }
+
+  if (manifest.retry !== undefined && !['object', 'number', 'boolean'].includes(typeof manifest.retry)) {
+    problems.push('"retry" must be a retry policy object, an attempt count, or a boolean');
+  }
+
+  if (manifest.checkpoint !== undefined && !['string', 'boolean'].includes(typeof manifest.checkpoint)) {
+    problems.push('"checkpoint" must be a file path or a boolean');
+  }
+
+  if (manifest.exporters !== undefined) {
+    if (!Array.isArray(manifest.exporters) || manifest.exporters.length === 0) {
+      problems.push('"exporters" must be a non-empty array');
+    } else {
+      for (const name of manifest.exporters) {
+        if (!resultExporters[name]) {
+          problems.push(`"exporters" contains unknown exporter ${JSON.stringify(name)} (available: ${Object.keys(resultExporters).join(', ')})`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ManifestError(problems, source);
+  }
+
+  return manifest;
+}
+
+/**
+ * Load, resolve and validate a job manifest file
+ * `urlsFile`, `outputDir` and a `checkpoint` path are resolved relative to the manifest's directory
+ * @param {string} path - Manifest file path
+ * @returns {Promise<Object>} Validated manifest with `urls` populated
+ */
+export async function loadJobManifest(path) {
+  const fileHandlers = getFileHandlers();
+  const baseDir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+  const resolve = (p) => (p.startsWith('/') || /^[A-Za-z]:[\\/]/.test(p) ? p : baseDir + p);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fileHandlers.readFile(path));
+  } catch (error) {
+    throw new ManifestError([`cannot read manifest: ${error.message}`], path);
+  }
+
+  validateJobManifest(manifest, path);
+
+  if (manifest.urlsFile) {
+    const urlsPath = resolve(manifest.urlsFile);
+    let urls;
+    try {
+      urls = parseUrlList(await fileHandlers.readFile(urlsPath), urlsPath);
+    } catch (error) {
+      throw new ManifestError([`cannot read "urlsFile" ${urlsPath}: ${error.message}`], path);
+    }
+
+    const { urlsFile, ...rest } = manifest;
+    manifest = validateJobManifest({ ...rest, urls }, path);
+  }
+
+  const resolved = { ...manifest, outputDir: resolve(manifest.outputDir) };
+  if (typeof manifest.checkpoint === 'string') resolved.checkpoint = resolve(manifest.checkpoint);
+  return resolved;
+}
+
+/**
+ * Convert a validated manifest into batch method options
+ * @param {Object} manifest - Validated manifest
+ * @returns {Object} Batch options
+ */
+export function manifestToBatchOptions(manifest) {
+  const options = { ...manifest.options };
+
+  if (manifest.device) {
+    options.viewport = options.viewport || devicePresets[manifest.device].viewport;
+  }
+  if (manifest.endpoint === 'content' || manifest.endpoint === 'markdown') {
+    options.contentType = manifest.endpoint === 'content' ? 'html' : 'markdown';
+  }
+  if (manifest.naming) options.filenameTemplate = manifest.naming;
+  if (manifest.shard) options.shard = manifest.shard;
+  if (manifest.concurrency) options.maxWorkers = manifest.concurrency;
+  if (manifest.delay !== undefined) options.delay = manifest.delay;
+  if (manifest.retry !== undefined) options.retry = manifest.retry;
+  if (manifest.checkpoint !== undefined) options.checkpoint = manifest.checkpoint;
+  if (manifest.resume !== undefined) options.resume = manifest.resume;
+  if (manifest.exporters) options.exporters = manifest.exporters;
+
+  return options;
+}
@@ -0,0 +1,234 @@
+/**
+ * Local stand-in for S3-compatible object storage (R2, MinIO), for testing S3Storage offline
+ * Supports PUT, GET, HEAD and DELETE of objects with path-style URLs, and checks
+ * AWS Signature Version 4 and the payload hash when credentials are configured
+ * Supports Node.js and Deno (node:http)
+ *
+ * Usage:
+ *   node scripts/mock-s3-server.js [--port 9000] [--access-key KEY --secret-key SECRET]
+ *
+ *   const server = await startMockS3Server({ accessKeyId: 'test', secretAccessKey: 'secret' });
+ *   const storage = new S3Storage({ endpoint: server.url, bucket: 'outputs', accessKeyId: 'test', secretAccessKey: 'secret' });
+ *   server.objects.get('outputs/shots/example_com.png')  // { body, contentType, metadata, etag, lastModified }
+ */
+
+import { signAwsRequest } from './storage.js';
+
+/**
+ * S3 XML error body
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {string}
+ */
+function errorXml(code, message) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${message}</Message></Error>`;
+}
+
+/**
+ * Mock S3-compatible server
+ */
+export class MockS3Server {
+  /**
+   * Initialize mock server
+   * @param {Object} [options] - Options
+   * @param {string} [options.accessKeyId] - Require requests signed with this access key
+   * @param {string} [options.secretAccessKey] - Secret used to verify signatures
+   * @param {Array<string>} [options.buckets] - Existing buckets (default: any bucket exists)
+   */
+  constructor(options = {}) {
+    this.accessKeyId = options.accessKeyId || null;
+    this.secretAccessKey = options.secretAccessKey || null;
+    this.buckets = options.buckets || null;
+    this.objects = new Map();
+    this.requests = [];
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port (0 picks a free port)
+   * @param {string} [host='127.0.0.1'] - Host
+   * @returns {Promise<Object>} { url } - endpoint for S3Storage
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    const http = await import('node:http');
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => {
+        res.writeHead(500, { 'content-type': 'application/xml' });
+        res.end(errorXml('InternalError', error.message));
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    return { url: `http://${host}:${this.server.address().port}` };
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Check the request signature
+   * @private
+   * @param {IncomingMessage} req - Request
+   * @param {Buffer} body - Request body
+   * @returns {Promise<string|null>} Error code, or null if the request is authorized
+   */
+  async _authorize(req, body) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+      .exec(req.headers.authorization || '');
+    if (!match) return 'AccessDenied';
+
+    const [, accessKeyId, , region, service, signedHeaders, signature] = match;
+    if (accessKeyId !== this.accessKeyId) return 'InvalidAccessKeyId';
+
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    const digest = await crypto.subtle.digest('SHA-256', body);
+    const actualHash = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== actualHash) return 'XAmzContentSHA256Mismatch';
+
+    const amzDate = req.headers['x-amz-date'] || '';
+    const date = new Date(`${amzDate.slice(0, 4)}-${amzDate.slice(4, 6)}-${amzDate.slice(6, 11)}:${amzDate.slice(11, 13)}:${amzDate.slice(13, 15)}Z`);
+    if (Number.isNaN(date.getTime()) || Math.abs(Date.now() - date.getTime()) > 15 * 60 * 1000) return 'RequestTimeTooSkewed';
+
+    const headers = Object.fromEntries(
+      signedHeaders.split(';')
+        .filter(name => !['host', 'x-amz-date', 'x-amz-content-sha256', 'x-amz-security-token'].includes(name))
+        .map(name => [name, req.headers[name] ?? ''])
+    );
+    const expected = await signAwsRequest(
+      { method: req.method, url: `http://${req.headers.host}${req.url}`, headers, payloadHash },
+      {
+        accessKeyId,
+        secretAccessKey: this.secretAccessKey,
+        sessionToken: req.headers['x-amz-security-token'],
+        region,
+        service
+      },
+      date
+    );
+    return expected.authorization.endsWith(`Signature=${signature}`) ? null : 'SignatureDoesNotMatch';
+  }
+
+  /**
+   * Handle a request
+   * @private
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   */
+  async _handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    const [bucket, ...keyParts] = new URL(req.url, 'http://localhost').pathname.slice(1).split('/').map(decodeURIComponent);
+    const key = keyParts.join('/');
+    this.requests.push({ method: req.method, bucket, key, headers: req.headers, size: body.byteLength, receivedAt: Date.now() });
+
+    const fail = (status, code, message = code) => {
+      res.writeHead(status, { 'content-type': 'application/xml' });
+      res.end(req.method === 'HEAD' ? undefined : errorXml(code, message));
+    };
+
+    if (this.accessKeyId) {
+      const denied = await this._authorize(req, body);
+      if (denied) return fail(403, denied, 'Request signature check failed');
+    }
+    if (!bucket || (this.buckets && !this.buckets.includes(bucket))) {
+      return fail(404, 'NoSuchBucket', `Bucket "${bucket}" does not exist`);
+    }
+    if (!key) {
+      return fail(400, 'InvalidRequest', 'Only object requests are supported');
+    }
+
+    const id = `${bucket}/${key}`;
+    if (req.method === 'PUT') {
+      const { createHash } = await import('node:crypto');
+      const etag = `"${createHash('md5').update(body).digest('hex')}"`;
+      const metadata = Object.fromEntries(
+        Object.entries(req.headers)
+          .filter(([name]) => name.startsWith('x-amz-meta-'))
+          .map(([name, value]) => [name.slice('x-amz-meta-'.length), value])
+      );
+      this.objects.set(id, {
+        body,
+        contentType: req.headers['content-type'] || 'application/octet-stream',
+        metadata,
+        etag,
+        lastModified: new Date()
+      });
+      res.writeHead(200, { etag });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const object = this.objects.get(id);
+      if (!object) return fail(404, 'NoSuchKey', `Object "${key}" does not exist`);
+      res.writeHead(200, {
+        'content-type': object.contentType,
+        'content-length': object.body.byteLength,
+        etag: object.etag,
+        'last-modified': object.lastModified.toUTCString(),
+        ...Object.fromEntries(Object.entries(object.metadata).map(([name, value]) => [`x-amz-meta-${name}`, value]))
+      });
+      res.end(req.method === 'GET' ? object.body : undefined);
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      this.objects.delete(id);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    fail(405, 'MethodNotAllowed', `${req.method} is not supported`);
+  }
+}
+
+/**
+ * Start a mock S3 server
+ * @param {Object} [options] - MockS3Server options, plus port and host
+ * @returns {Promise<MockS3Server>} Listening server with `url` set
+ */
+export async function startMockS3Server(options = {}) {
+  const server = new MockS3Server(options);
+  Object.assign(server, await server.listen(options.port, options.host));
+  return server;
+}
+
+const isEntrypoint = import.meta.main ?? (
+  typeof process !== 'undefined' &&
+  process.argv[1] !== undefined &&
+  import.meta.url === (await import('url')).pathToFileURL(process.argv[1]).href
+);
+
+if (isEntrypoint) {
+  const args = typeof Deno !== 'undefined' ? Deno.args : process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const server = await startMockS3Server({
+    port: Number(flag('port') || 9000),
+    accessKeyId: flag('access-key'),
+    secretAccessKey: flag('secret-key')
+  });
+
+  console.log(`Mock S3 server listening on ${server.url}`);
+  console.log(`Use endpoint: ${server.url} (any bucket name)`);
+}
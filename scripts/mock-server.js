@@ -0,0 +1,268 @@
+/**
+ * Local mock of the Cloudflare Browser Rendering API for offline use
+ * Point the client or BatchProcessor at it with `baseUrl`
+ * Supports Node.js and Deno (node:http)
+ *
+ * Usage:
+ *   node scripts/mock-server.js [--port 8787] [--fixtures fixtures.json] [--latency 200] [--token TOKEN]
+ *
+ * Fixture format (per endpoint; an array is served in sequence, the last entry repeating;
+ * fixtures without error/result/body/base64 keep the default response):
+ * {
+ *   "screenshot": { "browserMsUsed": 1200 },
+ *   "content": { "result": "<html>...</html>", "latency": 500 },
+ *   "pdf": [{ "error": "10030" }, { "base64": "JVBERi0..." }]
+ * }
+ *
+ * Fixture fields:
+ *   result         JSON endpoint result (wrapped as { success: true, result })
+ *   base64 / body  Raw response body (binary endpoints)
+ *   error          Cloudflare error code; status follows the code (401, 400, 429, otherwise 422)
+ *   status         HTTP status override
+ *   headers        Extra response headers
+ *   contentType    Content-Type override
+ *   latency        Delay before responding (milliseconds)
+ *   browserMsUsed  Value of x-browser-ms-used
+ *   retryAfter     Retry-After header (seconds)
+ */
+
+import { errorCodes, getFileHandlers } from './config.js';
+
+/**
+ * 1x1 transparent PNG
+ */
+const samplePng = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * Minimal PDF document
+ */
+const samplePdf = '%PDF-1.4\n1 0 obj <</Type /Catalog /Pages 2 0 R>> endobj\n2 0 obj <</Type /Pages /Kids [] /Count 0>> endobj\ntrailer <</Root 1 0 R>>\n%%EOF\n';
+
+const sampleHtml = '<!DOCTYPE html><html><head><title>Mock Page</title></head><body><h1>Mock Page</h1><a href="https://example.com/about">About</a></body></html>';
+
+/**
+ * Default fixture per endpoint
+ */
+export const defaultFixtures = {
+  screenshot: { base64: samplePng, contentType: 'image/png' },
+  pdf: { body: samplePdf, contentType: 'application/pdf' },
+  content: { result: sampleHtml },
+  markdown: { result: '# Mock Page\n\n[About](https://example.com/about)\n' },
+  json: { result: { title: 'Mock Page' } },
+  scrape: {
+    result: [{ selector: 'h1', results: [{ text: 'Mock Page', html: 'Mock Page', attributes: [], height: 37, width: 800, top: 21, left: 8 }] }]
+  },
+  snapshot: { result: { screenshot: samplePng, content: sampleHtml } },
+  links: { result: ['https://example.com/about'] }
+};
+
+/**
+ * HTTP status returned for Cloudflare error codes
+ */
+const errorStatuses = {
+  '10000': 401,
+  '10020': 400,
+  '10050': 429,
+  '10051': 429
+};
+
+/**
+ * Mock Browser Rendering API server
+ */
+export class MockBrowserRenderingServer {
+  /**
+   * Initialize mock server
+   * @param {Object} [options] - Options
+   * @param {Object} [options.fixtures] - Fixtures by endpoint, merged over defaultFixtures
+   * @param {number} [options.latency=0] - Default delay before every response (milliseconds)
+   * @param {number} [options.browserMsUsed=1000] - Default x-browser-ms-used value
+   * @param {string} [options.apiToken] - Reject requests without this bearer token (10000)
+   */
+  constructor(options = {}) {
+    this.fixtures = { ...defaultFixtures, ...options.fixtures };
+    this.latency = options.latency || 0;
+    this.browserMsUsed = options.browserMsUsed ?? 1000;
+    this.apiToken = options.apiToken || null;
+    this.requests = [];
+    this.server = null;
+    this._calls = {};
+  }
+
+  /**
+   * Replace the fixture of an endpoint
+   * @param {string} endpoint - API endpoint
+   * @param {Object|Array<Object>|Function} fixture - Fixture, fixture sequence, or (request) => fixture
+   */
+  setFixture(endpoint, fixture) {
+    this.fixtures[endpoint] = fixture;
+    this._calls[endpoint] = 0;
+  }
+
+  /**
+   * Forget recorded requests and restart fixture sequences
+   */
+  reset() {
+    this.requests = [];
+    this._calls = {};
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port (0 picks a free port)
+   * @param {string} [host='127.0.0.1'] - Host
+   * @returns {Promise<Object>} { url, baseUrl } - baseUrl is ready for the client's baseUrl option
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    const http = await import('node:http');
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => {
+        res.writeHead(500, { 'content-type': 'text/plain' });
+        res.end(`Mock server error: ${error.message}`);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const url = `http://${host}:${this.server.address().port}`;
+    return { url, baseUrl: `${url}/client/v4/accounts/mock-account/browser-rendering` };
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Pick the fixture for a request
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} request - Recorded request
+   * @returns {Promise<Object>} Fixture
+   */
+  async _fixtureFor(endpoint, request) {
+    let fixture = this.fixtures[endpoint];
+    if (typeof fixture === 'function') {
+      fixture = await fixture(request);
+    }
+    if (Array.isArray(fixture)) {
+      const call = this._calls[endpoint] || 0;
+      this._calls[endpoint] = call + 1;
+      fixture = fixture[Math.min(call, fixture.length - 1)];
+    }
+    fixture = fixture || {};
+
+    // Fixtures that only tweak latency, headers, ... keep the default response body
+    const hasResponse = ['error', 'result', 'body', 'base64'].some(key => fixture[key] !== undefined);
+    return hasResponse ? fixture : { ...defaultFixtures[endpoint], ...fixture };
+  }
+
+  /**
+   * Handle a request
+   * @private
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   */
+  async _handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf-8');
+    const endpoint = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean).pop();
+
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      // Recorded as-is; answered with 10020 below
+    }
+    const request = { method: req.method, endpoint, headers: req.headers, body, receivedAt: Date.now() };
+    this.requests.push(request);
+
+    let fixture;
+    if (req.method !== 'POST' || !defaultFixtures[endpoint]) {
+      fixture = { status: 404, error: '10020', message: `Unknown endpoint: ${req.method} ${req.url}` };
+    } else if (this.apiToken && req.headers.authorization !== `Bearer ${this.apiToken}`) {
+      fixture = { error: '10000' };
+    } else if (!body || (!body.url && !body.html)) {
+      fixture = { error: '10020', message: 'url or html is required' };
+    } else {
+      fixture = await this._fixtureFor(endpoint, request);
+    }
+
+    const latency = fixture.latency ?? this.latency;
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    const headers = {
+      'cf-ray': `${Math.random().toString(16).slice(2, 18).padEnd(16, '0')}-MOCK`,
+      'x-browser-ms-used': String(fixture.browserMsUsed ?? this.browserMsUsed),
+      ...(fixture.retryAfter !== undefined ? { 'retry-after': String(fixture.retryAfter) } : {}),
+      ...fixture.headers
+    };
+
+    if (fixture.error) {
+      const code = String(fixture.error);
+      const message = fixture.message || errorCodes[code]?.message || 'Mock error';
+      res.writeHead(fixture.status || errorStatuses[code] || 422, { ...headers, 'content-type': 'application/json' });
+      res.end(JSON.stringify({ success: false, errors: [{ code: Number(code), message }], messages: [], result: null }));
+      return;
+    }
+
+    if (fixture.base64 !== undefined || fixture.body !== undefined) {
+      const data = fixture.base64 !== undefined ? Buffer.from(fixture.base64, 'base64') : Buffer.from(fixture.body);
+      res.writeHead(fixture.status || 200, { ...headers, 'content-type': fixture.contentType || 'application/octet-stream' });
+      res.end(data);
+      return;
+    }
+
+    res.writeHead(fixture.status || 200, { ...headers, 'content-type': fixture.contentType || 'application/json' });
+    res.end(JSON.stringify({ success: true, errors: [], messages: [], result: fixture.result ?? null }));
+  }
+}
+
+/**
+ * Start a mock server
+ * @param {Object} [options] - MockBrowserRenderingServer options, plus port and host
+ * @returns {Promise<MockBrowserRenderingServer>} Listening server with `url` and `baseUrl` set
+ */
+export async function startMockServer(options = {}) {
+  const server = new MockBrowserRenderingServer(options);
+  Object.assign(server, await server.listen(options.port, options.host));
+  return server;
+}
+
+const isEntrypoint = import.meta.main ?? (
+  typeof process !== 'undefined' &&
+  process.argv[1] !== undefined &&
+  import.meta.url === (await import('url')).pathToFileURL(process.argv[1]).href
+);
+
+if (isEntrypoint) {
+  const args = typeof Deno !== 'undefined' ? Deno.args : process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const fixturesPath = flag('fixtures');
+  const server = await startMockServer({
+    port: Number(flag('port') || 8787),
+    latency: Number(flag('latency') || 0),
+    apiToken: flag('token'),
+    fixtures: fixturesPath ? JSON.parse(await getFileHandlers().readFile(fixturesPath)) : undefined
+  });
+
+  console.log(`Mock Browser Rendering API listening on ${server.url}`);
+  console.log(`Use baseUrl: ${server.baseUrl}`);
+}
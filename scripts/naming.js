@@ -0,0 +1,209 @@
+/**
+ * Output naming for batch jobs: filename templates, sharding and collision-safe paths
+ * Supports Deno, Node.js, and modern browsers
+ *
+ * Template placeholders:
+ *   {domain}     Host with dots replaced by underscores (example_com)
+ *   {host}       Host (example.com)
+ *   {path}       URL path; its segments become subdirectories ("index" for "/")
+ *   {query}      Query string without "?"
+ *   {hash}       8-character hash of the URL
+ *   {index}      1-based position in the batch
+ *   {timestamp}  Processing time (20261018T120000)
+ *   {date}       Processing date (2026-10-18)
+ *   {ext}        File extension (appended when the template has no {ext})
+ * plus any extra values supplied by the batch (e.g. data row fields for documents).
+ * Unknown placeholders are rejected.
+ *
+ * "/" in a template creates subdirectories. Each path segment goes through
+ * sanitizeFilename and is cut to maxSegmentBytes (keeping a hash of the full
+ * segment), and names already used by the batch get a -2, -3, ... suffix.
+ */
+
+import { sanitizeFilename } from './config.js';
+
+/**
+ * Placeholders available in every naming template
+ */
+export const namingPlaceholders = ['domain', 'host', 'path', 'query', 'hash', 'index', 'timestamp', 'date', 'ext'];
+
+/**
+ * Longest rendered path segment in UTF-8 bytes, leaving room for a -N suffix and extension
+ * within the common 255-byte file name limit
+ */
+export const maxSegmentBytes = 200;
+
+/**
+ * Directory sharding modes: prefix each name with {host}/ or {date}/
+ */
+export const shardModes = {
+  host: '{host}/',
+  date: '{date}/'
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text
+ * @returns {string} 8 hex characters
+ */
+export function shortHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Placeholder values derived from a URL
+ * @param {string} url - URL (may be empty for items without one)
+ * @returns {Object} { domain, host, path, query, hash }
+ */
+export function urlPlaceholders(url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // Not a URL: host-based placeholders fall back to "unknown"
+  }
+
+  const host = parsed ? parsed.hostname : 'unknown';
+  return {
+    domain: host.replace(/\./g, '_'),
+    host,
+    path: parsed ? parsed.pathname.split('/').filter(Boolean).join('/') || 'index' : 'index',
+    query: parsed ? parsed.search.slice(1) : '',
+    hash: shortHash(url || '')
+  };
+}
+
+/**
+ * Placeholder names used in a naming template
+ * @param {string} template - Naming template
+ * @returns {Array<string>}
+ */
+export function templatePlaceholders(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map(([, key]) => key);
+}
+
+/**
+ * Cut a path segment to maxSegmentBytes, replacing the cut part with a hash of the whole segment
+ * @param {string} segment - Sanitized path segment
+ * @param {string} [ext] - File extension kept at the end when the segment carries it
+ * @returns {string}
+ */
+function truncateSegment(segment, ext) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(segment).length <= maxSegmentBytes) {
+    return segment;
+  }
+
+  // Hash without the extension so outputs of one item sharing a base name keep sharing it
+  const tail = ext && segment.endsWith(`.${ext}`) ? `.${ext}` : '';
+  const base = segment.slice(0, segment.length - tail.length);
+  const suffix = `-${shortHash(base)}${tail}`;
+  let budget = maxSegmentBytes - encoder.encode(suffix).length;
+  let head = '';
+  for (const char of base) {
+    budget -= encoder.encode(char).length;
+    if (budget < 0) break;
+    head += char;
+  }
+  return head + suffix;
+}
+
+/**
+ * Render a naming template to a relative path
+ * @param {string} template - Naming template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Relative path with sanitized segments of at most maxSegmentBytes
+ * @throws {Error} When the template uses a placeholder without a value
+ */
+export function renderNamingTemplate(template, values) {
+  const rendered = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (values[key] === undefined || values[key] === null) {
+      throw new Error(`Naming template placeholder ${match} has no value`);
+    }
+    return values[key];
+  });
+  return rendered
+    .split('/')
+    .filter(segment => segment !== '' && segment !== '.')
+    .map(segment => truncateSegment(segment === '..' ? '_' : sanitizeFilename(segment), values.ext))
+    .join('/');
+}
+
+/**
+ * Allocates unique output paths for one batch run
+ */
+export class OutputNamer {
+  /**
+   * Initialize output namer
+   * @param {Object} options - Options
+   * @param {string} options.outputDir - Output directory
+   * @param {string} [options.template='{domain}_{timestamp}'] - Naming template
+   * @param {string} [options.shard] - 'host' or 'date' to group outputs in subdirectories
+   * @param {Array<string>} [options.placeholders] - Extra placeholders the batch supplies values for
+   * @throws {Error} When the template uses an unknown placeholder
+   */
+  constructor(options) {
+    if (options.shard && !shardModes[options.shard]) {
+      throw new Error(`Unknown shard mode "${options.shard}" (use: ${Object.keys(shardModes).join(', ')})`);
+    }
+    this.outputDir = options.outputDir;
+    this.template = (options.shard ? shardModes[options.shard] : '') + (options.template || '{domain}_{timestamp}');
+    this._used = new Set();
+
+    const allowed = [...namingPlaceholders, ...(options.placeholders || [])];
+    const unknown = templatePlaceholders(this.template).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Naming template uses unknown placeholder ${unknown.map(key => `{${key}}`).join(', ')} (allowed: ${allowed.map(key => `{${key}}`).join(', ')})`);
+    }
+  }
+
+  /**
+   * Mark a path as taken (e.g. outputs of results resumed from a checkpoint)
+   * Paths are compared case-insensitively, as on macOS and Windows file systems
+   * @param {string} filepath - Output path (including outputDir)
+   */
+  reserve(filepath) {
+    this._used.add(filepath.toLowerCase());
+  }
+
+  /**
+   * Allocate output paths for an item, one per extension, sharing a unique base name
+   * @param {Object} item - Item
+   * @param {string} [item.url] - Item URL
+   * @param {number} item.index - Item index (0-based)
+   * @param {string} item.timestamp - Processing timestamp (see BatchProcessor#_getTimestamp)
+   * @param {Array<string>} extensions - File extensions, e.g. ['png'] or ['png', 'html']
+   * @param {Object} [extraValues] - Additional placeholder values
+   * @returns {Array<Object>} [{ filename, filepath }] - filename is relative to outputDir
+   */
+  allocate(item, extensions, extraValues = {}) {
+    const values = {
+      ...extraValues,
+      ...urlPlaceholders(item.url),
+      index: String(item.index + 1),
+      timestamp: item.timestamp,
+      date: `${item.timestamp.slice(0, 4)}-${item.timestamp.slice(4, 6)}-${item.timestamp.slice(6, 8)}`
+    };
+    const hasExt = this.template.includes('{ext}');
+
+    for (let copy = 1; ; copy++) {
+      const names = extensions.map(ext => {
+        const base = renderNamingTemplate(this.template, { ...values, ext });
+        const suffix = copy > 1 ? `-${copy}` : '';
+        if (!hasExt) return `${base}${suffix}.${ext}`;
+        return base.endsWith(`.${ext}`) ? `${base.slice(0, -ext.length - 1)}${suffix}.${ext}` : `${base}${suffix}`;
+      });
+      const paths = names.map(name => `${this.outputDir}/${name}`);
+
+      if (paths.every(path => !this._used.has(path.toLowerCase()))) {
+        paths.forEach(path => this.reserve(path));
+        return names.map((filename, i) => ({ filename, filepath: paths[i] }));
+      }
+    }
+  }
+}
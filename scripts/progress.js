@@ -0,0 +1,263 @@
+/**
+ * Batch progress events and renderers for Cloudflare Browser Rendering API
+ * Supports Deno, Node.js, and modern browsers
+ *
+ * Event types:
+ *   started       { total, pending, skipped }
+ *   item-start    { index, key }
+ *   item-success  { index, key, result }
+ *   item-error    { index, key, result, error }
+ *   retry         { url, endpoint, attempt, delay, error, code }
+ *   finished      { summary, outputDir }
+ *
+ * Every event also carries { type, kind, time } and the running totals
+ * { completed, total, success, failed, browserMsUsed, elapsedMs, throughput, etaMs }
+ * (throughput in items per minute; etaMs is null until the first item finishes)
+ */
+
+import { createProgressBar } from './config.js';
+
+/**
+ * Progress output modes
+ * - log: one line per item and a summary (default)
+ * - bar: live progress bar, errors and a summary
+ * - jsonl: one JSON event per line, for CI logs
+ * - quiet: no output
+ */
+export const progressModes = ['log', 'bar', 'jsonl', 'quiet'];
+
+/**
+ * Format a duration for humans
+ * @param {number} ms - Duration (milliseconds)
+ * @returns {string} e.g. "45s", "3m 05s", "1h 02m"
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Progress of one batch run
+ */
+export class BatchProgress {
+  /**
+   * Initialize batch progress
+   * @param {Object} options - Options
+   * @param {string} options.kind - Batch kind (screenshot, pdf, ...)
+   * @param {number} options.total - Number of items in the batch
+   * @param {Array<Function>} [options.listeners] - Event listeners `(event) => void`
+   */
+  constructor(options) {
+    this.kind = options.kind;
+    this.total = options.total;
+    this.listeners = (options.listeners || []).filter(Boolean);
+    this.startedAt = Date.now();
+    this.skipped = 0;
+    this.completed = 0;
+    this.success = 0;
+    this.failed = 0;
+    this.browserMsUsed = 0;
+  }
+
+  /**
+   * Running totals
+   * Throughput and ETA only count items processed by this run (not those reused from a checkpoint)
+   * @returns {Object} { completed, total, success, failed, browserMsUsed, elapsedMs, throughput, etaMs }
+   */
+  stats() {
+    const elapsedMs = Date.now() - this.startedAt;
+    const processed = this.completed - this.skipped;
+    const remaining = this.total - this.completed;
+
+    return {
+      completed: this.completed,
+      total: this.total,
+      success: this.success,
+      failed: this.failed,
+      browserMsUsed: this.browserMsUsed,
+      elapsedMs,
+      throughput: processed > 0 && elapsedMs > 0 ? Math.round((processed / elapsedMs) * 60000 * 10) / 10 : 0,
+      etaMs: processed > 0 ? Math.round((elapsedMs / processed) * remaining) : null
+    };
+  }
+
+  /**
+   * Emit an event to every listener
+   * Listener errors are reported and otherwise ignored so they never fail the batch
+   * @param {string} type - Event type
+   * @param {Object} [fields] - Event fields
+   */
+  emit(type, fields = {}) {
+    const event = { type, kind: this.kind, time: new Date().toISOString(), ...fields, ...this.stats() };
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Progress listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Batch started
+   * @param {Array} skippedResults - Results reused from a checkpoint
+   */
+  start(skippedResults = []) {
+    this.startedAt = Date.now();
+    for (const result of skippedResults) {
+      this._count(result);
+    }
+    this.skipped = skippedResults.length;
+    this.emit('started', { pending: this.total - this.skipped, skipped: this.skipped });
+  }
+
+  /**
+   * Item started
+   * @param {number} index - Item index
+   * @param {string} key - Item URL or ID
+   */
+  itemStart(index, key) {
+    this.emit('item-start', { index, key });
+  }
+
+  /**
+   * Item finished
+   * @param {number} index - Item index
+   * @param {string} key - Item URL or ID
+   * @param {Object} result - Processing result
+   */
+  itemDone(index, key, result) {
+    this._count(result);
+    const { data, ...record } = result;
+    if (result.status === 'success') {
+      this.emit('item-success', { index, key, result: record });
+    } else {
+      this.emit('item-error', { index, key, result: record, error: result.error });
+    }
+  }
+
+  /**
+   * Request retry scheduled
+   * @param {Object} info - Client onRetry hook argument { error, attempt, delay, request }
+   */
+  retry({ error, attempt, delay, request }) {
+    this.emit('retry', {
+      url: request.body?.url ?? null,
+      endpoint: request.endpoint,
+      attempt,
+      delay,
+      error: error.message,
+      code: error.code ?? null
+    });
+  }
+
+  /**
+   * Batch finished
+   * @param {Object} summary - Batch summary (see BatchProcessor#_summarize)
+   * @param {string} outputDir - Output directory
+   */
+  finish(summary, outputDir) {
+    this.emit('finished', { summary, outputDir });
+  }
+
+  /**
+   * Count a finished result in the totals
+   * @private
+   * @param {Object} result - Processing result
+   */
+  _count(result) {
+    this.completed++;
+    if (result.status === 'success') {
+      this.success++;
+    } else {
+      this.failed++;
+    }
+    this.browserMsUsed += result.browserMsUsed || 0;
+  }
+}
+
+/**
+ * Write text to stdout or stderr without a trailing newline
+ * @param {string} stream - 'stdout' or 'stderr'
+ * @param {string} text - Text
+ */
+function writeStream(stream, text) {
+  if (typeof Deno !== 'undefined') {
+    Deno[stream].writeSync(new TextEncoder().encode(text));
+  } else if (typeof process !== 'undefined' && process[stream]) {
+    process[stream].write(text);
+  } else {
+    (stream === 'stderr' ? console.error : console.log)(text.replace(/^\r\x1b\[K|\n$/g, ''));
+  }
+}
+
+/**
+ * Check whether stdout or stderr is an interactive terminal
+ * @param {string} stream - 'stdout' or 'stderr'
+ * @returns {boolean}
+ */
+function streamIsTTY(stream) {
+  if (typeof Deno !== 'undefined') {
+    return Deno[stream].isTerminal();
+  }
+  return Boolean(typeof process !== 'undefined' && process[stream] && process[stream].isTTY);
+}
+
+/**
+ * Create a progress listener for an output mode
+ * 'log' and 'quiet' print nothing here (log lines come from the batch methods)
+ * @param {string} mode - Progress mode (see progressModes)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.stderr=false] - Write to stderr, keeping stdout free for results
+ * @returns {Function|null} Listener `(event) => void`, or null
+ */
+export function createProgressRenderer(mode, options = {}) {
+  const stream = options.stderr ? 'stderr' : 'stdout';
+  if (mode === 'jsonl') {
+    const print = options.stderr ? console.error : console.log;
+    return (event) => print(JSON.stringify(event));
+  }
+  if (mode !== 'bar') {
+    return null;
+  }
+
+  // On a terminal the bar is redrawn in place; otherwise a line is printed per finished item
+  const live = streamIsTTY(stream);
+  const write = (text) => writeStream(stream, text);
+  const line = (event) => {
+    const parts = [createProgressBar(event.completed, Math.max(event.total, 1), 30)];
+    if (event.failed > 0) parts.push(`${event.failed} failed`);
+    if (event.throughput > 0) parts.push(`${event.throughput}/min`);
+    if (event.etaMs !== null && event.completed < event.total) parts.push(`ETA ${formatDuration(event.etaMs)}`);
+    parts.push(`browser ${(event.browserMsUsed / 1000).toFixed(1)}s`);
+    return parts.join(' · ');
+  };
+  const draw = (text) => write(live ? `\r\x1b[K${text}` : `${text}\n`);
+
+  return (event) => {
+    switch (event.type) {
+      case 'started':
+        if (live) draw(line(event));
+        break;
+      case 'item-error':
+        if (live) write('\r\x1b[K');
+        write(`✗ ${event.key}: ${event.error}\n`);
+        draw(line(event));
+        break;
+      case 'item-success':
+        draw(line(event));
+        break;
+      case 'retry':
+        if (live) write('\r\x1b[K');
+        write(`↻ ${event.url || event.endpoint}: retry ${event.attempt} in ${(event.delay / 1000).toFixed(1)}s (${event.error})\n`);
+        if (live) draw(line(event));
+        break;
+      case 'finished':
+        if (live) write('\n');
+        break;
+    }
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Client-side rate limiting and browser time budget for Cloudflare Browser Rendering API
+ * Supports Deno, Node.js, and modern browsers
+ */
+
+import { stableStringify } from './config.js';
+import { BudgetExceededError } from './errors.js';
+
+/**
+ * Token bucket request rate limiter
+ */
+export class TokenBucketRateLimiter {
+  /**
+   * Initialize rate limiter
+   * @param {Object} [options] - Options
+   * @param {number} [options.requestsPerMinute=60] - Sustained request rate
+   * @param {number} [options.burst] - Bucket capacity (defaults to requestsPerMinute)
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || 60;
+    this.capacity = options.burst || this.requestsPerMinute;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Add tokens accumulated since the last update
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const refillPerMs = this.requestsPerMinute / 60000;
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Wait until a request token is available and consume it
+   * Callers are served in arrival order; an aborted caller gives up its turn without taking a token
+   * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
+   * @returns {Promise<void>}
+   */
+  acquire(signal) {
+    const turn = this._queue.then(async () => {
+      if (signal?.aborted) throw signal.reason;
+      this._refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil((1 - this.tokens) * 60000 / this.requestsPerMinute);
+        await new Promise(resolve => {
+          const timer = setTimeout(done, waitMs);
+          function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+          }
+          signal?.addEventListener('abort', done, { once: true });
+        });
+        if (signal?.aborted) throw signal.reason;
+        this._refill();
+      }
+      this.tokens -= 1;
+    });
+    // Later callers wait for this turn whether or not it was aborted
+    this._queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+/**
+ * Period lengths for browser time budgets (milliseconds)
+ */
+const budgetPeriods = {
+  day: 24 * 60 * 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+/**
+ * Cumulative browser time (x-browser-ms-used) budget
+ */
+export class BrowserTimeBudget {
+  /**
+   * Initialize budget
+   * @param {Object} options - Options
+   * @param {number} options.maxBrowserMs - Browser time ceiling (milliseconds)
+   * @param {string|number} [options.period='job'] - 'job' (never resets), 'day', 'hour', or window length in milliseconds
+   * @param {string} [options.onExceeded='throw'] - 'throw' to reject new requests, 'pause' to wait for the next period
+   * @param {number} [options.reserveMs] - Browser time reserved for each in-flight request until it reports its usage
+   *   (default: the average per request in this period, 1000 before the first request)
+   */
+  constructor(options) {
+    if (!options || !(options.maxBrowserMs > 0)) {
+      throw new Error('Browser time budget requires a positive maxBrowserMs');
+    }
+
+    this.maxBrowserMs = options.maxBrowserMs;
+    this.period = options.period || 'job';
+    this.onExceeded = options.onExceeded || 'throw';
+    this.periodMs = typeof this.period === 'number' ? this.period : budgetPeriods[this.period] || null;
+    this.reserveMs = options.reserveMs ?? null;
+    this.inFlight = 0;
+    this.reservedMs = 0;
+    this._waiters = [];
+    this._startPeriod(Date.now());
+  }
+
+  /**
+   * Reset counters for a new period
+   * @private
+   * @param {number} now - Current time
+   */
+  _startPeriod(now) {
+    if (this.period === 'day') {
+      // Daily budgets follow UTC calendar days
+      const start = new Date(now);
+      start.setUTCHours(0, 0, 0, 0);
+      this.periodStart = start.getTime();
+    } else {
+      this.periodStart = now;
+    }
+    this.browserMs = 0;
+    this.requests = 0;
+  }
+
+  /**
+   * Roll over to a new period if the current one has ended
+   * @private
+   */
+  _rollover() {
+    const resetsAt = this._resetsAt();
+    if (resetsAt !== null && Date.now() >= resetsAt) {
+      this._startPeriod(Date.now());
+    }
+  }
+
+  /**
+   * Time when the current period ends
+   * @private
+   * @returns {number|null} Timestamp, or null for job budgets
+   */
+  _resetsAt() {
+    return this.periodMs ? this.periodStart + this.periodMs : null;
+  }
+
+  /**
+   * Browser time to reserve for a new request
+   * @private
+   * @returns {number}
+   */
+  _estimate() {
+    if (this.reserveMs !== null) return this.reserveMs;
+    return this.requests > 0 ? this.browserMs / this.requests : 1000;
+  }
+
+  /**
+   * Wait for a reset, a period end or a finished request
+   * @private
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<void>}
+   */
+  _wait(signal) {
+    return new Promise(resolve => {
+      const resetsAt = this._resetsAt();
+      const timer = resetsAt !== null ? setTimeout(done, Math.max(0, resetsAt - Date.now())) : null;
+      function done() {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      }
+      this._waiters.push(done);
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Wake every waiting check
+   * @private
+   */
+  _wake() {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Wait for room in the budget and reserve browser time for one request
+   * Throws (or, with onExceeded 'pause', waits for the next period) once the budget is used up.
+   * While requests are in flight, a new one only starts if the time reserved for them
+   * plus its own estimate fits, so concurrent workers cannot overshoot the budget
+   * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
+   * @returns {Promise<Function>} release() - call once the request has finished (after record())
+   */
+  async check(signal) {
+    this._rollover();
+
+    for (;;) {
+      if (signal?.aborted) throw signal.reason;
+
+      if (this.browserMs >= this.maxBrowserMs) {
+        if (this.onExceeded !== 'pause') {
+          throw new BudgetExceededError(
+            `Browser time budget exceeded: ${this.browserMs}ms used of ${this.maxBrowserMs}ms`,
+            { browserMsUsed: this.browserMs }
+          );
+        }
+        // Pause until the period resets (or reset() is called for job budgets)
+        await this._wait(signal);
+      } else if (this.inFlight > 0 && this.browserMs + this.reservedMs + this._estimate() > this.maxBrowserMs) {
+        // Near the ceiling: wait for in-flight requests to report their usage
+        await this._wait(signal);
+      } else {
+        break;
+      }
+      this._rollover();
+    }
+
+    const reserved = this._estimate();
+    this.inFlight++;
+    this.reservedMs += reserved;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.inFlight--;
+      this.reservedMs = Math.max(0, this.reservedMs - reserved);
+      this._wake();
+    };
+  }
+
+  /**
+   * Record browser time used by a request
+   * @param {number} browserMs - Browser time (milliseconds)
+   */
+  record(browserMs) {
+    this._rollover();
+    this.requests++;
+    this.browserMs += browserMs || 0;
+  }
+
+  /**
+   * Reset usage and release paused requests
+   */
+  reset() {
+    this._startPeriod(Date.now());
+    this._wake();
+  }
+
+  /**
+   * Get current usage
+   * @returns {Object} Usage information
+   */
+  getUsage() {
+    this._rollover();
+    const resetsAt = this._resetsAt();
+    return {
+      requests: this.requests,
+      browserMs: this.browserMs,
+      maxBrowserMs: this.maxBrowserMs,
+      remainingMs: Math.max(0, this.maxBrowserMs - this.browserMs),
+      inFlight: this.inFlight,
+      reservedMs: this.reservedMs,
+      period: this.period,
+      periodStart: new Date(this.periodStart).toISOString(),
+      resetsAt: resetsAt !== null ? new Date(resetsAt).toISOString() : null
+    };
+  }
+}
+
+const sharedRateLimiters = new Map();
+const sharedBudgets = new Map();
+
+/**
+ * Get or create a shared instance, rejecting options that differ from those it was created with
+ * @param {Map} registry - Instances by key
+ * @param {string} key - Instance key
+ * @param {Object} [options] - Instance options
+ * @param {Function} create - (options) => instance
+ * @param {string} label - Instance description for errors
+ * @returns {Object}
+ */
+function sharedInstance(registry, key, options, create, label) {
+  const existing = registry.get(key);
+  if (!existing) {
+    const instance = create(options);
+    registry.set(key, { instance, options: stableStringify(options ?? null) });
+    return instance;
+  }
+  if (options !== undefined && stableStringify(options) !== existing.options) {
+    throw new Error(
+      `The shared ${label} for "${key}" already exists with options ${existing.options}; ` +
+      `got ${stableStringify(options)}. Pass the same options, or an instance to use a separate one`
+    );
+  }
+  return existing.instance;
+}
+
+/**
+ * Get the process-wide rate limiter for a key (usually the account ID)
+ * The first call for a key creates the limiter; later calls reuse it and must pass the same options (or none)
+ * @param {string} key - Limiter key
+ * @param {Object} [options] - TokenBucketRateLimiter options
+ * @returns {TokenBucketRateLimiter}
+ */
+export function getSharedRateLimiter(key, options) {
+  return sharedInstance(sharedRateLimiters, key, options, (o) => new TokenBucketRateLimiter(o), 'rate limiter');
+}
+
+/**
+ * Get the process-wide browser time budget for a key (usually the account ID)
+ * The first call for a key creates the budget; later calls reuse it and must pass the same options (or none)
+ * @param {string} key - Budget key
+ * @param {Object} options - BrowserTimeBudget options
+ * @returns {BrowserTimeBudget}
+ */
+export function getSharedBudget(key, options) {
+  return sharedInstance(sharedBudgets, key, options, (o) => new BrowserTimeBudget(o), 'browser time budget');
+}
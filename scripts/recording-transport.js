@@ -0,0 +1,215 @@
+/**
+ * Record-and-replay transport for Cloudflare Browser Rendering API
+ * Stores request/response pairs as JSON fixtures and serves them back offline
+ * Supports Deno and Node.js
+ *
+ * Usage:
+ *   const recorder = new RecordingTransport({ mode: 'record', fixtureDir: './fixtures' });
+ *   const client = new CloudflareBrowserRenderingClient({ accountId, apiToken, fetch: recorder.fetch });
+ *
+ * Fixture files are named <endpoint>-<hash>.json, where the hash covers the method,
+ * endpoint and the request body with keys sorted. The account ID and the
+ * Authorization header are not part of the key and are never written to disk.
+ * The stored request body has authenticate.password, cookie values and
+ * setExtraHTTPHeaders values replaced with "[REDACTED]" (see redactRequestBody).
+ */
+
+import { base64ToBytes, bytesToBase64, getFileHandlers, sha256Hex, stableStringify } from './config.js';
+
+/**
+ * Transport modes
+ * - record: call the network and save every response
+ * - replay: serve saved responses only; missing fixtures fail with HTTP 501
+ * - auto: replay when a fixture exists, otherwise record
+ */
+export const recordingModes = ['record', 'replay', 'auto'];
+
+/**
+ * Response content types stored as text rather than base64
+ */
+const textContentTypes = /^(application\/json|text\/)/;
+
+/**
+ * Placeholder for credentials removed from stored request bodies
+ */
+const redacted = '[REDACTED]';
+
+/**
+ * Copy of a request body with credentials removed, for writing to fixtures
+ * Replaces authenticate.password, every cookie value and every setExtraHTTPHeaders value
+ * @param {Object|string|null} body - Parsed request body
+ * @returns {Object|string|null}
+ */
+export function redactRequestBody(body) {
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+
+  const copy = { ...body };
+  if (copy.authenticate && typeof copy.authenticate === 'object' && copy.authenticate.password !== undefined) {
+    copy.authenticate = { ...copy.authenticate, password: redacted };
+  }
+  if (Array.isArray(copy.cookies)) {
+    copy.cookies = copy.cookies.map(cookie =>
+      cookie && typeof cookie === 'object' && cookie.value !== undefined ? { ...cookie, value: redacted } : cookie
+    );
+  }
+  if (copy.setExtraHTTPHeaders && typeof copy.setExtraHTTPHeaders === 'object') {
+    copy.setExtraHTTPHeaders = Object.fromEntries(Object.keys(copy.setExtraHTTPHeaders).map(name => [name, redacted]));
+  }
+  return copy;
+}
+
+/**
+ * Recording transport
+ */
+export class RecordingTransport {
+  /**
+   * Initialize recording transport
+   * @param {Object} options - Options
+   * @param {string} options.fixtureDir - Fixture directory
+   * @param {string} [options.mode='replay'] - 'record', 'replay' or 'auto'
+   * @param {Function} [options.fetch] - Transport used when recording (defaults to the global fetch)
+   */
+  constructor(options) {
+    if (!recordingModes.includes(options.mode || 'replay')) {
+      throw new Error(`Unknown recording mode "${options.mode}" (use: ${recordingModes.join(', ')})`);
+    }
+    this.fixtureDir = options.fixtureDir;
+    this.mode = options.mode || 'replay';
+    this.innerFetch = options.fetch || ((url, init) => fetch(url, init));
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Compute the fixture key of a request
+   * @param {string} url - Request URL
+   * @param {Object} [init] - Fetch init
+   * @returns {Promise<Object>} { endpoint, hash, filename, request }
+   */
+  async requestKey(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const endpoint = new URL(url).pathname.split('/').filter(Boolean).pop();
+
+    let body = init.body ?? null;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        // Keep non-JSON bodies as text
+      }
+    }
+
+    const request = { method, endpoint, body };
+    const hash = (await sha256Hex(stableStringify(request))).slice(0, 16);
+    return { endpoint, hash, filename: `${endpoint}-${hash}.json`, request };
+  }
+
+  /**
+   * fetch-compatible entry point (pass as the client's `fetch` option)
+   * @param {string} url - Request URL
+   * @param {Object} [init] - Fetch init
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    const key = await this.requestKey(url, init);
+    const path = `${this.fixtureDir}/${key.filename}`;
+
+    if (this.mode !== 'record') {
+      const fixture = await this._readFixture(path);
+      if (fixture) {
+        this.stats.replayed++;
+        return this._toResponse(fixture.response);
+      }
+      if (this.mode === 'replay') {
+        this.stats.missing++;
+        return this._missingResponse(key);
+      }
+    }
+
+    const response = await this.innerFetch(url, init);
+    await this._writeFixture(path, { ...key.request, body: redactRequestBody(key.request.body) }, response.clone());
+    this.stats.recorded++;
+    return response;
+  }
+
+  /**
+   * Read a fixture file
+   * @private
+   * @param {string} path - Fixture path
+   * @returns {Promise<Object|null>} Fixture, or null when missing
+   */
+  async _readFixture(path) {
+    try {
+      return JSON.parse(await getFileHandlers().readFile(path));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a request/response pair
+   * @private
+   * @param {string} path - Fixture path
+   * @param {Object} request - Normalized request with credentials redacted
+   * @param {Response} response - Response clone
+   */
+  async _writeFixture(path, request, response) {
+    const headers = Object.fromEntries(response.headers.entries());
+    const contentType = headers['content-type'] || '';
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    const stored = {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    };
+    if (textContentTypes.test(contentType)) {
+      stored.body = new TextDecoder().decode(bytes);
+    } else {
+      stored.bodyBase64 = bytesToBase64(bytes);
+    }
+
+    const fileHandlers = getFileHandlers();
+    await fileHandlers.mkdir(this.fixtureDir);
+    await fileHandlers.writeFile(path, JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      request,
+      response: stored
+    }, null, 2));
+  }
+
+  /**
+   * Rebuild a Response from a stored fixture
+   * @private
+   * @param {Object} stored - Stored response
+   * @returns {Response}
+   */
+  _toResponse(stored) {
+    const body = stored.bodyBase64 !== undefined ? base64ToBytes(stored.bodyBase64) : stored.body;
+    return new Response(body, {
+      status: stored.status,
+      statusText: stored.statusText,
+      headers: stored.headers
+    });
+  }
+
+  /**
+   * Response for a request with no fixture in replay mode
+   * HTTP 501 is not retried by the default retry policy
+   * @private
+   * @param {Object} key - Request key
+   * @returns {Response}
+   */
+  _missingResponse(key) {
+    const message = `No recorded fixture ${key.filename} in ${this.fixtureDir} (record it with mode 'record' or 'auto')`;
+    return new Response(JSON.stringify({ success: false, errors: [{ code: 'fixture_missing', message }] }), {
+      status: 501,
+      headers: { 'content-type': 'application/json' }
+    });
+  }
+}
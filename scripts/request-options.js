@@ -0,0 +1,232 @@
+/**
+ * Request payload builder for Cloudflare Browser Rendering API
+ * Maps client method options to the JSON body of each endpoint
+ * Supports Deno, Node.js, and modern browsers
+ */
+
+import { InvalidRequestError } from './errors.js';
+
+/**
+ * Page-control options accepted by every endpoint, sent unchanged
+ * - viewport: { width, height, deviceScaleFactor, ... }
+ * - cookies: [{ name, value, domain, path, ... }]
+ * - waitForSelector: CSS selector (or { selector, hidden, visible, timeout })
+ * - waitForTimeout: Extra wait after load (milliseconds)
+ * - addScriptTag / addStyleTag: [{ url } | { content }]
+ * - userAgent: User agent string
+ * - setExtraHTTPHeaders: { header: value }
+ * - authenticate: { username, password } for HTTP authentication
+ * - emulateMediaType: 'screen' | 'print'
+ * - setJavaScriptEnabled: Enable/disable JavaScript
+ * - rejectResourceTypes / allowResourceTypes: ['image', 'font', 'stylesheet', ...]
+ * - rejectRequestPattern / allowRequestPattern: Regex patterns for request URLs
+ * - bestAttempt: Continue when waiting or loading fails
+ * - actionTimeout: Timeout for page actions (milliseconds)
+ */
+export const pageControlFields = [
+  'viewport',
+  'cookies',
+  'waitForSelector',
+  'waitForTimeout',
+  'addScriptTag',
+  'addStyleTag',
+  'userAgent',
+  'setExtraHTTPHeaders',
+  'authenticate',
+  'emulateMediaType',
+  'setJavaScriptEnabled',
+  'rejectResourceTypes',
+  'allowResourceTypes',
+  'rejectRequestPattern',
+  'allowRequestPattern',
+  'bestAttempt',
+  'actionTimeout'
+];
+
+/**
+ * screenshotOptions fields that may also be given as top-level method options
+ */
+export const screenshotOptionFields = [
+  'fullPage',
+  'type',
+  'quality',
+  'clip',
+  'omitBackground',
+  'captureBeyondViewport',
+  'optimizeForSpeed',
+  'fromSurface'
+];
+
+/**
+ * pdfOptions fields that may also be given as top-level method options
+ */
+export const pdfOptionFields = [
+  'format',
+  'landscape',
+  'printBackground',
+  'displayHeaderFooter',
+  'headerTemplate',
+  'footerTemplate',
+  'margin',
+  'scale',
+  'pageRanges',
+  'width',
+  'height',
+  'preferCSSPageSize',
+  'outline',
+  'tagged',
+  'omitBackground'
+];
+
+/**
+ * Resolve the page source of a call to { url } or { html }
+ * Strings starting with "<" are treated as HTML, other strings as URLs
+ * @param {string|Object} source - URL, HTML string, or { url } / { html }
+ * @returns {Object} { url } or { html }
+ */
+export function resolveSource(source) {
+  if (typeof source === 'string') {
+    return source.trimStart().startsWith('<') ? { html: source } : { url: source };
+  }
+
+  const hasUrl = Boolean(source && source.url);
+  const hasHtml = Boolean(source && source.html);
+  if (hasUrl && hasHtml) {
+    throw new InvalidRequestError('Provide either url or html, not both');
+  }
+  if (!hasUrl && !hasHtml) {
+    throw new InvalidRequestError('Must provide a url or html source');
+  }
+  return hasUrl ? { url: source.url } : { html: source.html };
+}
+
+/**
+ * Build gotoOptions from method options
+ * @param {Object} options - Method options (timeout, waitUntil, gotoOptions)
+ * @returns {Object} gotoOptions payload
+ */
+export function buildGotoOptions(options) {
+  const gotoOptions = {
+    ...options.gotoOptions,
+    timeout: options.timeout || options.gotoOptions?.timeout || 30000
+  };
+  if (options.waitUntil) {
+    gotoOptions.waitUntil = options.waitUntil;
+  }
+  return gotoOptions;
+}
+
+/**
+ * Build screenshotOptions from method options
+ * Top-level options (fullPage, type, quality, ...) override options.screenshotOptions
+ * @param {Object} options - Method options
+ * @returns {Object} screenshotOptions payload
+ */
+export function buildScreenshotOptions(options) {
+  const screenshotOptions = { ...options.screenshotOptions };
+
+  for (const field of screenshotOptionFields) {
+    if (options[field] !== undefined && options[field] !== null) {
+      screenshotOptions[field] = options[field];
+    }
+  }
+  screenshotOptions.fullPage = screenshotOptions.fullPage !== false;
+
+  // Full-page capture and clip rectangles are mutually exclusive in the API
+  if (screenshotOptions.clip && options.fullPage === undefined && options.screenshotOptions?.fullPage === undefined) {
+    screenshotOptions.fullPage = false;
+  }
+
+  return screenshotOptions;
+}
+
+/**
+ * Build pdfOptions from method options
+ * Top-level options override options.pdfOptions; defaults only fill fields set in neither
+ * @param {Object} options - Method options
+ * @returns {Object} pdfOptions payload
+ */
+export function buildPdfOptions(options) {
+  const pick = (field, fallback) => options[field] ?? options.pdfOptions?.[field] ?? fallback;
+  const pdfOptions = {
+    ...options.pdfOptions,
+    format: pick('format', 'a4'),
+    landscape: pick('landscape', false),
+    printBackground: pick('printBackground', true),
+    displayHeaderFooter: pick('displayHeaderFooter', false),
+    timeout: pick('timeout', 30000)
+  };
+
+  if (pdfOptions.displayHeaderFooter) {
+    if (options.headerTemplate) {
+      pdfOptions.headerTemplate = options.headerTemplate;
+    }
+    if (options.footerTemplate) {
+      pdfOptions.footerTemplate = options.footerTemplate;
+    }
+  }
+
+  for (const field of ['margin', 'scale', 'pageRanges', 'width', 'height', 'preferCSSPageSize', 'outline', 'tagged', 'omitBackground']) {
+    if (options[field] !== undefined) {
+      pdfOptions[field] = options[field];
+    }
+  }
+
+  return pdfOptions;
+}
+
+/**
+ * Build the endpoint-specific part of a request body (everything except url/html)
+ * @param {string} endpoint - API endpoint (screenshot, pdf, content, markdown, json, scrape, snapshot, links)
+ * @param {Object} [options] - Method options: page-control fields (see pageControlFields), timeout,
+ *   waitUntil and gotoOptions, plus endpoint-specific options
+ * @returns {Object} Request body without the page source
+ */
+export function buildRequestBody(endpoint, options = {}) {
+  const body = {};
+
+  for (const field of pageControlFields) {
+    if (options[field] !== undefined && options[field] !== null) {
+      body[field] = options[field];
+    }
+  }
+
+  switch (endpoint) {
+    case 'screenshot':
+      body.screenshotOptions = buildScreenshotOptions(options);
+      if (options.selector) body.selector = options.selector;
+      if (options.scrollPage !== undefined) body.scrollPage = options.scrollPage;
+      break;
+    case 'snapshot':
+      body.screenshotOptions = buildScreenshotOptions(options);
+      break;
+    case 'pdf':
+      body.pdfOptions = buildPdfOptions(options);
+      break;
+    case 'json':
+      if (options.prompt) body.prompt = options.prompt;
+      if (options.responseFormat) body.response_format = options.responseFormat;
+      break;
+    case 'scrape':
+      body.elements = options.elements;
+      break;
+    case 'links':
+      if (options.visibleLinksOnly !== undefined) body.visibleLinksOnly = options.visibleLinksOnly;
+      if (options.excludeExternalLinks !== undefined) body.excludeExternalLinks = options.excludeExternalLinks;
+      break;
+  }
+
+  body.gotoOptions = buildGotoOptions(options);
+  return body;
+}
+
+/**
+ * Build the JSON body for an endpoint
+ * @param {string} endpoint - API endpoint
+ * @param {string|Object} source - URL, HTML string, or { url } / { html }
+ * @param {Object} [options] - Method options (see buildRequestBody)
+ * @returns {Object} Request payload
+ */
+export function buildRequestPayload(endpoint, source, options = {}) {
+  return { ...resolveSource(source), ...buildRequestBody(endpoint, options) };
+}
@@ -0,0 +1,450 @@
+/**
+ * Response cache for Cloudflare Browser Rendering API
+ * Entries are keyed by a SHA-256 hash of the endpoint and the request body (keys sorted)
+ * Stores: memory (all runtimes), filesystem (Deno, Node.js), IndexedDB (browsers)
+ */
+
+import { base64ToBytes, bytesToBase64, detectEnvironment, sha256Hex, stableStringify } from './config.js';
+
+/**
+ * Approximate stored size of a cached value (bytes)
+ * @param {*} value - Response data
+ * @returns {number}
+ */
+function sizeOf(value) {
+  if (value instanceof Uint8Array) return value.byteLength;
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+  return JSON.stringify(value ?? null).length;
+}
+
+/**
+ * In-memory store with least-recently-used eviction
+ */
+export class MemoryCacheStore {
+  /**
+   * Initialize memory store
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxEntries=100] - Maximum number of entries
+   * @param {number} [options.maxBytes=52428800] - Maximum total size (bytes)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry ({ value, storedAt, expiresAt, size }) or null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Move to the most recently used position
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry || null;
+  }
+
+  /**
+   * Write an entry, evicting old entries beyond the limits
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this.delete(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+
+    for (const [oldKey] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      await this.delete(oldKey);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+/**
+ * Filesystem store: one JSON file per entry, oldest entries evicted first
+ */
+export class FileCacheStore {
+  /**
+   * Initialize filesystem store
+   * @param {Object} [options] - Options
+   * @param {string} [options.dir='.cache/browser-rendering'] - Cache directory
+   * @param {number} [options.maxEntries=1000] - Maximum number of entries
+   * @param {number} [options.maxBytes=524288000] - Maximum total size of cached bodies (bytes)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || '.cache/browser-rendering';
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 500 * 1024 * 1024;
+    this.env = detectEnvironment();
+  }
+
+  /**
+   * Filesystem operations for the current runtime
+   * @private
+   * @returns {Promise<Object>}
+   */
+  async _fs() {
+    if (this.env.isDeno) {
+      return {
+        readFile: (path) => Deno.readTextFile(path),
+        writeFile: (path, data) => Deno.writeTextFile(path, data),
+        mkdir: (path) => Deno.mkdir(path, { recursive: true }),
+        remove: (path) => Deno.remove(path).catch(() => {}),
+        list: async (dir) => {
+          const files = [];
+          for await (const entry of Deno.readDir(dir)) {
+            if (entry.isFile && entry.name.endsWith('.json')) {
+              const info = await Deno.stat(`${dir}/${entry.name}`);
+              files.push({ path: `${dir}/${entry.name}`, size: info.size, mtime: info.mtime.getTime() });
+            }
+          }
+          return files;
+        }
+      };
+    }
+    if (this.env.isNode) {
+      const fs = await import('fs/promises');
+      return {
+        readFile: (path) => fs.readFile(path, 'utf-8'),
+        writeFile: (path, data) => fs.writeFile(path, data),
+        mkdir: (path) => fs.mkdir(path, { recursive: true }),
+        remove: (path) => fs.unlink(path).catch(() => {}),
+        list: async (dir) => {
+          const files = [];
+          for (const name of await fs.readdir(dir)) {
+            if (name.endsWith('.json')) {
+              const info = await fs.stat(`${dir}/${name}`);
+              files.push({ path: `${dir}/${name}`, size: info.size, mtime: info.mtimeMs });
+            }
+          }
+          return files;
+        }
+      };
+    }
+    throw new Error('FileCacheStore requires Deno or Node.js; use MemoryCacheStore or IndexedDbCacheStore in browsers');
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry ({ value, storedAt, expiresAt, size }) or null
+   */
+  async get(key) {
+    const fs = await this._fs();
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(`${this.dir}/${key}.json`));
+    } catch {
+      return null;
+    }
+
+    const { value, base64, ...entry } = stored;
+    if (base64 === undefined) {
+      return { ...entry, value };
+    }
+    const bytes = base64ToBytes(base64);
+    return { ...entry, value: this.env.isNode ? Buffer.from(bytes) : bytes };
+  }
+
+  /**
+   * Write an entry, evicting old entries beyond the limits
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    const fs = await this._fs();
+    const { value, ...meta } = entry;
+    const stored = value instanceof Uint8Array
+      ? { ...meta, base64: bytesToBase64(value) }
+      : { ...meta, value };
+
+    await fs.mkdir(this.dir);
+    await fs.writeFile(`${this.dir}/${key}.json`, JSON.stringify(stored));
+    await this._prune(fs);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const fs = await this._fs();
+    await fs.remove(`${this.dir}/${key}.json`);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const fs = await this._fs();
+    for (const file of await fs.list(this.dir).catch(() => [])) {
+      await fs.remove(file.path);
+    }
+  }
+
+  /**
+   * Remove the oldest entries until the store is within its limits
+   * @private
+   * @param {Object} fs - Filesystem operations
+   */
+  async _prune(fs) {
+    const files = (await fs.list(this.dir)).sort((a, b) => a.mtime - b.mtime);
+    let bytes = files.reduce((sum, file) => sum + file.size, 0);
+    let count = files.length;
+
+    for (const file of files) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      await fs.remove(file.path);
+      bytes -= file.size;
+      count--;
+    }
+  }
+}
+
+/**
+ * IndexedDB store for browsers, oldest entries evicted first
+ */
+export class IndexedDbCacheStore {
+  /**
+   * Initialize IndexedDB store
+   * @param {Object} [options] - Options
+   * @param {string} [options.dbName='browser-rendering-cache'] - Database name
+   * @param {number} [options.maxEntries=500] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'browser-rendering-cache';
+    this.maxEntries = options.maxEntries || 500;
+    this._db = null;
+  }
+
+  /**
+   * Open the database
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('responses').createIndex('storedAt', 'storedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Run a request in a transaction
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (objectStore) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction('responses', mode).objectStore('responses'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry ({ value, storedAt, expiresAt, size }) or null
+   */
+  async get(key) {
+    return (await this._run('readonly', store => store.get(key))) || null;
+  }
+
+  /**
+   * Write an entry, evicting old entries beyond the limits
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this._run('readwrite', store => store.put(entry, key));
+
+    const count = await this._run('readonly', store => store.count());
+    if (count > this.maxEntries) {
+      const oldest = await this._run('readonly', store => store.index('storedAt').getAllKeys(null, count - this.maxEntries));
+      for (const oldKey of oldest) {
+        await this.delete(oldKey);
+      }
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * Response cache with TTL and hit reporting
+ */
+export class ResponseCache {
+  /**
+   * Initialize response cache
+   * @param {Object} [options] - Options
+   * @param {string|Object} [options.store] - 'memory', 'fs', 'indexeddb', or a store instance
+   *   (get/set/delete/clear); defaults to 'fs' in Deno/Node.js and 'indexeddb' (or 'memory') in browsers
+   * @param {number} [options.ttl=3600000] - Time to live (milliseconds)
+   * @param {Array<string>} [options.endpoints] - Endpoints to cache (default: all)
+   * @param {string} [options.dir] - Cache directory ('fs' store)
+   * @param {number} [options.maxEntries] - Maximum number of entries
+   * @param {number} [options.maxBytes] - Maximum total size (bytes; 'memory' and 'fs' stores)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 60 * 60 * 1000;
+    this.endpoints = options.endpoints || null;
+    this.store = this._createStore(options);
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  }
+
+  /**
+   * Create the configured store
+   * @private
+   * @param {Object} options - Cache options
+   * @returns {Object} Store
+   */
+  _createStore(options) {
+    const store = options.store || (
+      detectEnvironment().isBrowser
+        ? (typeof indexedDB !== 'undefined' ? 'indexeddb' : 'memory')
+        : 'fs'
+    );
+    if (typeof store === 'object') return store;
+
+    switch (store) {
+      case 'memory': return new MemoryCacheStore(options);
+      case 'fs': return new FileCacheStore(options);
+      case 'indexeddb': return new IndexedDbCacheStore(options);
+      default: throw new Error(`Unknown cache store "${store}" (use: memory, fs, indexeddb)`);
+    }
+  }
+
+  /**
+   * Check whether an endpoint is cached
+   * @param {string} endpoint - API endpoint
+   * @returns {boolean}
+   */
+  handles(endpoint) {
+    return !this.endpoints || this.endpoints.includes(endpoint);
+  }
+
+  /**
+   * Cache key of a request
+   * @param {string} endpoint - API endpoint
+   * @param {Object} payload - Request body
+   * @returns {Promise<string>} Hex key
+   */
+  key(endpoint, payload) {
+    return sha256Hex(stableStringify({ endpoint, payload }));
+  }
+
+  /**
+   * Look up a cached response
+   * Store failures count as misses
+   * @param {string} endpoint - API endpoint
+   * @param {Object} payload - Request body
+   * @returns {Promise<*>} Cached data, or undefined on a miss
+   */
+  async get(endpoint, payload) {
+    try {
+      const key = await this.key(endpoint, payload);
+      const entry = await this.store.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        this.stats.hits++;
+        return entry.value;
+      }
+      if (entry) {
+        await this.store.delete(key);
+      }
+    } catch {
+      this.stats.errors++;
+    }
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a response
+   * @param {string} endpoint - API endpoint
+   * @param {Object} payload - Request body
+   * @param {*} value - Response data
+   * @returns {Promise<void>}
+   */
+  async set(endpoint, payload, value) {
+    try {
+      const now = Date.now();
+      await this.store.set(await this.key(endpoint, payload), {
+        endpoint,
+        storedAt: now,
+        expiresAt: now + this.ttl,
+        size: sizeOf(value),
+        value
+      });
+      this.stats.writes++;
+    } catch {
+      this.stats.errors++;
+    }
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.store.clear();
+  }
+}
@@ -0,0 +1,803 @@
+/**
+ * Storage adapters for batch outputs of the Cloudflare Browser Rendering API
+ * Adapters: filesystem (Deno, Node.js), browser downloads, memory, zip archive,
+ * and S3-compatible object storage (R2, MinIO, AWS S3; all runtimes)
+ *
+ * A storage adapter implements
+ *   put(key, data, { contentType, metadata })  write an object (replacing it)
+ * and optionally
+ *   append(key, text)                          append text (checkpoints)
+ *   get(key) => string|null                    read an object as text (checkpoints)
+ *   ensureDir(path)                            create a directory before writes
+ *   flush()                                    persist buffered objects; called after every batch
+ * Batches with checkpoint or resume fail before sending requests when append or get is missing.
+ *
+ * Keys are the paths the batch would write on disk (e.g. "./shots/example_com.png").
+ * contentType defaults to one derived from the key's extension. Where contentType and
+ * metadata end up depends on the adapter: object headers (S3Storage), the stored object
+ * (MemoryStorage), entry comments (ZipStorage), `<file>.meta.json` sidecar files
+ * (FileSystemStorage with metadata: true) or nowhere (FileSystemStorage by default,
+ * DownloadStorage).
+ *
+ * Usage:
+ *   const processor = new BatchProcessor({ accountId, apiToken, storage: new S3Storage({ ... }) });
+ */
+
+import { detectEnvironment } from './config.js';
+import { StorageError } from './errors.js';
+
+/**
+ * Content types by file extension
+ */
+export const contentTypes = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  html: 'text/html; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  json: 'application/json',
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  sql: 'application/sql',
+  txt: 'text/plain; charset=utf-8',
+  zip: 'application/zip'
+};
+
+/**
+ * Content type of a path, from its extension
+ * @param {string} path - File path or object key
+ * @returns {string} Content type (application/octet-stream when unknown)
+ */
+export function contentTypeFor(path) {
+  const name = path.slice(path.lastIndexOf('/') + 1);
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  return contentTypes[extension] || 'application/octet-stream';
+}
+
+/**
+ * Convert object data to bytes
+ * @param {Uint8Array|ArrayBuffer|Blob|string} data - Data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (typeof Blob !== 'undefined' && data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  throw new TypeError('Storage data must be a string, Uint8Array, ArrayBuffer or Blob');
+}
+
+/**
+ * Relative form of a path for archive entries and object keys: no leading "/", "." or ".." segments
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function relativeKey(path) {
+  return path.split('/').filter(segment => segment !== '' && segment !== '.' && segment !== '..').join('/');
+}
+
+/**
+ * Local filesystem storage (Deno, Node.js)
+ * Parent directories are created on write. Content types and metadata are dropped unless
+ * options.metadata is set, which writes them to a `<file>.meta.json` sidecar per object
+ */
+export class FileSystemStorage {
+  /**
+   * Initialize filesystem storage
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.metadata=false] - Write { contentType, metadata } sidecars for objects with metadata
+   */
+  constructor(options = {}) {
+    this.env = detectEnvironment();
+    this.metadata = options.metadata ?? false;
+  }
+
+  /**
+   * Filesystem operations for the current runtime
+   * @private
+   * @returns {Promise<Object>}
+   */
+  async _fs() {
+    if (this.env.isDeno) {
+      return {
+        writeFile: (path, data) => (typeof data === 'string' ? Deno.writeTextFile(path, data) : Deno.writeFile(path, data)),
+        appendFile: (path, text) => Deno.writeTextFile(path, text, { append: true }),
+        readFile: (path) => Deno.readTextFile(path),
+        mkdir: (path) => Deno.mkdir(path, { recursive: true }),
+        isNotFound: (error) => error instanceof Deno.errors.NotFound
+      };
+    }
+    if (this.env.isNode) {
+      const fs = await import('fs/promises');
+      return {
+        writeFile: (path, data) => fs.writeFile(path, data),
+        appendFile: (path, text) => fs.appendFile(path, text, 'utf-8'),
+        readFile: (path) => fs.readFile(path, 'utf-8'),
+        mkdir: (path) => fs.mkdir(path, { recursive: true }),
+        isNotFound: (error) => error.code === 'ENOENT'
+      };
+    }
+    throw new Error('FileSystemStorage requires Deno or Node.js; use DownloadStorage, MemoryStorage or S3Storage in browsers');
+  }
+
+  /**
+   * Create a directory and its parents
+   * @param {string} path - Directory path
+   */
+  async ensureDir(path) {
+    const fs = await this._fs();
+    await fs.mkdir(path);
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - File path
+   * @param {Uint8Array|Blob|string} data - Data
+   * @param {Object} [options] - { contentType, metadata }; stored in `<key>.meta.json` when this.metadata is set
+   */
+  async put(key, data, options = {}) {
+    const fs = await this._fs();
+    if (key.includes('/')) {
+      await fs.mkdir(key.slice(0, key.lastIndexOf('/')) || '/');
+    }
+    await fs.writeFile(key, typeof Blob !== 'undefined' && data instanceof Blob ? await toBytes(data) : data);
+
+    if (this.metadata && options.metadata) {
+      await fs.writeFile(`${key}.meta.json`, JSON.stringify({
+        contentType: options.contentType || contentTypeFor(key),
+        metadata: options.metadata
+      }, null, 2));
+    }
+  }
+
+  /**
+   * Append text to a file
+   * @param {string} key - File path
+   * @param {string} text - Text
+   */
+  async append(key, text) {
+    const fs = await this._fs();
+    await fs.appendFile(key, text);
+  }
+
+  /**
+   * Read a text file
+   * @param {string} key - File path
+   * @returns {Promise<string|null>} Content, or null if the file does not exist
+   */
+  async get(key) {
+    const fs = await this._fs();
+    try {
+      return await fs.readFile(key);
+    } catch (error) {
+      if (fs.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Browser storage: every object is offered as a file download
+ * Write-only, so batches cannot use checkpoints with it (wrap it in ZipStorage to keep them in the archive)
+ */
+export class DownloadStorage {
+  /**
+   * Download an object
+   * @param {string} key - File path (the download uses its last segment)
+   * @param {Uint8Array|Blob|string} data - Data
+   * @param {Object} [options] - { contentType }
+   */
+  async put(key, data, options = {}) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: options.contentType || contentTypeFor(key) });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = key.split('/').pop();
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * In-memory storage, for tests and for pipelines that post-process outputs
+ */
+export class MemoryStorage {
+  constructor() {
+    /**
+     * Stored objects by key: { data, contentType, metadata, size, storedAt }
+     * @type {Map<string, Object>}
+     */
+    this.objects = new Map();
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Uint8Array|Blob|string} data - Data (Blobs are stored as bytes)
+   * @param {Object} [options] - { contentType, metadata }
+   */
+  async put(key, data, options = {}) {
+    const value = typeof data === 'string' ? data : await toBytes(data);
+    this.objects.set(key, {
+      data: value,
+      contentType: options.contentType || contentTypeFor(key),
+      metadata: { ...options.metadata },
+      size: typeof value === 'string' ? new TextEncoder().encode(value).byteLength : value.byteLength,
+      storedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Append text to an object
+   * @param {string} key - Object key
+   * @param {string} text - Text
+   */
+  async append(key, text) {
+    const existing = this.objects.get(key);
+    await this.put(key, ((await this.get(key)) ?? '') + text, existing);
+  }
+
+  /**
+   * Read an object as text
+   * @param {string} key - Object key
+   * @returns {Promise<string|null>}
+   */
+  async get(key) {
+    const object = this.objects.get(key);
+    if (!object) return null;
+    return typeof object.data === 'string' ? object.data : new TextDecoder().decode(object.data);
+  }
+
+  /**
+   * Stored object keys
+   * @param {string} [prefix=''] - Only keys starting with this prefix
+   * @returns {Array<string>}
+   */
+  keys(prefix = '') {
+    return [...this.objects.keys()].filter(key => key.startsWith(prefix));
+  }
+}
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of bytes (zip checksum)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Raw DEFLATE compression with CompressionStream, or null where unsupported
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function deflateRaw(bytes) {
+  let stream;
+  try {
+    stream = new CompressionStream('deflate-raw');
+  } catch {
+    return null;
+  }
+  const compressed = new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(await compressed);
+}
+
+/**
+ * Limits of the zip format without zip64 extensions
+ */
+const zipMaxEntries = 0xFFFF;
+const zipMaxBytes = 0xFFFFFFFF;
+
+/**
+ * Zip archive storage: objects are collected in memory and written as one archive on flush()
+ * The archive is rewritten after every batch, so several batches can share it. Content type
+ * and metadata of each object are kept as JSON in its entry comment (shown by `zipinfo -z`)
+ * The whole archive is held in memory, and there is no zip64 support: more than 65535 entries,
+ * or entries and archives over 4 GiB, throw StorageError. Use S3Storage or the filesystem for larger runs
+ */
+export class ZipStorage {
+  /**
+   * Initialize zip storage
+   * @param {Object} options - Options
+   * @param {string} options.path - Archive path (key in options.storage)
+   * @param {Object} [options.storage] - Storage the archive is written to (default: filesystem, or downloads in browsers)
+   * @param {boolean} [options.compress=true] - Deflate entries where CompressionStream supports it
+   */
+  constructor(options) {
+    if (!options || !options.path) {
+      throw new Error('ZipStorage requires an archive path');
+    }
+    this.path = options.path;
+    this.storage = options.storage || createDefaultStorage();
+    this.compress = options.compress ?? true;
+    this.entries = new Map();
+  }
+
+  /**
+   * Add or replace an archive entry
+   * @param {string} key - File path (stored relative, see relativeKey)
+   * @param {Uint8Array|Blob|string} data - Data
+   * @param {Object} [options] - { contentType, metadata }, stored in the entry comment
+   */
+  async put(key, data, options = {}) {
+    const name = relativeKey(key);
+    if (!this.entries.has(name) && this.entries.size >= zipMaxEntries) {
+      throw new StorageError(`Zip archive ${this.path} cannot hold more than ${zipMaxEntries} entries (no zip64 support)`, { key });
+    }
+    const bytes = await toBytes(data);
+    if (bytes.byteLength > zipMaxBytes) {
+      throw new StorageError(`Zip entry ${name} exceeds 4 GiB (no zip64 support)`, { key });
+    }
+    this.entries.set(name, {
+      data: bytes,
+      contentType: options.contentType || contentTypeFor(key),
+      metadata: options.metadata ? { ...options.metadata } : undefined,
+      modifiedAt: new Date()
+    });
+  }
+
+  /**
+   * Append text to an archive entry
+   * @param {string} key - File path
+   * @param {string} text - Text
+   */
+  async append(key, text) {
+    await this.put(key, ((await this.get(key)) ?? '') + text, this.entries.get(relativeKey(key)));
+  }
+
+  /**
+   * Read an archive entry as text
+   * @param {string} key - File path
+   * @returns {Promise<string|null>}
+   */
+  async get(key) {
+    const entry = this.entries.get(relativeKey(key));
+    return entry ? new TextDecoder().decode(entry.data) : null;
+  }
+
+  /**
+   * Write the archive
+   */
+  async flush() {
+    await this.storage.put(this.path, await this.toBytes(), { contentType: 'application/zip' });
+  }
+
+  /**
+   * Build the archive
+   * @returns {Promise<Uint8Array>} Zip file bytes
+   */
+  async toBytes() {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, entry] of this.entries) {
+      const nameBytes = encoder.encode(name);
+      const commentBytes = encoder.encode(JSON.stringify({ contentType: entry.contentType, metadata: entry.metadata }));
+      const deflated = this.compress ? await deflateRaw(entry.data) : null;
+      const useDeflate = deflated !== null && deflated.byteLength < entry.data.byteLength;
+      const body = useDeflate ? deflated : entry.data;
+      const date = entry.modifiedAt;
+      const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+      const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+      const fields = {
+        flags: 0x0800, // UTF-8 names
+        method: useDeflate ? 8 : 0,
+        crc: crc32(entry.data),
+        compressedSize: body.byteLength,
+        size: entry.data.byteLength
+      };
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, fields.flags, true);
+      local.setUint16(8, fields.method, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, fields.crc, true);
+      local.setUint32(18, fields.compressedSize, true);
+      local.setUint32(22, fields.size, true);
+      local.setUint16(26, nameBytes.byteLength, true);
+      localParts.push(new Uint8Array(local.buffer), nameBytes, body);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, fields.flags, true);
+      central.setUint16(10, fields.method, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, fields.crc, true);
+      central.setUint32(20, fields.compressedSize, true);
+      central.setUint32(24, fields.size, true);
+      central.setUint16(28, nameBytes.byteLength, true);
+      central.setUint16(32, commentBytes.byteLength, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes, commentBytes);
+
+      offset += 30 + nameBytes.byteLength + body.byteLength;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    if (offset + centralSize > zipMaxBytes) {
+      throw new StorageError(`Zip archive ${this.path} exceeds 4 GiB (no zip64 support)`, { key: this.path });
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.size, true);
+    end.setUint16(10, this.entries.size, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+      archive.set(part, position);
+      position += part.byteLength;
+    }
+    return archive;
+  }
+}
+
+/**
+ * Hex encoding of bytes
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * HMAC-SHA256 (Web Crypto)
+ * @param {Uint8Array|string} key - Key
+ * @param {string} text - Message
+ * @returns {Promise<Uint8Array>}
+ */
+async function hmacSha256(key, text) {
+  const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(text)));
+}
+
+/**
+ * Percent-encode a string as AWS Signature Version 4 requires (RFC 3986 unreserved characters kept)
+ * @param {string} text - Text
+ * @returns {string}
+ */
+export function awsUriEncode(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - Request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL (path already URI-encoded)
+ * @param {Object} [request.headers] - Headers to sign (host is added from the URL)
+ * @param {string} request.payloadHash - Hex SHA-256 of the body, or 'UNSIGNED-PAYLOAD'
+ * @param {Object} credentials - Credentials and scope
+ * @param {string} credentials.accessKeyId - Access key ID
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @param {string} [credentials.sessionToken] - Session token (temporary credentials)
+ * @param {string} credentials.region - Region ('auto' for R2)
+ * @param {string} [credentials.service='s3'] - Service name
+ * @param {Date} [date=new Date()] - Signing time
+ * @returns {Promise<Object>} Headers to send: the input headers plus x-amz-date, x-amz-content-sha256 and authorization
+ */
+export async function signAwsRequest(request, credentials, date = new Date()) {
+  const url = new URL(request.url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const scope = `${amzDate.slice(0, 8)}/${credentials.region}/${credentials.service || 's3'}/aws4_request`;
+
+  const headers = {
+    ...Object.fromEntries(Object.entries(request.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': request.payloadHash,
+    ...(credentials.sessionToken ? { 'x-amz-security-token': credentials.sessionToken } : {})
+  };
+  const signedHeaders = Object.keys(headers).sort();
+
+  const query = [...url.searchParams]
+    .map(([name, value]) => [awsUriEncode(name), awsUriEncode(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname || '/',
+    query,
+    ...signedHeaders.map(name => `${name}:${headers[name].trim().replace(/\s+/g, ' ')}`),
+    '',
+    signedHeaders.join(';'),
+    request.payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalRequest)))
+  ].join('\n');
+
+  let key = await hmacSha256(`AWS4${credentials.secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [credentials.region, credentials.service || 's3', 'aws4_request']) {
+    key = await hmacSha256(key, part);
+  }
+  const signature = toHex(await hmacSha256(key, stringToSign));
+
+  delete headers.host;
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * S3-compatible object storage (Cloudflare R2, MinIO, AWS S3), using path-style URLs
+ * Objects get their content type and user metadata (x-amz-meta-*). S3 has no append, so
+ * appended text (checkpoints) is buffered in memory and the object is rewritten at most
+ * once per appendInterval and on flush(). Appends to a key must come from one storage instance
+ */
+export class S3Storage {
+  /**
+   * Initialize S3 storage
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - Endpoint URL (R2: https://<account_id>.r2.cloudflarestorage.com)
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} [options.sessionToken] - Session token (temporary credentials)
+   * @param {string} [options.region='auto'] - Region ('auto' for R2, e.g. 'us-east-1' for MinIO and S3)
+   * @param {string} [options.prefix=''] - Key prefix for every object (e.g. 'runs/2026-10-18/')
+   * @param {number} [options.appendInterval=5000] - Longest time appended text stays unwritten (milliseconds)
+   * @param {Function} [options.fetch] - fetch-compatible transport (default: global fetch)
+   */
+  constructor(options) {
+    for (const field of ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey']) {
+      if (!options || !options[field]) {
+        throw new Error(`S3Storage requires ${field}`);
+      }
+    }
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      sessionToken: options.sessionToken,
+      region: options.region || 'auto',
+      service: 's3'
+    };
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.appendInterval = options.appendInterval ?? 5000;
+    this._appends = new Map();
+    this._appendTimer = null;
+    this._appendWrites = Promise.resolve();
+    this._appendError = null;
+  }
+
+  /**
+   * Object key of a batch path: prefix plus the relative path (see relativeKey)
+   * @param {string} key - File path
+   * @returns {string}
+   */
+  objectKey(key) {
+    return this.prefix + relativeKey(key);
+  }
+
+  /**
+   * Object URL of a batch path
+   * @param {string} key - File path
+   * @returns {string}
+   */
+  objectUrl(key) {
+    const path = this.objectKey(key).split('/').map(awsUriEncode).join('/');
+    return `${this.endpoint}/${awsUriEncode(this.bucket)}/${path}`;
+  }
+
+  /**
+   * Send a signed request
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} key - File path
+   * @param {Uint8Array} [body] - Request body
+   * @param {Object} [headers] - Extra headers
+   * @returns {Promise<Response>}
+   */
+  async _send(method, key, body, headers = {}) {
+    const url = this.objectUrl(key);
+    const payloadHash = toHex(await crypto.subtle.digest('SHA-256', body || new Uint8Array(0)));
+    const signed = await signAwsRequest({ method, url, headers, payloadHash }, this.credentials);
+
+    try {
+      return await this.fetch(url, { method, headers: signed, body });
+    } catch (error) {
+      throw new StorageError(`S3 ${method} ${this.objectKey(key)} failed: ${error.message}`, { key, cause: error });
+    }
+  }
+
+  /**
+   * Throw a StorageError for a failed response
+   * @private
+   * @param {Response} response - Response
+   * @param {string} method - HTTP method
+   * @param {string} key - File path
+   */
+  async _fail(response, method, key) {
+    const text = await response.text().catch(() => '');
+    const code = /<Code>([^<]*)<\/Code>/.exec(text)?.[1] || null;
+    const message = /<Message>([^<]*)<\/Message>/.exec(text)?.[1];
+    throw new StorageError(
+      `S3 ${method} ${this.objectKey(key)} failed: HTTP ${response.status}${code ? ` ${code}` : ''}${message ? ` (${message})` : ''}`,
+      { key, status: response.status, code }
+    );
+  }
+
+  /**
+   * Upload an object, replacing any text appended to it but not written yet
+   * @param {string} key - File path
+   * @param {Uint8Array|Blob|string} data - Data
+   * @param {Object} [options] - Options
+   * @param {string} [options.contentType] - Content type (default: from the key's extension)
+   * @param {Object} [options.metadata] - User metadata, sent as x-amz-meta-<name> (non-ASCII values are percent-encoded)
+   */
+  async put(key, data, options = {}) {
+    this._appends.delete(key);
+    await this._upload(key, data, options);
+  }
+
+  /**
+   * Upload an object
+   * @private
+   * @param {string} key - File path
+   * @param {Uint8Array|Blob|string} data - Data
+   * @param {Object} [options] - { contentType, metadata }
+   */
+  async _upload(key, data, options = {}) {
+    const headers = { 'content-type': options.contentType || contentTypeFor(key) };
+    for (const [name, value] of Object.entries(options.metadata || {})) {
+      if (value === undefined || value === null) continue;
+      const text = String(value);
+      headers[`x-amz-meta-${name.toLowerCase()}`] = /^[\x20-\x7E]*$/.test(text) ? text : encodeURIComponent(text);
+    }
+
+    const response = await this._send('PUT', key, await toBytes(data), headers);
+    if (!response.ok) {
+      await this._fail(response, 'PUT', key);
+    }
+    await response.body?.cancel();
+  }
+
+  /**
+   * Append text to an object
+   * The object is read once, then the text is buffered until the next periodic write or flush()
+   * @param {string} key - File path
+   * @param {string} text - Text
+   */
+  async append(key, text) {
+    this._throwAppendError();
+    if (!this._appends.has(key)) {
+      const content = this._download(key).then(existing => existing ?? '');
+      content.catch(() => {}); // Reported by the write that needs it
+      this._appends.set(key, { content, pending: '' });
+    }
+    this._appends.get(key).pending += text;
+
+    if (!this._appendTimer) {
+      this._appendTimer = setTimeout(() => {
+        this._appendTimer = null;
+        this._writeAppends().catch(error => {
+          this._appendError = error;
+        });
+      }, this.appendInterval);
+      // Pending appends must not keep the process alive; flush() writes them
+      this._appendTimer.unref?.();
+    }
+  }
+
+  /**
+   * Write every object with buffered appends
+   */
+  async flush() {
+    if (this._appendTimer) {
+      clearTimeout(this._appendTimer);
+      this._appendTimer = null;
+    }
+    await this._writeAppends();
+    this._throwAppendError();
+  }
+
+  /**
+   * Rewrite objects with buffered appends, one write pass at a time
+   * @private
+   * @returns {Promise<void>}
+   */
+  _writeAppends() {
+    this._appendWrites = this._appendWrites.catch(() => {}).then(async () => {
+      for (const [key, buffer] of this._appends) {
+        if (!buffer.pending) continue;
+        const text = buffer.pending;
+        buffer.pending = '';
+        const content = (await buffer.content) + text;
+        buffer.content = Promise.resolve(content);
+        await this._upload(key, content);
+      }
+    });
+    return this._appendWrites;
+  }
+
+  /**
+   * Rethrow the failure of a periodic append write
+   * @private
+   */
+  _throwAppendError() {
+    if (this._appendError) {
+      const error = this._appendError;
+      this._appendError = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read an object as text, including appended text not written yet
+   * @param {string} key - File path
+   * @returns {Promise<string|null>} Content, or null if the object does not exist
+   */
+  async get(key) {
+    const buffer = this._appends.get(key);
+    if (buffer) {
+      return (await buffer.content) + buffer.pending;
+    }
+    return this._download(key);
+  }
+
+  /**
+   * Download an object as text
+   * @private
+   * @param {string} key - File path
+   * @returns {Promise<string|null>} Content, or null if the object does not exist
+   */
+  async _download(key) {
+    const response = await this._send('GET', key);
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+    if (!response.ok) {
+      await this._fail(response, 'GET', key);
+    }
+    return response.text();
+  }
+}
+
+/**
+ * Default storage of the current runtime: the filesystem in Deno and Node.js, downloads in browsers
+ * @returns {Object} Storage adapter
+ */
+export function createDefaultStorage() {
+  const env = detectEnvironment();
+  return env.isDeno || env.isNode ? new FileSystemStorage() : new DownloadStorage();
+}
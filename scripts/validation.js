@@ -0,0 +1,379 @@
+/**
+ * Local request validation for Cloudflare Browser Rendering API
+ * Catches bad options before they cost a round-trip and a remote 10020 error
+ * Supports Deno, Node.js, and modern browsers
+ */
+
+import { isValidUrl } from './config.js';
+import { ValidationError } from './errors.js';
+import { buildRequestBody } from './request-options.js';
+
+/**
+ * Resource types accepted by rejectResourceTypes / allowResourceTypes
+ */
+export const resourceTypes = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+  'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping',
+  'cspviolationreport', 'preflight', 'other'
+];
+
+/**
+ * PDF page format names (case-insensitive)
+ */
+export const pdfFormats = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+
+/**
+ * Page load events accepted by gotoOptions.waitUntil
+ */
+export const waitUntilEvents = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+/**
+ * Viewport limits
+ */
+export const viewportBounds = {
+  width: [1, 16384],
+  height: [1, 16384],
+  deviceScaleFactor: [0.1, 10]
+};
+
+const screenshotTypes = ['png', 'jpeg', 'webp'];
+const mediaTypes = ['screen', 'print'];
+const jsonSchemaTypes = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+// PDF lengths: plain numbers are pixels, strings may use px, in, cm or mm
+const lengthPattern = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check a URL or HTML page source
+ * @param {string|Object} source - URL, HTML string, or { url } / { html }
+ * @param {Array<string>} problems - Problem list to append to
+ */
+function checkSource(source, problems) {
+  if (typeof source === 'string') {
+    if (source.trimStart().startsWith('<')) return;
+    checkUrl(source, 'url', problems);
+    return;
+  }
+
+  if (!isObject(source)) {
+    problems.push('source must be a URL, an HTML string, or { url } / { html }');
+    return;
+  }
+  if (source.url && source.html) {
+    problems.push('"url" and "html" are mutually exclusive');
+  } else if (!source.url && !source.html) {
+    problems.push('a "url" or "html" source is required');
+  } else if (source.url) {
+    checkUrl(source.url, 'url', problems);
+  } else if (typeof source.html !== 'string') {
+    problems.push('"html" must be a string');
+  }
+}
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {*} url - Value
+ * @param {string} field - Field name for messages
+ * @param {Array<string>} problems - Problem list to append to
+ */
+function checkUrl(url, field, problems) {
+  if (typeof url !== 'string' || !isValidUrl(url)) {
+    problems.push(`"${field}" is not a valid URL: ${JSON.stringify(url)}`);
+  } else if (!/^https?:$/.test(new URL(url).protocol)) {
+    problems.push(`"${field}" must use http or https: ${url}`);
+  }
+}
+
+/**
+ * Check a number against an inclusive range
+ * @param {*} value - Value
+ * @param {string} field - Field name for messages
+ * @param {Array<number>} range - [min, max]
+ * @param {Array<string>} problems - Problem list to append to
+ * @param {boolean} [integer=false] - Require an integer
+ */
+function checkRange(value, field, [min, max], problems, integer = false) {
+  if (typeof value !== 'number' || Number.isNaN(value) || (integer && !Number.isInteger(value))) {
+    problems.push(`"${field}" must be ${integer ? 'an integer' : 'a number'} (got ${JSON.stringify(value)})`);
+  } else if (value < min || value > max) {
+    const bounds = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    problems.push(`"${field}" must be ${bounds} (got ${value})`);
+  }
+}
+
+/**
+ * Check a PDF length (margin, width, height)
+ * @param {*} value - Value
+ * @param {string} field - Field name for messages
+ * @param {Array<string>} problems - Problem list to append to
+ */
+function checkLength(value, field, problems) {
+  if (typeof value === 'number' ? value < 0 : !lengthPattern.test(String(value).trim())) {
+    problems.push(`"${field}" must be a non-negative length in px, in, cm or mm (got ${JSON.stringify(value)})`);
+  }
+}
+
+/**
+ * Check a CSS selector option (string or { selector })
+ * @param {*} value - Value
+ * @param {string} field - Field name for messages
+ * @param {Array<string>} problems - Problem list to append to
+ */
+function checkSelector(value, field, problems) {
+  const selector = isObject(value) ? value.selector : value;
+  if (!isNonEmptyString(selector)) {
+    problems.push(`"${field}" must be a non-empty CSS selector`);
+  }
+}
+
+/**
+ * Check a list of regular expression sources
+ * @param {*} patterns - Value
+ * @param {string} field - Field name for messages
+ * @param {Array<string>} problems - Problem list to append to
+ */
+function checkPatterns(patterns, field, problems) {
+  if (!Array.isArray(patterns)) {
+    problems.push(`"${field}" must be an array of regular expressions`);
+    return;
+  }
+  patterns.forEach((pattern, i) => {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      problems.push(`${field}[${i}] is not a valid regular expression: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Check that a JSON Schema is well-formed
+ * @param {*} schema - Schema
+ * @param {string} path - Location for messages
+ * @param {Array<string>} problems - Problem list to append to
+ */
+export function checkJsonSchema(schema, path, problems) {
+  if (typeof schema === 'boolean') return;
+  if (!isObject(schema)) {
+    problems.push(`${path} must be a JSON Schema object`);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types) {
+      if (!jsonSchemaTypes.includes(type)) {
+        problems.push(`${path}.type must be one of: ${jsonSchemaTypes.join(', ')} (got ${JSON.stringify(type)})`);
+      }
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!isObject(schema.properties)) {
+      problems.push(`${path}.properties must be an object`);
+    } else {
+      for (const [name, property] of Object.entries(schema.properties)) {
+        checkJsonSchema(property, `${path}.properties.${name}`, problems);
+      }
+    }
+  }
+
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required) || !schema.required.every(name => typeof name === 'string')) {
+      problems.push(`${path}.required must be an array of property names`);
+    } else if (isObject(schema.properties)) {
+      for (const name of schema.required.filter(name => !(name in schema.properties))) {
+        problems.push(`${path}.required lists "${name}", which is not in properties`);
+      }
+    }
+  }
+
+  if (schema.items !== undefined) {
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((item, i) => checkJsonSchema(item, `${path}.items[${i}]`, problems));
+    } else {
+      checkJsonSchema(schema.items, `${path}.items`, problems);
+    }
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    checkJsonSchema(schema.additionalProperties, `${path}.additionalProperties`, problems);
+  }
+
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) continue;
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      problems.push(`${path}.${keyword} must be a non-empty array of schemas`);
+    } else {
+      schema[keyword].forEach((sub, i) => checkJsonSchema(sub, `${path}.${keyword}[${i}]`, problems));
+    }
+  }
+
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    problems.push(`${path}.enum must be a non-empty array`);
+  }
+}
+
+/**
+ * Check a request body built by buildRequestBody
+ * @param {string} endpoint - API endpoint
+ * @param {Object} body - Request body without the page source
+ * @returns {Array<string>} Problems found
+ */
+export function validateRequestBody(endpoint, body) {
+  const problems = [];
+
+  if (body.viewport !== undefined) {
+    if (!isObject(body.viewport)) {
+      problems.push('"viewport" must be an object with width and height');
+    } else {
+      checkRange(body.viewport.width, 'viewport.width', viewportBounds.width, problems, true);
+      checkRange(body.viewport.height, 'viewport.height', viewportBounds.height, problems, true);
+      if (body.viewport.deviceScaleFactor !== undefined) {
+        checkRange(body.viewport.deviceScaleFactor, 'viewport.deviceScaleFactor', viewportBounds.deviceScaleFactor, problems);
+      }
+    }
+  }
+
+  if (body.rejectResourceTypes !== undefined && body.allowResourceTypes !== undefined) {
+    problems.push('"rejectResourceTypes" and "allowResourceTypes" are mutually exclusive');
+  }
+  for (const field of ['rejectResourceTypes', 'allowResourceTypes']) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field])) {
+      problems.push(`"${field}" must be an array`);
+      continue;
+    }
+    for (const type of body[field].filter(type => !resourceTypes.includes(type))) {
+      problems.push(`"${field}" contains unknown resource type "${type}" (allowed: ${resourceTypes.join(', ')})`);
+    }
+  }
+  for (const field of ['rejectRequestPattern', 'allowRequestPattern']) {
+    if (body[field] !== undefined) checkPatterns(body[field], field, problems);
+  }
+
+  if (body.waitForSelector !== undefined) checkSelector(body.waitForSelector, 'waitForSelector', problems);
+  if (body.selector !== undefined) checkSelector(body.selector, 'selector', problems);
+
+  if (body.emulateMediaType !== undefined && !mediaTypes.includes(body.emulateMediaType)) {
+    problems.push(`"emulateMediaType" must be one of: ${mediaTypes.join(', ')}`);
+  }
+  if (body.cookies !== undefined) {
+    if (!Array.isArray(body.cookies)) {
+      problems.push('"cookies" must be an array');
+    } else {
+      body.cookies.forEach((cookie, i) => {
+        if (!isObject(cookie) || !isNonEmptyString(cookie.name) || cookie.value === undefined) {
+          problems.push(`cookies[${i}] must have a name and a value`);
+        }
+      });
+    }
+  }
+  if (body.authenticate !== undefined && !(isObject(body.authenticate) && typeof body.authenticate.username === 'string' && typeof body.authenticate.password === 'string')) {
+    problems.push('"authenticate" must be { username, password }');
+  }
+  if (body.setExtraHTTPHeaders !== undefined && !(isObject(body.setExtraHTTPHeaders) && Object.values(body.setExtraHTTPHeaders).every(v => typeof v === 'string'))) {
+    problems.push('"setExtraHTTPHeaders" must map header names to string values');
+  }
+
+  const { waitUntil, timeout } = body.gotoOptions || {};
+  if (waitUntil !== undefined) {
+    for (const event of Array.isArray(waitUntil) ? waitUntil : [waitUntil]) {
+      if (!waitUntilEvents.includes(event)) {
+        problems.push(`"waitUntil" must be one of: ${waitUntilEvents.join(', ')} (got ${JSON.stringify(event)})`);
+      }
+    }
+  }
+  if (typeof timeout !== 'number' || timeout < 0) {
+    problems.push(`"timeout" must be a non-negative number of milliseconds (got ${JSON.stringify(timeout)})`);
+  }
+
+  if (body.screenshotOptions) {
+    const { type, quality, clip } = body.screenshotOptions;
+    if (type !== undefined && !screenshotTypes.includes(type)) {
+      problems.push(`"type" must be one of: ${screenshotTypes.join(', ')} (got ${JSON.stringify(type)})`);
+    }
+    if (quality !== undefined) {
+      checkRange(quality, 'quality', [0, 100], problems, true);
+      if (!['jpeg', 'webp'].includes(type)) {
+        problems.push('"quality" only applies to jpeg and webp screenshots');
+      }
+    }
+    if (clip !== undefined) {
+      if (!isObject(clip)) {
+        problems.push('"clip" must be { x, y, width, height }');
+      } else {
+        for (const key of ['x', 'y']) checkRange(clip[key], `clip.${key}`, [0, Infinity], problems);
+        for (const key of ['width', 'height']) checkRange(clip[key], `clip.${key}`, [1, Infinity], problems);
+      }
+    }
+  }
+
+  if (body.pdfOptions) {
+    const { format, margin, scale, width, height } = body.pdfOptions;
+    if (typeof format !== 'string' || !pdfFormats.includes(format.toLowerCase())) {
+      problems.push(`"format" must be one of: ${pdfFormats.join(', ')} (got ${JSON.stringify(format)})`);
+    }
+    if (margin !== undefined) {
+      if (!isObject(margin)) {
+        problems.push('"margin" must be { top, right, bottom, left }');
+      } else {
+        for (const [side, value] of Object.entries(margin)) {
+          if (!['top', 'right', 'bottom', 'left'].includes(side)) {
+            problems.push(`"margin" has unknown side "${side}"`);
+          } else {
+            checkLength(value, `margin.${side}`, problems);
+          }
+        }
+      }
+    }
+    if (width !== undefined) checkLength(width, 'width', problems);
+    if (height !== undefined) checkLength(height, 'height', problems);
+    if (scale !== undefined) checkRange(scale, 'scale', [0.1, 2], problems);
+  }
+
+  if (endpoint === 'json' && !body.prompt && !body.response_format) {
+    problems.push('"prompt" or "responseFormat" is required');
+  }
+
+  if (endpoint === 'scrape') {
+    if (!Array.isArray(body.elements) || body.elements.length === 0) {
+      problems.push('"elements" must be a non-empty array');
+    } else {
+      body.elements.forEach((element, i) => checkSelector(element, `elements[${i}]`, problems));
+    }
+  }
+
+  if (body.response_format !== undefined) {
+    const format = body.response_format;
+    // Accept a bare schema or the { type: 'json_schema', schema } wrapper
+    if (isObject(format) && format.type === 'json_schema') {
+      checkJsonSchema(format.schema ?? format.json_schema, 'responseFormat.schema', problems);
+    } else {
+      checkJsonSchema(format, 'responseFormat', problems);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a call before it is sent
+ * @param {string} endpoint - API endpoint
+ * @param {string|Object} source - URL, HTML string, or { url } / { html }
+ * @param {Object} [options] - Method options
+ * @throws {ValidationError} Listing every problem found
+ */
+export function validateRequest(endpoint, source, options = {}) {
+  const problems = [];
+  checkSource(source, problems);
+  problems.push(...validateRequestBody(endpoint, buildRequestBody(endpoint, options)));
+
+  if (problems.length > 0) {
+    const url = typeof source === 'string' ? (source.trimStart().startsWith('<') ? null : source) : source?.url;
+    throw new ValidationError(problems, { endpoint, url });
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * BatchProcessor against the local mock server, writing to a temporary directory
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { BatchProcessor } from '../scripts/batch-processor.js';
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { parseCsvRows } from '../scripts/csv.js';
+import { ValidationError } from '../scripts/errors.js';
+import { startMockServer } from '../scripts/mock-server.js';
+
+const urls = ['https://example.com', 'https://example.org/blog/post'];
+
+describe('BatchProcessor', () => {
+  let server;
+  let dir;
+  let processor;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    for (const endpoint of ['screenshot', 'pdf', 'content', 'markdown', 'json', 'scrape', 'snapshot', 'links']) {
+      server.setFixture(endpoint, undefined);
+    }
+    server.reset();
+    mock.method(console, 'log', () => {});
+    dir = await mkdtemp(join(tmpdir(), 'batch-test-'));
+    processor = new BatchProcessor({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      retry: { maxAttempts: 2, baseDelay: 0, jitter: 0 },
+      progress: 'quiet'
+    });
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Parse a JSON file of the output directory
+   * @param {string} name - File name
+   * @returns {Promise<*>}
+   */
+  const readJson = async (name) => JSON.parse(await readFile(join(dir, name), 'utf-8'));
+
+  for (const [method, kind, args, extension] of [
+    ['batchScreenshots', 'screenshot', [], 'png'],
+    ['batchPdfs', 'pdf', [], 'pdf'],
+    ['batchExtractContent', 'html', [], 'html'],
+    ['batchExtractContent', 'markdown', [{ contentType: 'markdown' }], 'md'],
+    ['batchJsonExtract', 'json', [{ prompt: 'Get the title' }], 'json'],
+    ['batchScrape', 'scrape', [{ elements: [{ selector: 'h1' }] }], 'json'],
+    ['batchLinks', 'links', [], 'json']
+  ]) {
+    it(`${method} writes ${kind} outputs and results`, async () => {
+      const results = await processor[method](urls, dir, ...args);
+
+      assert.deepEqual(results.map(r => r.status), ['success', 'success']);
+      for (const result of results) {
+        assert.ok(result.filepath.endsWith(`.${extension}`));
+        assert.ok(existsSync(result.filepath));
+      }
+
+      const records = await readJson(`${kind}_results.json`);
+      const summary = await readJson(`${kind}_summary.json`);
+      assert.deepEqual(records.map(r => r.url), urls);
+      assert.deepEqual(records.map(r => r.browserMsUsed), [1000, 1000]);
+      assert.deepEqual(summary, { kind, total: 2, success: 2, failed: 0, cancelled: 0, browserMsUsed: 2000 });
+      const csv = parseCsvRows(await readFile(join(dir, `${kind}_results.csv`), 'utf-8'));
+      assert.equal(csv.length, 4);
+      assert.equal(csv[0].at(-1), 'BrowserMsUsed');
+      assert.deepEqual(csv[3], ['TOTAL', '2/2 succeeded', ...new Array(csv[0].length - 3).fill(''), '2000']);
+    });
+  }
+
+  it('saves the extracted data as a dataset', async () => {
+    await processor.batchJsonExtract(urls, dir, { prompt: 'Get the title' });
+    assert.deepEqual(await readJson('json_dataset.json'), urls.map(url => ({ url, data: { title: 'Mock Page' } })));
+    assert.equal((await readJson('json_results.json'))[0].data, undefined);
+  });
+
+  it('requires a prompt or schema for batchJsonExtract', async () => {
+    await assert.rejects(processor.batchJsonExtract(urls, dir), { name: 'ValidationError', message: /"prompt" or "responseFormat"/ });
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('requires elements for batchScrape', async () => {
+    await assert.rejects(processor.batchScrape(urls, dir, { elements: [] }), ValidationError);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('batchSnapshots writes an image and an HTML file per URL', async () => {
+    const [result] = await processor.batchSnapshots(urls.slice(0, 1), dir);
+    assert.equal(result.status, 'success');
+    assert.ok(result.filepath.endsWith('.png'));
+    assert.ok(result.htmlFilepath.endsWith('.html'));
+    assert.match(await readFile(result.htmlFilepath, 'utf-8'), /Mock Page/);
+  });
+
+  it('batchSnapshots names the image after the requested type', async () => {
+    const [jpeg] = await processor.batchSnapshots(urls.slice(0, 1), dir, { type: 'jpeg' });
+    assert.ok(jpeg.filepath.endsWith('.jpeg'));
+    const [webp] = await processor.batchSnapshots(urls.slice(1), dir, { screenshotOptions: { type: 'webp' } });
+    assert.ok(webp.filepath.endsWith('.webp'));
+    assert.equal(server.requests[1].body.screenshotOptions.type, 'webp');
+  });
+
+  it('forwards page-control options to every request', async () => {
+    await processor.batchScreenshots(urls, dir, { userAgent: 'TestBot', type: 'jpeg', quality: 80 });
+    for (const { body } of server.requests) {
+      assert.equal(body.userAgent, 'TestBot');
+      assert.deepEqual([body.screenshotOptions.type, body.screenshotOptions.quality], ['jpeg', 80]);
+    }
+  });
+
+  it('records failed URLs and keeps going', async () => {
+    server.setFixture('content', (request) => (request.body.url === urls[0] ? { error: '10031' } : {}));
+    const results = await processor.batchExtractContent(urls, dir);
+
+    assert.equal(results[0].status, 'error');
+    assert.match(results[0].error, /10031/);
+    assert.equal(results[1].status, 'success');
+    assert.equal((await readJson('html_summary.json')).failed, 1);
+  });
+
+  it('retries with the processor retry policy', async () => {
+    server.setFixture('links', [{ error: '10050' }, {}]);
+    const [result] = await processor.batchLinks(urls.slice(0, 1), dir);
+    assert.equal(result.status, 'success');
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('sends pdf options on top of the configured pdf defaults', async () => {
+    const configured = new BatchProcessor({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      progress: 'quiet',
+      defaults: { pdf_options: { format: 'letter', landscape: true } }
+    });
+    await configured.batchPdfs(urls.slice(0, 1), dir, { pdfOptions: { landscape: false }, scale: 0.5 });
+
+    const { pdfOptions } = server.requests[0].body;
+    assert.deepEqual([pdfOptions.format, pdfOptions.landscape, pdfOptions.scale, pdfOptions.margin], ['letter', false, 0.5, undefined]);
+  });
+
+  it('names outputs with a template', async () => {
+    const results = await processor.batchLinks(urls, dir, { filenameTemplate: '{index}_{domain}' });
+    assert.deepEqual(results.map(r => r.filename), ['1_example_com.json', '2_example_org.json']);
+  });
+
+  it('creates template subdirectories, suffixes collisions and writes an outputs manifest', async () => {
+    const pages = ['https://example.com/docs', 'https://example.com/docs?v=2', 'https://example.org/'];
+    const results = await processor.batchExtractContent(pages, dir, { contentType: 'markdown', filenameTemplate: '{host}/{path}' });
+
+    assert.deepEqual(results.map(r => r.filename), ['example.com/docs.md', 'example.com/docs-2.md', 'example.org/index.md']);
+    assert.ok(existsSync(join(dir, 'example.com', 'docs-2.md')));
+    assert.deepEqual(await readJson('markdown_outputs.json'), {
+      [pages[0]]: 'example.com/docs.md',
+      [pages[1]]: 'example.com/docs-2.md',
+      [pages[2]]: 'example.org/index.md'
+    });
+  });
+
+  it('rejects unknown naming placeholders before sending', async () => {
+    await assert.rejects(processor.batchLinks(urls, dir, { filenameTemplate: '{slug}' }), /unknown placeholder \{slug\}/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('shards outputs by host', async () => {
+    const results = await processor.batchLinks(urls, dir, { filenameTemplate: '{index}', shard: 'host' });
+    assert.deepEqual(results.map(r => r.filename), ['example.com/1.json', 'example.org/2.json']);
+  });
+
+  it('resumes from a checkpoint', async () => {
+    server.setFixture('links', (request) => (request.body.url === urls[1] ? { error: '10031' } : {}));
+    await processor.batchLinks(urls, dir, { checkpoint: true });
+    assert.equal(server.requests.length, 2);
+    assert.ok(existsSync(join(dir, 'links_checkpoint.jsonl')));
+
+    server.setFixture('links', undefined);
+    server.reset();
+    const results = await processor.batchLinks(urls, dir, { resume: true });
+    assert.deepEqual(results.map(r => r.status), ['success', 'success']);
+    assert.deepEqual(server.requests.map(r => r.body.url), [urls[1]]);
+  });
+
+  it('runs client hooks for every request', async () => {
+    const seen = [];
+    const hooked = new BatchProcessor({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      hooks: { afterResponse: (result, request) => seen.push(request.body.url) }
+    });
+    await hooked.batchLinks(urls, dir);
+    assert.deepEqual(seen.sort(), [...urls].sort());
+  });
+
+  it('sends requests through a given client', async () => {
+    const client = new CloudflareBrowserRenderingClient({ accountId: 'mock-account', apiToken: 'test-token', baseUrl: server.baseUrl });
+    const shared = new BatchProcessor({ client });
+    assert.equal(shared.client, client);
+    await shared.batchLinks(urls.slice(0, 1), dir);
+    assert.equal(client.getUsage().requests, 1);
+  });
+
+  it('cancel() stops the batch and records items that never started', async () => {
+    server.setFixture('links', { latency: 100 });
+    const many = Array.from({ length: 6 }, (_, i) => `https://example.com/${i}`);
+    const running = processor.batchLinks(many, dir, { maxWorkers: 1 });
+    setTimeout(() => processor.cancel(), 150);
+    const results = await running;
+
+    const statuses = results.map(r => r.status);
+    assert.ok(statuses.includes('cancelled'));
+    assert.ok(server.requests.length < many.length);
+    assert.deepEqual(results.map(r => r.url), many);
+    assert.equal((await readJson('links_summary.json')).cancelled, statuses.filter(s => s === 'cancelled').length);
+    server.setFixture('links', undefined);
+  });
+
+  it('cancels through options.signal and runs again afterwards', async () => {
+    const results = await processor.batchLinks(urls, dir, { signal: AbortSignal.abort() });
+    assert.deepEqual(results.map(r => r.status), ['cancelled', 'cancelled']);
+    assert.equal(server.requests.length, 0);
+
+    const again = await processor.batchLinks(urls, dir);
+    assert.deepEqual(again.map(r => r.status), ['success', 'success']);
+  });
+
+  it('pause() holds new items until resume()', async () => {
+    processor.pause();
+    const running = processor.batchLinks(urls, dir);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(server.requests.length, 0);
+
+    processor.resume();
+    const results = await running;
+    assert.deepEqual(results.map(r => r.status), ['success', 'success']);
+  });
+
+  it('sends the device viewport at the top level for every endpoint', async () => {
+    for (const endpoint of ['pdf', 'screenshot', 'markdown']) {
+      server.reset();
+      await processor.runJob({ endpoint, device: 'mobile', urls: urls.slice(0, 1), outputDir: dir });
+      assert.equal(server.requests[0].body.viewport.width, 390);
+      assert.equal(server.requests[0].body.pdfOptions?.viewport, undefined);
+    }
+  });
+
+  it('runs a job manifest', async () => {
+    const results = await processor.runJob({ endpoint: 'markdown', urls, outputDir: dir, naming: '{index}' });
+    assert.deepEqual(results.map(r => r.filename), ['1.md', '2.md']);
+    assert.deepEqual(server.requests.map(r => r.endpoint), ['markdown', 'markdown']);
+  });
+
+  it('batchDocuments renders one PDF per data row', async () => {
+    const results = await processor.batchDocuments(
+      '<html><head></head><body><h1>{{ name }}</h1></body></html>',
+      [{ id: 'a', name: 'Ada' }, { id: 'b', name: 'Grace' }],
+      dir,
+      { idField: 'id', filenameTemplate: 'invoice_{id}' }
+    );
+
+    assert.deepEqual(results.map(r => r.filename), ['invoice_a.pdf', 'invoice_b.pdf']);
+    assert.deepEqual(server.requests.map(r => r.body.html.match(/<h1>(.*)<\/h1>/)[1]), ['Ada', 'Grace']);
+    assert.deepEqual((await readdir(dir)).filter(name => name.endsWith('.pdf')).sort(), ['invoice_a.pdf', 'invoice_b.pdf']);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Command-line interface against the local mock server
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { buildOptions, exitCodes, main, parseArgs } from '../scripts/cli.js';
+import { startMockServer } from '../scripts/mock-server.js';
+
+const url = 'https://example.com';
+
+/**
+ * Fake runtime I/O: credentials in the environment, captured stdout
+ * @param {Object} [options] - Options
+ * @param {string} [options.stdin] - Piped stdin content
+ * @param {boolean} [options.stdoutIsTTY=false] - Whether stdout is a terminal
+ * @param {string} [options.token='test-token'] - API token in the environment
+ * @returns {Object} Runtime with `stdout` chunks
+ */
+function fakeRuntime(options = {}) {
+  const env = { CLOUDFLARE_ACCOUNT_ID: 'mock-account', CLOUDFLARE_API_TOKEN: options.token || 'test-token' };
+  const runtime = {
+    stdout: [],
+    env: (name) => env[name],
+    stdinReads: 0,
+    stdoutIsTTY: () => Boolean(options.stdoutIsTTY),
+    readStdin: async () => {
+      runtime.stdinReads++;
+      return options.stdin ?? '';
+    },
+    writeStdout: async (data) => {
+      runtime.stdout.push(data);
+    },
+    onInterrupt: (handler) => {
+      runtime.interrupt = handler;
+      return () => {
+        runtime.interrupt = null;
+      };
+    }
+  };
+  return runtime;
+}
+
+describe('parseArgs', () => {
+  it('splits the command, positionals and flags', () => {
+    assert.deepEqual(parseArgs(['pdf', url, '-o', 'out.pdf', '--landscape', '--no-background', '--format=letter', '-']), {
+      command: 'pdf',
+      positionals: [url, '-'],
+      flags: { output: 'out.pdf', landscape: true, background: false, format: 'letter' }
+    });
+  });
+
+  it('rejects unknown short options and missing values', () => {
+    assert.throws(() => parseArgs(['pdf', '-x']), /Unknown option: -x/);
+    assert.throws(() => parseArgs(['pdf', '--timeout']), /--timeout requires a value/);
+  });
+});
+
+describe('buildOptions', () => {
+  it('maps flags to client options', async () => {
+    const { flags } = parseArgs([
+      '--viewport', '390x844@3', '--no-full-page', '--type', 'jpeg', '--quality', '80',
+      '--http-header', 'X-A: 1, X-B:2', '--elements', 'h1, .price', '--retries', '5',
+      '--margin', '1cm', '--footer-template', '<span class="pageNumber"></span>'
+    ]);
+    assert.deepEqual(await buildOptions(flags), {
+      viewport: { width: 390, height: 844, deviceScaleFactor: 3 },
+      fullPage: false,
+      type: 'jpeg',
+      quality: 80,
+      setExtraHTTPHeaders: { 'X-A': '1', 'X-B': '2' },
+      retry: { maxAttempts: 5 },
+      margin: { top: '1cm', bottom: '1cm', left: '1cm', right: '1cm' },
+      displayHeaderFooter: true,
+      footerTemplate: '<span class="pageNumber"></span>',
+      elements: [{ selector: 'h1' }, { selector: '.price' }]
+    });
+  });
+
+  it('applies device presets', async () => {
+    assert.equal((await buildOptions({ preset: 'mobile' })).viewport.width, 390);
+    await assert.rejects(buildOptions({ preset: 'watch' }), /Unknown preset "watch"/);
+  });
+
+  it('rejects malformed values', async () => {
+    await assert.rejects(buildOptions({ viewport: 'wide' }), /--viewport must look like/);
+    await assert.rejects(buildOptions({ quality: 'high' }), /--quality must be a non-negative integer/);
+    await assert.rejects(buildOptions({ type: 'gif' }), /--type must be png, jpeg or webp/);
+  });
+});
+
+describe('main', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    server = await startMockServer({ apiToken: 'test-token' });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    server.setFixture('content', undefined);
+    server.setFixture('links', undefined);
+    server.reset();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    dir = await mkdtemp(join(tmpdir(), 'cli-test-'));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the CLI against the mock server
+   * @param {Array<string>} argv - Arguments
+   * @param {Object} [runtime] - Fake runtime
+   * @returns {Promise<number>} Exit code
+   */
+  const run = (argv, runtime = fakeRuntime()) => main([...argv, '--base-url', server.baseUrl], runtime);
+
+  it('prints text results to stdout', async () => {
+    const runtime = fakeRuntime();
+    assert.equal(await run(['content', url], runtime), exitCodes.success);
+    assert.match(runtime.stdout.join(''), /<h1>Mock Page<\/h1>/);
+    assert.equal(server.requests[0].body.url, url);
+  });
+
+  it('writes binary results to stdout when it is not a terminal', async () => {
+    const runtime = fakeRuntime();
+    assert.equal(await run(['screenshot', url], runtime), exitCodes.success);
+    assert.deepEqual([...runtime.stdout[0].subarray(0, 4)], [0x89, 0x50, 0x4E, 0x47]);
+  });
+
+  it('writes one file per URL into the output directory', async () => {
+    const code = await run(['markdown', url, 'https://example.org/docs', '-o', dir]);
+    assert.equal(code, exitCodes.success);
+    assert.deepEqual((await readdir(dir)).sort(), ['example.com.md', 'example.org_docs.md']);
+  });
+
+  it('writes a single result to the --output file', async () => {
+    const file = join(dir, 'page.pdf');
+    assert.equal(await run(['pdf', url, '--landscape', '-o', file]), exitCodes.success);
+    assert.equal((await readFile(file)).subarray(0, 5).toString(), '%PDF-');
+    assert.equal(server.requests[0].body.pdfOptions.landscape, true);
+  });
+
+  it('reads URLs from stdin with --stdin or -', async () => {
+    const runtime = fakeRuntime({ stdin: `${url}\nhttps://example.org\n` });
+    assert.equal(await run(['links', '--stdin', '-o', dir], runtime), exitCodes.success);
+    assert.deepEqual(server.requests.map(r => r.body.url), [url, 'https://example.org']);
+
+    server.reset();
+    assert.equal(await run(['links', '-', '-o', dir], runtime), exitCodes.success);
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('does not read a piped stdin unless asked', async () => {
+    const runtime = fakeRuntime({ stdin: `${url}\n` });
+    assert.equal(await run(['links', '-o', dir], runtime), exitCodes.usage);
+    assert.equal(runtime.stdinReads, 0);
+  });
+
+  it('prints a curl command for --dry-run without sending', async () => {
+    const runtime = fakeRuntime();
+    assert.equal(await run(['pdf', url, '--dry-run'], runtime), exitCodes.success);
+    assert.match(runtime.stdout.join(''), /^curl -X POST/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('reports partial and total failures', async () => {
+    server.setFixture('content', (request) => (request.body.url === url ? { error: '10031' } : {}));
+    assert.equal(await run(['content', url, 'https://example.org', '-o', dir]), exitCodes.partialFailure);
+    assert.equal(await run(['content', url]), exitCodes.requestFailed);
+  });
+
+  it('exits with the configuration code on authentication errors', async () => {
+    assert.equal(await run(['content', url], fakeRuntime({ token: 'wrong' })), exitCodes.configuration);
+  });
+
+  it('exits with the usage code on usage errors', async () => {
+    assert.equal(await run(['video', url]), exitCodes.usage);
+    assert.equal(await run(['json', url]), exitCodes.usage);
+    assert.equal(await run(['content', 'not-a-url']), exitCodes.usage);
+    assert.equal(await run(['batch', '--endpoint', 'links', url, '-o', dir, '--progress', 'fancy']), exitCodes.usage);
+    assert.equal(await main([], fakeRuntime()), exitCodes.usage);
+    assert.equal(await main(['--help'], fakeRuntime()), exitCodes.success);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('cancels a batch on interrupt and keeps the partial results', async () => {
+    server.setFixture('links', { latency: 100 });
+    const runtime = fakeRuntime();
+    const many = Array.from({ length: 5 }, (_, i) => `https://example.com/${i}`);
+    const running = run(['batch', '--endpoint', 'links', ...many, '-o', dir, '--concurrency', '1'], runtime);
+    setTimeout(() => runtime.interrupt(), 150);
+
+    assert.equal(await running, exitCodes.partialFailure);
+    assert.ok(server.requests.length < many.length);
+    assert.ok((await readdir(dir)).includes('links_results.json'));
+    server.setFixture('links', undefined);
+  });
+
+  it('applies --request-timeout', async () => {
+    server.setFixture('content', { latency: 500 });
+    assert.equal(await run(['content', url, '--request-timeout', '20']), exitCodes.requestFailed);
+  });
+
+  it('runs batch jobs over URLs with --endpoint', async () => {
+    const code = await run(['batch', '--endpoint', 'links', url, 'https://example.org', '-o', dir]);
+    assert.equal(code, exitCodes.success);
+    assert.ok((await readdir(dir)).includes('links_results.json'));
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('passes pdf flags to batch jobs', async () => {
+    assert.equal(await run(['batch', '--endpoint', 'pdf', url, '-o', dir, '--format', 'letter', '--landscape']), exitCodes.success);
+    const { pdfOptions } = server.requests[0].body;
+    assert.deepEqual([pdfOptions.format, pdfOptions.landscape], ['letter', true]);
+  });
+
+  it('writes batch outputs into a zip archive with --zip', async () => {
+    const archive = join(dir, 'links.zip');
+    assert.equal(await run(['batch', '--endpoint', 'links', url, '-o', 'out', '--zip', archive]), exitCodes.success);
+
+    const bytes = await readFile(archive);
+    assert.equal(bytes.readUInt32LE(0), 0x04034b50);
+    assert.ok(bytes.includes('out/links_results.json'));
+    assert.deepEqual(await readdir(dir), ['links.zip']);
+  });
+});
@@ -0,0 +1,553 @@
+/**
+ * CloudflareBrowserRenderingClient against the local mock server
+ * Run: node --test test/
+ */
+
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { startMockServer } from '../scripts/mock-server.js';
+import {
+  AuthenticationError,
+  BrowserRenderingError,
+  InvalidResponseError,
+  NavigationError,
+  NetworkError,
+  RateLimitError,
+  RequestAbortedError,
+  RequestTimeoutError,
+  TimeoutError,
+  ValidationError
+} from '../scripts/errors.js';
+
+const url = 'https://example.com';
+
+/**
+ * Fast retries: no backoff or jitter unless a test sets them
+ */
+const fastRetry = { maxAttempts: 3, baseDelay: 0, jitter: 0 };
+
+describe('CloudflareBrowserRenderingClient', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startMockServer({ apiToken: 'test-token' });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    for (const endpoint of ['screenshot', 'pdf', 'content', 'markdown', 'json', 'scrape', 'snapshot', 'links']) {
+      server.setFixture(endpoint, undefined);
+    }
+    server.reset();
+    client = new CloudflareBrowserRenderingClient({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      retry: fastRetry
+    });
+  });
+
+  /**
+   * Record the delays the client waits between attempts instead of sleeping
+   * @returns {Array<number>} Delays (milliseconds)
+   */
+  const recordDelays = () => {
+    const delays = [];
+    client._delay = async (ms) => {
+      delays.push(ms);
+    };
+    return delays;
+  };
+
+  describe('endpoints', () => {
+    it('screenshot returns PNG bytes', async () => {
+      const png = await client.screenshot(url);
+      assert.deepEqual([...png.subarray(0, 4)], [0x89, 0x50, 0x4E, 0x47]);
+      assert.equal(server.requests[0].endpoint, 'screenshot');
+      assert.equal(server.requests[0].body.url, url);
+      assert.equal(server.requests[0].headers.authorization, 'Bearer test-token');
+    });
+
+    it('pdf returns PDF bytes and sends pdfOptions', async () => {
+      const pdf = await client.pdf(url, { landscape: true, pdfOptions: { pageRanges: '1-2' } });
+      assert.equal(Buffer.from(pdf.subarray(0, 5)).toString(), '%PDF-');
+      assert.equal(server.requests[0].body.pdfOptions.landscape, true);
+      assert.equal(server.requests[0].body.pdfOptions.pageRanges, '1-2');
+    });
+
+    it('content returns HTML', async () => {
+      const html = await client.content(url);
+      assert.match(html, /<h1>Mock Page<\/h1>/);
+    });
+
+    it('content accepts an HTML source', async () => {
+      await client.content({ html: '<p>Hi</p>' });
+      assert.equal(server.requests[0].body.html, '<p>Hi</p>');
+      assert.equal(server.requests[0].body.url, undefined);
+    });
+
+    it('markdown returns Markdown', async () => {
+      assert.match(await client.markdown(url), /^# Mock Page/);
+    });
+
+    it('jsonExtract sends the prompt and returns the result', async () => {
+      const data = await client.jsonExtract(url, { prompt: 'Get the title' });
+      assert.deepEqual(data, { title: 'Mock Page' });
+      assert.equal(server.requests[0].endpoint, 'json');
+      assert.equal(server.requests[0].body.prompt, 'Get the title');
+    });
+
+    it('scrape sends the selectors', async () => {
+      const result = await client.scrape(url, [{ selector: 'h1' }]);
+      assert.equal(result[0].selector, 'h1');
+      assert.deepEqual(server.requests[0].body.elements, [{ selector: 'h1' }]);
+    });
+
+    it('snapshot returns the screenshot and HTML', async () => {
+      const snapshot = await client.snapshot(url);
+      assert.deepEqual([...snapshot.screenshot.subarray(0, 4)], [0x89, 0x50, 0x4E, 0x47]);
+      assert.match(snapshot.html, /Mock Page/);
+      assert.equal(snapshot.browserMsUsed, 1000);
+    });
+
+    it('links returns the link list', async () => {
+      assert.deepEqual(await client.links(url), ['https://example.com/about']);
+    });
+
+    it('tracks browser time per client', async () => {
+      server.setFixture('content', { browserMsUsed: 2500 });
+      await client.content(url);
+      await client.links(url);
+      const { requests, browserMs, budget } = client.getUsage();
+      assert.deepEqual({ requests, browserMs, budget }, { requests: 2, browserMs: 3500, budget: null });
+    });
+
+    it('withMeta returns browser time, status and request ID', async () => {
+      server.setFixture('content', { browserMsUsed: 2500 });
+      const result = await client.content(url, { withMeta: true });
+      assert.match(result.data, /Mock Page/);
+      assert.equal(result.browserMsUsed, 2500);
+      assert.equal(result.status, 200);
+      assert.equal(result.contentType, 'application/json');
+      assert.equal(result.attempts, 1);
+      assert.equal(result.cached, false);
+      assert.match(result.requestId, /-MOCK$/);
+    });
+
+    it('withMeta on the client applies to every method', async () => {
+      const rich = new CloudflareBrowserRenderingClient({ accountId: 'mock-account', apiToken: 'test-token', baseUrl: server.baseUrl, withMeta: true });
+      const snapshot = await rich.snapshot(url);
+      assert.match(snapshot.data.html, /Mock Page/);
+      assert.equal(snapshot.browserMsUsed, 1000);
+      assert.equal(await rich.links(url, { withMeta: false }).then(links => links.length), 1);
+    });
+
+    it('rejects invalid options before sending', async () => {
+      await assert.rejects(client.screenshot(url, { quality: 150, type: 'jpeg' }), ValidationError);
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('requires a prompt or responseFormat for jsonExtract', async () => {
+      await assert.rejects(client.jsonExtract(url), { name: 'ValidationError', message: /"prompt" or "responseFormat" is required/ });
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('maps a rejected token to AuthenticationError', async () => {
+      const anonymous = new CloudflareBrowserRenderingClient({ accountId: 'mock-account', apiToken: 'wrong', baseUrl: server.baseUrl });
+      await assert.rejects(anonymous.content(url), AuthenticationError);
+    });
+  });
+
+  describe('transport', () => {
+    it('sends requests through an injected fetch', async () => {
+      const calls = [];
+      const custom = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        fetch: (input, init) => {
+          calls.push({ input, body: JSON.parse(init.body) });
+          return fetch(input, init);
+        }
+      });
+
+      assert.deepEqual(await custom.links(url), ['https://example.com/about']);
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].input, `${server.baseUrl}/links`);
+      assert.equal(calls[0].body.url, url);
+    });
+
+    it('wraps transport failures in NetworkError', async () => {
+      const offline = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        retry: false,
+        fetch: () => Promise.reject(new TypeError('fetch failed'))
+      });
+      await assert.rejects(offline.content(url), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.match(error.message, /fetch failed/);
+        return true;
+      });
+    });
+  });
+
+  describe('retries', () => {
+    for (const [label, fixture, ErrorClass] of [
+      ['10030 timeouts', { error: '10030' }, TimeoutError],
+      ['10050 rate limits', { error: '10050' }, RateLimitError],
+      ['HTTP 429', { status: 429, body: 'Too Many Requests', contentType: 'text/plain' }, RateLimitError],
+      ['HTTP 503', { status: 503, body: 'Service Unavailable', contentType: 'text/plain' }, BrowserRenderingError]
+    ]) {
+      it(`retries ${label} and then succeeds`, async () => {
+        server.setFixture('content', [fixture, fixture, {}]);
+        const result = await client.content(url, { withMeta: true });
+        assert.equal(result.attempts, 3);
+        assert.equal(server.requests.length, 3);
+      });
+
+      it(`throws ${ErrorClass.name} after the last attempt on ${label}`, async () => {
+        server.setFixture('content', fixture);
+        await assert.rejects(client.content(url), ErrorClass);
+        assert.equal(server.requests.length, fastRetry.maxAttempts);
+      });
+    }
+
+    it('does not retry codes outside the policy', async () => {
+      server.setFixture('content', { error: '10031' });
+      await assert.rejects(client.content(url), NavigationError);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('waits for Retry-After instead of the backoff delay', async () => {
+      const delays = recordDelays();
+      server.setFixture('content', [{ error: '10050', retryAfter: 0 }, {}]);
+
+      await client.content(url, { retry: { baseDelay: 60000, jitter: 0 } });
+      assert.equal(server.requests.length, 2);
+      assert.deepEqual(delays, [0]);
+    });
+
+    it('caps Retry-After at maxDelay', async () => {
+      const delays = recordDelays();
+      server.setFixture('content', [{ error: '10050', retryAfter: 120 }, {}]);
+
+      await client.content(url, { retry: { maxDelay: 5 } });
+      assert.deepEqual(delays, [5]);
+    });
+
+    it('ignores Retry-After when respectRetryAfter is false', async () => {
+      const delays = recordDelays();
+      server.setFixture('content', [{ error: '10050', retryAfter: 120 }, {}]);
+
+      await client.content(url, { retry: { respectRetryAfter: false } });
+      assert.deepEqual(delays, [0]);
+    });
+
+    it('backs off exponentially', async () => {
+      const delays = recordDelays();
+      server.setFixture('content', { error: '10030' });
+
+      await assert.rejects(client.content(url, { retry: { maxAttempts: 4, baseDelay: 100 } }), TimeoutError);
+      assert.deepEqual(delays, [100, 200, 400]);
+    });
+
+    it('retries binary endpoints too', async () => {
+      server.setFixture('screenshot', [{ error: '10030' }, {}]);
+      const result = await client.screenshot(url, { withMeta: true });
+      assert.equal(result.attempts, 2);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('rejects an already aborted call without sending it', async () => {
+      await assert.rejects(client.content(url, { signal: AbortSignal.abort() }), RequestAbortedError);
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('aborts an in-flight request', async () => {
+      server.setFixture('content', { latency: 2000 });
+      const controller = new AbortController();
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 50);
+
+      await assert.rejects(client.content(url, { signal: controller.signal }), (error) => {
+        assert.ok(error instanceof RequestAbortedError);
+        assert.equal(error.endpoint, 'content');
+        assert.equal(error.url, url);
+        return true;
+      });
+      assert.ok(Date.now() - started < 1000);
+    });
+
+    it('stops waiting between retries when aborted', async () => {
+      server.setFixture('content', { error: '10030' });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+
+      await assert.rejects(client.content(url, { signal: controller.signal, retry: { baseDelay: 60000 } }), RequestAbortedError);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('enforces requestTimeout across retries', async () => {
+      server.setFixture('content', { error: '10030', latency: 40 });
+      const limited = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        retry: { maxAttempts: 10, baseDelay: 0, jitter: 0 },
+        requestTimeout: 100
+      });
+
+      await assert.rejects(limited.content(url), (error) => {
+        assert.ok(error instanceof RequestTimeoutError);
+        assert.ok(error instanceof TimeoutError);
+        assert.match(error.message, /within 100ms/);
+        return true;
+      });
+      assert.ok(server.requests.length < 10);
+    });
+
+    it('lets a call override requestTimeout', async () => {
+      server.setFixture('content', { latency: 200 });
+      await assert.rejects(client.content(url, { requestTimeout: 20 }), RequestTimeoutError);
+    });
+  });
+
+  describe('binary responses', () => {
+    it('maps a JSON error body on the screenshot endpoint to its error class', async () => {
+      server.setFixture('screenshot', { status: 200, body: JSON.stringify({ success: false, errors: [{ code: 10031, message: 'Navigation failed' }] }), contentType: 'application/json' });
+      await assert.rejects(client.screenshot(url), NavigationError);
+    });
+
+    it('maps a JSON error body served as application/pdf', async () => {
+      server.setFixture('pdf', { body: JSON.stringify({ success: false, errors: [{ code: 10031, message: 'Navigation failed' }] }), contentType: 'application/pdf' });
+      await assert.rejects(client.pdf(url), NavigationError);
+    });
+
+    it('rejects a successful JSON body on a binary endpoint', async () => {
+      server.setFixture('pdf', { body: JSON.stringify({ success: true, result: null }), contentType: 'application/json' });
+      await assert.rejects(client.pdf(url), {
+        name: 'InvalidResponseError',
+        message: /expected pdf binary data, received JSON/
+      });
+    });
+
+    it('rejects bytes whose magic number does not match the endpoint', async () => {
+      server.setFixture('screenshot', { base64: Buffer.from('not an image').toString('base64'), contentType: 'image/png' });
+      await assert.rejects(client.screenshot(url), (error) => {
+        assert.ok(error instanceof InvalidResponseError);
+        assert.match(error.message, /expected png\/jpeg\/webp data from screenshot, received unrecognized data \(content-type image\/png\)/);
+        return true;
+      });
+    });
+
+    it('rejects a PNG from the pdf endpoint', async () => {
+      server.setFixture('pdf', { base64: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', contentType: 'application/pdf' });
+      await assert.rejects(client.pdf(url), { name: 'InvalidResponseError', message: /received png$/ });
+    });
+  });
+
+  describe('defaults', () => {
+    it('applies config.json settings to every call', async () => {
+      const configured = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        defaults: { default_settings: { viewport: { width: 800, height: 600 } } }
+      });
+      await configured.content(url);
+      await configured.content(url, { viewport: { width: 1024 } });
+      assert.deepEqual(server.requests[0].body.viewport, { width: 800, height: 600 });
+      assert.deepEqual(server.requests[1].body.viewport, { width: 1024, height: 600 });
+    });
+
+    it('lets pdfOptions fields override pdf defaults', async () => {
+      await client.pdf(url, { pdfOptions: { printBackground: false, displayHeaderFooter: true, headerTemplate: '<span>h</span>' } });
+      const { pdfOptions } = server.requests[0].body;
+      assert.equal(pdfOptions.printBackground, false);
+      assert.equal(pdfOptions.displayHeaderFooter, true);
+      assert.equal(pdfOptions.headerTemplate, '<span>h</span>');
+      assert.equal(pdfOptions.format, 'a4');
+    });
+
+    it('lets pdfOptions fields override configured pdf defaults', async () => {
+      const configured = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        defaults: { pdf_options: { format: 'letter', print_background: true } }
+      });
+      await configured.pdf(url, { pdfOptions: { printBackground: false } });
+      assert.equal(server.requests[0].body.pdfOptions.format, 'letter');
+      assert.equal(server.requests[0].body.pdfOptions.printBackground, false);
+    });
+
+    it('drops the default rejectResourceTypes when allowResourceTypes is set', async () => {
+      const configured = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        defaults: { content_extraction: { reject_resource_types: ['image'] } }
+      });
+      await configured.content(url);
+      await configured.content(url, { allowResourceTypes: ['document'] });
+      assert.deepEqual(server.requests[0].body.rejectResourceTypes, ['image']);
+      assert.equal(server.requests[1].body.rejectResourceTypes, undefined);
+      assert.deepEqual(server.requests[1].body.allowResourceTypes, ['document']);
+    });
+
+    it('applies performance_optimization.reject_resource_types to every endpoint', async () => {
+      const configured = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        defaults: {
+          default_settings: { performance_optimization: { reject_resource_types: ['font'] } },
+          content_extraction: { reject_resource_types: ['image'] }
+        }
+      });
+      await configured.screenshot(url);
+      await configured.content(url);
+      await configured.screenshot(url, { allowResourceTypes: ['document'] });
+      assert.deepEqual(server.requests[0].body.rejectResourceTypes, ['font']);
+      assert.deepEqual(server.requests[1].body.rejectResourceTypes, ['image']);
+      assert.equal(server.requests[2].body.rejectResourceTypes, undefined);
+      assert.deepEqual(server.requests[2].body.allowResourceTypes, ['document']);
+    });
+  });
+
+  describe('hooks', () => {
+    it('beforeRequest can change the headers and body', async () => {
+      client.use({
+        beforeRequest: (request) => {
+          request.headers['X-Trace'] = 'abc';
+          request.body.userAgent = 'HookBot';
+        }
+      });
+      await client.content(url);
+      assert.equal(server.requests[0].headers['x-trace'], 'abc');
+      assert.equal(server.requests[0].body.userAgent, 'HookBot');
+    });
+
+    it('beforeRequest can answer without calling the API', async () => {
+      const calls = [];
+      client.use({
+        beforeRequest: [() => ({ data: '<p>stub</p>' }), () => calls.push('second')],
+        afterResponse: () => calls.push('after')
+      });
+      const result = await client.content(url, { withMeta: true });
+      assert.deepEqual([result.data, result.attempts, result.browserMsUsed], ['<p>stub</p>', 0, 0]);
+      assert.deepEqual(calls, []);
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('afterResponse sees the result and request and can replace the result', async () => {
+      const seen = [];
+      client.use({
+        afterResponse: [
+          (result, request) => {
+            seen.push([request.endpoint, result.status, result.browserMsUsed]);
+          },
+          (result) => ({ ...result, data: result.data.toUpperCase() })
+        ]
+      });
+      assert.match(await client.content(url), /MOCK PAGE/);
+      assert.deepEqual(seen, [['content', 200, 1000]]);
+    });
+
+    it('onError runs once retries are exhausted and can recover', async () => {
+      const errors = [];
+      server.setFixture('content', { error: '10030' });
+      client.use({
+        onError: (error, request) => {
+          errors.push([error.name, request.endpoint]);
+          return { data: 'fallback' };
+        }
+      });
+      const result = await client.content(url, { withMeta: true });
+      assert.deepEqual([result.data, result.attempts], ['fallback', fastRetry.maxAttempts]);
+      assert.deepEqual(errors, [['TimeoutError', 'content']]);
+    });
+
+    it('onError can replace the error', async () => {
+      server.setFixture('content', { error: '10031' });
+      client.use({
+        onError: (error) => {
+          throw new Error(`wrapped: ${error.code}`);
+        }
+      });
+      await assert.rejects(client.content(url), /wrapped: 10031/);
+    });
+
+    it('onRetry runs before each retry and can change the next attempt', async () => {
+      const retries = [];
+      server.setFixture('content', [{ error: '10050' }, { error: '10050' }, {}]);
+      client.use({
+        onRetry: ({ error, attempt, delay, request }) => {
+          retries.push([error.code, attempt, delay]);
+          request.body.userAgent = `retry-${attempt}`;
+        }
+      });
+      await client.content(url);
+      assert.deepEqual(retries, [['10050', 1, 0], ['10050', 2, 0]]);
+      assert.deepEqual(server.requests.map(r => r.body.userAgent), [undefined, 'retry-1', 'retry-2']);
+    });
+
+    it('accepts hooks in the constructor and validates them', async () => {
+      const hooked = new CloudflareBrowserRenderingClient({
+        accountId: 'mock-account',
+        apiToken: 'test-token',
+        baseUrl: server.baseUrl,
+        hooks: { beforeRequest: () => ({ data: ['stub'] }) }
+      });
+      assert.deepEqual(await hooked.links(url), ['stub']);
+      assert.throws(() => hooked.use({ beforeSend: () => {} }), /Unknown hook "beforeSend"/);
+      assert.throws(() => hooked.use({ onError: 'log' }), TypeError);
+      assert.equal(hooked.use({}), hooked);
+    });
+
+    it('shows headers added by hooks in dry runs', async () => {
+      client.use({
+        beforeRequest: (request) => {
+          request.headers['X-Trace'] = 'abc';
+        }
+      });
+      const request = await client.links(url, { dryRun: true });
+      assert.equal(request.headers['X-Trace'], 'abc');
+      assert.match(request.curl, /-H 'X-Trace: abc'/);
+    });
+  });
+
+  describe('dry run', () => {
+    it('returns the request and a curl command without sending it', async () => {
+      const request = await client.pdf(url, { dryRun: true, landscape: true });
+
+      assert.equal(server.requests.length, 0);
+      assert.equal(request.method, 'POST');
+      assert.equal(request.url, `${server.baseUrl}/pdf`);
+      assert.equal(request.headers.Authorization, 'Bearer [REDACTED]');
+      assert.equal(request.body.pdfOptions.landscape, true);
+      assert.match(request.curl, /^curl -X POST '.+\/pdf'/);
+      assert.match(request.curl, /Bearer \$CLOUDFLARE_API_TOKEN/);
+      assert.match(request.curl, /-o pdf\.pdf$/);
+      assert.doesNotMatch(request.curl, /test-token/);
+    });
+
+    it('applies to every call when set on the client', async () => {
+      const dry = new CloudflareBrowserRenderingClient({ accountId: 'mock-account', apiToken: 'test-token', baseUrl: server.baseUrl, dryRun: true });
+      const request = await dry.snapshot(url);
+      assert.equal(request.body.url, url);
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('quotes single quotes in the body for the shell', async () => {
+      const request = await client.content({ html: "<p>it's</p>" }, { dryRun: true });
+      assert.ok(request.curl.includes(`it'\\''s`));
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * CSV parsing and formatting
+ * Run: node --test test/
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatCsv, formatCsvField, parseCsv, parseCsvRows } from '../scripts/csv.js';
+
+describe('parseCsvRows', () => {
+  it('handles quoted commas, doubled quotes and line breaks', () => {
+    assert.deepEqual(parseCsvRows('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n'), [
+      ['a', 'b, c', 'say "hi"'],
+      ['multi\nline', '', 'x']
+    ]);
+  });
+
+  it('strips a UTF-8 BOM and keeps a last row without a line break', () => {
+    assert.deepEqual(parseCsvRows('﻿id\n1'), [['id'], ['1']]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys rows by trimmed header and skips blank rows', () => {
+    assert.deepEqual(parseCsv(' id ,name\n1,Jane\n\n2\n'), [
+      { id: '1', name: 'Jane' },
+      { id: '2', name: '' }
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+  });
+});
+
+describe('formatCsvField', () => {
+  it('quotes only fields that need it', () => {
+    assert.equal(formatCsvField('plain'), 'plain');
+    assert.equal(formatCsvField('a,b'), '"a,b"');
+    assert.equal(formatCsvField('say "hi"'), '"say ""hi"""');
+    assert.equal(formatCsvField('two\nlines'), '"two\nlines"');
+  });
+
+  it('writes numbers as text, objects as JSON and nullish values as empty', () => {
+    assert.equal(formatCsvField(42), '42');
+    assert.equal(formatCsvField(false), 'false');
+    assert.equal(formatCsvField({ a: 1 }), '"{""a"":1}"');
+    assert.equal(formatCsvField(null), '');
+    assert.equal(formatCsvField(undefined), '');
+  });
+});
+
+describe('formatCsv', () => {
+  it('joins rows with CRLF and round-trips through parseCsvRows', () => {
+    const rows = [['URL', 'Error'], ['https://example.com/?a=1,2', 'Failed: "timeout"\nretrying']];
+    const text = formatCsv(rows);
+
+    assert.ok(text.endsWith('\r\n'));
+    assert.equal(text.split('\r\n')[0], 'URL,Error');
+    assert.deepEqual(parseCsvRows(text), rows);
+  });
+});
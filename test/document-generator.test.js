@@ -0,0 +1,131 @@
+/**
+ * Template rendering and PDF document generation
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { DocumentGenerator, loadDataRows, renderTemplate } from '../scripts/document-generator.js';
+import { startMockServer } from '../scripts/mock-server.js';
+
+describe('renderTemplate', () => {
+  it('escapes values unless triple-braced', () => {
+    assert.equal(renderTemplate('{{ a }}|{{{ a }}}', { a: '<b>"x"</b>' }), '&lt;b&gt;&quot;x&quot;&lt;/b&gt;|<b>"x"</b>');
+  });
+
+  it('resolves dotted paths and leaves missing values empty', () => {
+    assert.equal(renderTemplate('{{ customer.name }}-{{ customer.vat }}-{{ nope.deep }}', { customer: { name: 'Ada' } }), 'Ada--');
+  });
+
+  it('repeats #each blocks with this, @index and outer fields', () => {
+    const template = '{{#each items}}{{ @index }}:{{ name }}/{{ currency }};{{/each}}{{#each tags}}[{{ this }}]{{/each}}';
+    assert.equal(
+      renderTemplate(template, { currency: 'EUR', items: [{ name: 'a' }, { name: 'b' }], tags: ['x', 'y'] }),
+      '0:a/EUR;1:b/EUR;[x][y]'
+    );
+  });
+
+  it('renders #if and else branches (empty arrays are falsy)', () => {
+    const template = '{{#if items}}some{{else}}none{{/if}}';
+    assert.equal(renderTemplate(template, { items: [1] }), 'some');
+    assert.equal(renderTemplate(template, { items: [] }), 'none');
+  });
+
+  it('reports malformed templates', () => {
+    assert.throws(() => renderTemplate('{{#each items}}', {}), /unclosed \{\{#each items\}\}/);
+    assert.throws(() => renderTemplate('{{/if}}', {}), /unexpected \{\{\/if\}\}/);
+    assert.throws(() => renderTemplate('{{else}}', {}), /unexpected \{\{else\}\}/);
+  });
+});
+
+describe('loadDataRows', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'rows-test-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('reads CSV files with a header row', async () => {
+    await writeFile(join(dir, 'rows.csv'), '﻿id,name\r\n1,"Doe, Jane"\r\n\r\n2,"say ""hi"""\r\n');
+    assert.deepEqual(await loadDataRows(join(dir, 'rows.csv')), [
+      { id: '1', name: 'Doe, Jane' },
+      { id: '2', name: 'say "hi"' }
+    ]);
+  });
+
+  it('reads JSON arrays and rejects other JSON', async () => {
+    await writeFile(join(dir, 'rows.json'), '[{"id":1}]');
+    assert.deepEqual(await loadDataRows(join(dir, 'rows.json')), [{ id: 1 }]);
+
+    await writeFile(join(dir, 'object.json'), '{"id":1}');
+    await assert.rejects(loadDataRows(join(dir, 'object.json')), /must contain a JSON array/);
+  });
+});
+
+describe('DocumentGenerator', () => {
+  let server;
+  let client;
+  let dir;
+
+  before(async () => {
+    server = await startMockServer();
+    client = new CloudflareBrowserRenderingClient({ accountId: 'mock-account', apiToken: 'test-token', baseUrl: server.baseUrl });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    server.reset();
+    dir = await mkdtemp(join(tmpdir(), 'document-test-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('inlines styles and images from files next to the template', async () => {
+    await writeFile(join(dir, 'style.css'), 'h1 { color: red; }');
+    await writeFile(join(dir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+    await writeFile(join(dir, 'invoice.html'), '<html><head><title>{{ id }}</title></head><body><img src="{{ assets.logo }}"></body></html>');
+
+    const generator = await DocumentGenerator.fromFile(client, join(dir, 'invoice.html'), {
+      assets: { styles: ['style.css'], images: { logo: 'logo.png' } }
+    });
+    const html = await generator.render({ id: 'INV-1' });
+
+    assert.match(html, /<style>\nh1 \{ color: red; \}\n<\/style>\n<\/head>/);
+    assert.match(html, /<img src="data:image\/png;base64,iVBORw==">/);
+    assert.match(html, /<title>INV-1<\/title>/);
+  });
+
+  it('inlines styles containing replacement patterns verbatim', async () => {
+    const css = '.price::before { content: "$&"; } .note::after { content: "$\'"; }';
+    await writeFile(join(dir, 'style.css'), css);
+    await writeFile(join(dir, 'invoice.html'), '<html><head></head><body></body></html>');
+
+    const generator = await DocumentGenerator.fromFile(client, join(dir, 'invoice.html'), { assets: { styles: ['style.css'] } });
+    const html = await generator.render({});
+
+    assert.equal(html, `<html><head><style>\n${css}\n</style>\n</head><body></body></html>`);
+  });
+
+  it('renders header and footer placeholders and turns them on', async () => {
+    const generator = new DocumentGenerator(client, {
+      template: '<p>{{ id }}</p>',
+      pdfOptions: { footerTemplate: '<span>{{ id }}</span>', format: 'letter' }
+    });
+    const pdf = await generator.generate({ id: 'INV-2' });
+
+    assert.equal(Buffer.from(pdf.subarray(0, 5)).toString(), '%PDF-');
+    const { body } = server.requests[0];
+    assert.equal(body.html, '<p>INV-2</p>');
+    assert.equal(body.pdfOptions.footerTemplate, '<span>INV-2</span>');
+    assert.equal(body.pdfOptions.displayHeaderFooter, true);
+    assert.equal(body.pdfOptions.format, 'letter');
+  });
+});
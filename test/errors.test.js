@@ -0,0 +1,80 @@
+/**
+ * Error class mapping of API failures
+ * Run: node --test test/
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  AuthenticationError,
+  BrowserRenderingError,
+  ElementNotFoundError,
+  InvalidRequestError,
+  NavigationError,
+  QuotaExceededError,
+  RateLimitError,
+  TimeoutError,
+  createApiError
+} from '../scripts/errors.js';
+
+describe('createApiError', () => {
+  for (const [code, ErrorClass] of [
+    ['10000', AuthenticationError],
+    ['10020', InvalidRequestError],
+    ['10030', TimeoutError],
+    ['10031', NavigationError],
+    ['10040', ElementNotFoundError],
+    ['10050', RateLimitError],
+    ['10051', QuotaExceededError]
+  ]) {
+    it(`maps code ${code} to ${ErrorClass.name}`, () => {
+      const error = createApiError('failed', { code: Number(code), status: 422 });
+      assert.ok(error instanceof ErrorClass);
+      assert.ok(error instanceof BrowserRenderingError);
+      assert.equal(error.name, ErrorClass.name);
+      assert.equal(error.code, code);
+      assert.equal(error.status, 422);
+    });
+  }
+
+  for (const [status, ErrorClass] of [
+    [400, InvalidRequestError],
+    [401, AuthenticationError],
+    [403, AuthenticationError],
+    [429, RateLimitError]
+  ]) {
+    it(`maps HTTP ${status} without a known code to ${ErrorClass.name}`, () => {
+      const error = createApiError('failed', { status });
+      assert.ok(error instanceof ErrorClass);
+      assert.equal(error.code, ErrorClass.defaultCode);
+    });
+  }
+
+  it('prefers the code over the status', () => {
+    assert.ok(createApiError('failed', { code: '10031', status: 429 }) instanceof NavigationError);
+  });
+
+  it('falls back to BrowserRenderingError', () => {
+    const error = createApiError('failed', { code: '99999', status: 500 });
+    assert.equal(error.constructor, BrowserRenderingError);
+    assert.equal(error.code, '99999');
+  });
+
+  it('keeps the response details', () => {
+    const error = createApiError('failed', {
+      code: '10050',
+      status: 429,
+      endpoint: 'pdf',
+      url: 'https://example.com',
+      browserMsUsed: 120,
+      retryAfter: 3000,
+      requestId: 'abc-MOCK'
+    });
+    assert.deepEqual(
+      { endpoint: error.endpoint, url: error.url, browserMsUsed: error.browserMsUsed, retryAfter: error.retryAfter, requestId: error.requestId },
+      { endpoint: 'pdf', url: 'https://example.com', browserMsUsed: 120, retryAfter: 3000, requestId: 'abc-MOCK' }
+    );
+    assert.equal(error.toJSON().name, 'RateLimitError');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Batch result exporters
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { BatchProcessor } from '../scripts/batch-processor.js';
+import { parseCsvRows } from '../scripts/csv.js';
+import { exportResults, resolveExporters, resultExporters } from '../scripts/exporters.js';
+import { startMockServer } from '../scripts/mock-server.js';
+
+const table = {
+  kind: 'links',
+  summary: { kind: 'links', total: 2, success: 1, failed: 1, cancelled: 0, browserMsUsed: 1500 },
+  columns: [['URL', 'url'], ['Status', 'status'], ['LinkCount', 'linkCount'], ['Error', 'error'], ['BrowserMsUsed', 'browserMsUsed']],
+  records: [
+    { url: 'https://example.com', status: 'success', linkCount: 3, browserMsUsed: 1500 },
+    { url: 'https://example.org', status: 'error', error: "Bad | it's\nbroken, \"really\"", browserMsUsed: 0 }
+  ]
+};
+
+describe('resultExporters', () => {
+  it('json writes the records array and a separate summary file', async () => {
+    const files = {};
+    await resultExporters.json.export(table, { outputDir: 'out', writeFile: async (path, data) => { files[path] = data; } });
+    assert.deepEqual(JSON.parse(files['out/links_results.json']), table.records);
+    assert.deepEqual(JSON.parse(files['out/links_summary.json']), table.summary);
+  });
+
+  it('csv writes a header, escaped records and a TOTAL row', () => {
+    assert.deepEqual(parseCsvRows(resultExporters.csv.format(table)), [
+      ['URL', 'Status', 'LinkCount', 'Error', 'BrowserMsUsed'],
+      ['https://example.com', 'success', '3', '', '1500'],
+      ['https://example.org', 'error', '', "Bad | it's\nbroken, \"really\"", '0'],
+      ['TOTAL', '1/2 succeeded', '', '', '1500']
+    ]);
+  });
+
+  it('jsonl writes one record per line', () => {
+    const lines = resultExporters.jsonl.format(table).split('\n');
+    assert.equal(lines.length, 3);
+    assert.deepEqual(JSON.parse(lines[1]), table.records[1]);
+  });
+
+  it('markdown writes a summary line and an escaped table', () => {
+    const lines = resultExporters.markdown.format(table).split('\n');
+    assert.equal(lines[0], '**links**: 1/2 succeeded, browser time 1.5s');
+    assert.equal(lines[2], '| URL | Status | LinkCount | Error | BrowserMsUsed |');
+    assert.equal(lines[5], "| https://example.org | error |  | Bad \\| it's<br>broken, \"really\" | 0 |");
+  });
+
+  it('sql writes typed columns and quoted literals', () => {
+    const sql = resultExporters.sql.format(table);
+    assert.ok(sql.startsWith('BEGIN TRANSACTION;\nCREATE TABLE IF NOT EXISTS "links_results" ("url" TEXT, "status" TEXT, "linkCount" INTEGER, "error" TEXT, "browserMsUsed" INTEGER);\n'));
+    assert.ok(sql.includes(`INSERT INTO "links_results" ("url", "status", "linkCount", "error", "browserMsUsed") VALUES ('https://example.org', 'error', NULL, 'Bad | it''s\nbroken, "really"', 0);`));
+    assert.ok(sql.endsWith('COMMIT;\n'));
+  });
+
+  it('outputs maps successful items to paths relative to the output directory', async () => {
+    const files = {};
+    await resultExporters.outputs.export({
+      ...table,
+      records: [
+        { url: 'https://example.com', status: 'success', filepath: 'out/example.com/index.png' },
+        { url: 'https://example.org', status: 'success', filepath: 'out/a.png', htmlFilepath: 'out/a.html' },
+        { url: 'https://example.net', status: 'error' }
+      ]
+    }, { outputDir: 'out', writeFile: async (path, data) => { files[path] = data; } });
+
+    assert.deepEqual(JSON.parse(files['out/links_outputs.json']), {
+      'https://example.com': 'example.com/index.png',
+      'https://example.org': ['a.png', 'a.html']
+    });
+  });
+
+  it('stdout prints records as NDJSON', async () => {
+    const log = mock.method(console, 'log', () => {});
+    await resultExporters.stdout.export(table);
+    mock.restoreAll();
+    assert.deepEqual(log.mock.calls.map(call => JSON.parse(call.arguments[0])), table.records);
+  });
+});
+
+describe('resolveExporters', () => {
+  it('defaults to json, csv and outputs', () => {
+    assert.deepEqual(resolveExporters(), [resultExporters.json, resultExporters.csv, resultExporters.outputs]);
+  });
+
+  it('rejects unknown names and malformed exporters', () => {
+    assert.throws(() => resolveExporters(['xml']), /Unknown exporter "xml"/);
+    assert.throws(() => resolveExporters([{ format: () => '' }]), TypeError);
+    assert.throws(() => resolveExporters([null]), TypeError);
+  });
+});
+
+describe('exportResults', () => {
+  it('writes format exporters to <kind>_results.<extension> and runs custom ones', async () => {
+    const files = {};
+    const seen = [];
+    const context = { outputDir: 'out', writeFile: async (path, data) => { files[path] = data; } };
+
+    const written = await exportResults(table, [
+      'jsonl',
+      { extension: 'txt', format: t => t.records.map(r => r.url).join('\n') },
+      { export: async (t, ctx) => seen.push([t.kind, ctx.outputDir]) }
+    ], context);
+
+    assert.deepEqual(written, ['out/links_results.jsonl', 'out/links_results.txt']);
+    assert.equal(files['out/links_results.txt'], 'https://example.com\nhttps://example.org');
+    assert.deepEqual(seen, [['links', 'out']]);
+  });
+});
+
+describe('BatchProcessor exporters', () => {
+  let server;
+  let dir;
+  let processor;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    server.reset();
+    dir = await mkdtemp(join(tmpdir(), 'exporters-test-'));
+    processor = new BatchProcessor({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      progress: 'quiet'
+    });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes the chosen formats only', async () => {
+    await processor.batchLinks(['https://example.com'], dir, { exporters: ['markdown', 'sql'] });
+
+    const files = (await readdir(dir)).filter(name => name.startsWith('links_results.'));
+    assert.deepEqual(files.sort(), ['links_results.md', 'links_results.sql']);
+    assert.match(await readFile(join(dir, 'links_results.md'), 'utf-8'), /^\*\*links\*\*: 1\/1 succeeded/);
+  });
+
+  it('sends progress to stderr when records go to stdout', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const error = mock.method(console, 'error', () => {});
+    const logging = new BatchProcessor({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      progress: 'log'
+    });
+    await logging.batchLinks(['https://example.com', 'https://example.org'], dir, { exporters: ['stdout'] });
+    mock.restoreAll();
+
+    assert.deepEqual(log.mock.calls.map(call => JSON.parse(call.arguments[0]).url), ['https://example.com', 'https://example.org']);
+    assert.match(error.mock.calls.map(call => call.arguments[0]).join('\n'), /Extracting links 1\/2[\s\S]*Success: 2/);
+  });
+
+  it('checks exporters before sending any request', async () => {
+    await assert.rejects(processor.batchLinks(['https://example.com'], dir, { exporters: ['xml'] }), /Unknown exporter/);
+    assert.equal(server.requests.length, 0);
+  });
+});
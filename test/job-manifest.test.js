@@ -0,0 +1,157 @@
+/**
+ * Batch job manifests
+ * Run: node --test test/
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { ManifestError } from '../scripts/errors.js';
+import { loadJobManifest, manifestToBatchOptions, parseUrlList, validateJobManifest } from '../scripts/job-manifest.js';
+
+const base = { endpoint: 'screenshot', urls: ['https://example.com'], outputDir: 'out' };
+
+/**
+ * Collect the problems reported for a manifest
+ * @param {Object} manifest - Manifest
+ * @returns {Array<string>}
+ */
+function problemsOf(manifest) {
+  try {
+    validateJobManifest(manifest);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ManifestError);
+    return error.problems;
+  }
+}
+
+describe('parseUrlList', () => {
+  it('reads one URL per line, skipping blanks and comments', () => {
+    assert.deepEqual(parseUrlList('https://a.com\r\n\n# skip\n  https://b.com  \n'), ['https://a.com', 'https://b.com']);
+  });
+
+  it('reads JSON arrays from .json files', () => {
+    assert.deepEqual(parseUrlList('["https://a.com"]', 'urls.json'), ['https://a.com']);
+  });
+});
+
+describe('validateJobManifest', () => {
+  it('accepts a valid manifest', () => {
+    assert.deepEqual(problemsOf({ ...base, naming: '{index}_{domain}', concurrency: 2, delay: 0, retry: 3 }), []);
+  });
+
+  it('reports every problem at once', () => {
+    const problems = problemsOf({ endpoint: 'video', urls: ['nope'], naming: '{slug}', concurrency: 0, extra: true });
+    assert.equal(problems.length, 6);
+    assert.match(problems.join('\n'), /unknown field "extra"/);
+    assert.match(problems.join('\n'), /"endpoint" must be one of/);
+    assert.match(problems.join('\n'), /urls\[0\] is not a valid URL/);
+    assert.match(problems.join('\n'), /"outputDir" is required/);
+    assert.match(problems.join('\n'), /unknown placeholder \{slug\}/);
+    assert.match(problems.join('\n'), /"concurrency" must be a positive integer/);
+  });
+
+  it('requires endpoint-specific options', () => {
+    assert.match(problemsOf({ ...base, endpoint: 'json' })[0], /prompt/);
+    assert.match(problemsOf({ ...base, endpoint: 'scrape', options: { elements: [] } })[0], /elements/);
+  });
+
+  it('checks the shard mode and new naming placeholders', () => {
+    assert.deepEqual(problemsOf({ ...base, naming: '{host}/{path}/{index}-{hash}.{ext}', shard: 'date' }), []);
+    assert.match(problemsOf({ ...base, shard: 'week' })[0], /"shard" must be one of: host, date/);
+  });
+
+  it('checks exporter names', () => {
+    assert.deepEqual(problemsOf({ ...base, exporters: ['json', 'markdown'] }), []);
+    assert.match(problemsOf({ ...base, exporters: [] })[0], /non-empty array/);
+    assert.match(problemsOf({ ...base, exporters: ['xml'] })[0], /unknown exporter "xml"/);
+  });
+
+  it('checks that checkpoint is a path or a boolean', () => {
+    assert.deepEqual(problemsOf({ ...base, checkpoint: 'progress.jsonl' }), []);
+    assert.deepEqual(problemsOf({ ...base, checkpoint: true }), []);
+    assert.match(problemsOf({ ...base, checkpoint: 1 })[0], /"checkpoint" must be a file path or a boolean/);
+  });
+
+  it('rejects urls together with urlsFile and unknown devices', () => {
+    assert.deepEqual(problemsOf({ ...base, urlsFile: 'urls.txt', device: 'watch' }).length, 2);
+  });
+});
+
+describe('loadJobManifest', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'manifest-test-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('resolves urlsFile and outputDir relative to the manifest', async () => {
+    await writeFile(join(dir, 'urls.txt'), 'https://example.com\nhttps://example.org\n');
+    await writeFile(join(dir, 'job.json'), JSON.stringify({ endpoint: 'links', urlsFile: 'urls.txt', outputDir: 'out' }));
+
+    const manifest = await loadJobManifest(join(dir, 'job.json'));
+    assert.deepEqual(manifest.urls, ['https://example.com', 'https://example.org']);
+    assert.equal(manifest.outputDir, join(dir, 'out'));
+    assert.equal(manifest.urlsFile, undefined);
+  });
+
+  it('resolves a checkpoint path relative to the manifest', async () => {
+    await writeFile(join(dir, 'job.json'), JSON.stringify({ ...base, checkpoint: 'progress.jsonl' }));
+    assert.equal((await loadJobManifest(join(dir, 'job.json'))).checkpoint, join(dir, 'progress.jsonl'));
+
+    await writeFile(join(dir, 'job.json'), JSON.stringify({ ...base, checkpoint: true }));
+    assert.equal((await loadJobManifest(join(dir, 'job.json'))).checkpoint, true);
+  });
+
+  it('reports unreadable manifests and URL files as ManifestError', async () => {
+    await assert.rejects(loadJobManifest(join(dir, 'missing.json')), ManifestError);
+
+    await writeFile(join(dir, 'job.json'), JSON.stringify({ endpoint: 'links', urlsFile: 'missing.txt', outputDir: 'out' }));
+    await assert.rejects(loadJobManifest(join(dir, 'job.json')), /cannot read "urlsFile"/);
+  });
+
+  it('validates the URLs read from urlsFile', async () => {
+    await writeFile(join(dir, 'urls.txt'), 'not a url\n');
+    await writeFile(join(dir, 'job.json'), JSON.stringify({ endpoint: 'links', urlsFile: 'urls.txt', outputDir: 'out' }));
+    await assert.rejects(loadJobManifest(join(dir, 'job.json')), /urls\[0\] is not a valid URL/);
+  });
+});
+
+describe('manifestToBatchOptions', () => {
+  it('maps manifest fields to batch options', () => {
+    const options = manifestToBatchOptions({
+      ...base,
+      endpoint: 'markdown',
+      naming: '{index}',
+      shard: 'host',
+      concurrency: 4,
+      delay: 0,
+      retry: { maxAttempts: 5 },
+      checkpoint: true,
+      resume: true,
+      options: { waitForSelector: 'main' }
+    });
+    assert.deepEqual(options, {
+      waitForSelector: 'main',
+      contentType: 'markdown',
+      filenameTemplate: '{index}',
+      shard: 'host',
+      maxWorkers: 4,
+      delay: 0,
+      retry: { maxAttempts: 5 },
+      checkpoint: true,
+      resume: true
+    });
+  });
+
+  it('applies the device viewport unless options set one', () => {
+    assert.equal(manifestToBatchOptions({ ...base, device: 'mobile' }).viewport.width, 390);
+    assert.equal(manifestToBatchOptions({ ...base, device: 'mobile', options: { viewport: { width: 500, height: 500 } } }).viewport.width, 500);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Output naming templates, sharding and collision-safe paths
+ * Run: node --test test/
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OutputNamer, maxSegmentBytes, renderNamingTemplate, shortHash, urlPlaceholders } from '../scripts/naming.js';
+
+const timestamp = '20261018T120000';
+
+describe('urlPlaceholders', () => {
+  it('derives host, path, query and hash from a URL', () => {
+    assert.deepEqual(urlPlaceholders('https://docs.example.com/guide/intro?lang=en'), {
+      domain: 'docs_example_com',
+      host: 'docs.example.com',
+      path: 'guide/intro',
+      query: 'lang=en',
+      hash: shortHash('https://docs.example.com/guide/intro?lang=en')
+    });
+    assert.equal(urlPlaceholders('https://example.com/').path, 'index');
+  });
+
+  it('falls back for values that are not URLs', () => {
+    const values = urlPlaceholders('invoice-7');
+    assert.deepEqual([values.domain, values.host, values.path, values.query], ['unknown', 'unknown', 'index', '']);
+  });
+});
+
+describe('shortHash', () => {
+  it('returns a stable 8-character hex hash', () => {
+    assert.match(shortHash('https://example.com'), /^[0-9a-f]{8}$/);
+    assert.equal(shortHash('https://example.com'), shortHash('https://example.com'));
+    assert.notEqual(shortHash('https://example.com'), shortHash('https://example.org'));
+  });
+});
+
+describe('renderNamingTemplate', () => {
+  it('sanitizes each path segment and neutralizes traversal', () => {
+    assert.equal(renderNamingTemplate('{host}/{path}', { host: 'example.com', path: 'a b/c' }), 'example.com/a_b/c');
+    assert.equal(renderNamingTemplate('../{name}/./x', { name: '..' }), '_/_/x');
+  });
+
+  it('throws for placeholders without a value', () => {
+    assert.throws(() => renderNamingTemplate('{index}-{slug}', { index: '1' }), /placeholder \{slug\} has no value/);
+  });
+
+  it('cuts long segments to maxSegmentBytes, ending in a hash and the extension', () => {
+    const long = 'é'.repeat(150);
+    const [dir, file] = renderNamingTemplate('{a}/{a}.{ext}', { a: long, ext: 'pdf' }).split('/');
+    assert.ok(new TextEncoder().encode(dir).length <= maxSegmentBytes);
+    assert.match(dir, /^é+-[0-9a-f]{8}$/);
+    assert.ok(new TextEncoder().encode(file).length <= maxSegmentBytes);
+    assert.match(file, /-[0-9a-f]{8}\.pdf$/);
+    assert.notEqual(renderNamingTemplate('{a}', { a: `${long}x` }), renderNamingTemplate('{a}', { a: `${long}y` }));
+  });
+});
+
+describe('OutputNamer', () => {
+  it('uses {domain}_{timestamp} by default and appends the extension', () => {
+    const namer = new OutputNamer({ outputDir: 'out' });
+    assert.deepEqual(namer.allocate({ url: 'https://example.com', index: 0, timestamp }, ['png']), [
+      { filename: `example_com_${timestamp}.png`, filepath: `out/example_com_${timestamp}.png` }
+    ]);
+  });
+
+  it('suffixes names already used in the run, case-insensitively', () => {
+    const namer = new OutputNamer({ outputDir: 'out', template: '{host}' });
+    const names = ['https://example.com/a', 'https://EXAMPLE.com/b', 'https://example.com/c']
+      .map((url, index) => namer.allocate({ url, index, timestamp }, ['pdf'])[0].filename);
+    assert.deepEqual(names, ['example.com.pdf', 'example.com-2.pdf', 'example.com-3.pdf']);
+  });
+
+  it('puts the suffix before an explicit {ext}', () => {
+    const namer = new OutputNamer({ outputDir: 'out', template: '{host}/{path}.{ext}' });
+    namer.reserve('out/example.com/docs.md');
+    const [{ filename }] = namer.allocate({ url: 'https://example.com/docs', index: 0, timestamp }, ['md']);
+    assert.equal(filename, 'example.com/docs-2.md');
+  });
+
+  it('gives multi-output items one shared base name', () => {
+    const namer = new OutputNamer({ outputDir: 'out', template: 'page' });
+    namer.reserve('out/page.html');
+    const outputs = namer.allocate({ url: 'https://example.com', index: 0, timestamp }, ['png', 'html']);
+    assert.deepEqual(outputs.map(o => o.filename), ['page-2.png', 'page-2.html']);
+  });
+
+  it('shards by host or date', () => {
+    const item = { url: 'https://example.com', index: 4, timestamp };
+    assert.equal(new OutputNamer({ outputDir: 'out', template: '{index}', shard: 'host' }).allocate(item, ['png'])[0].filename, 'example.com/5.png');
+    assert.equal(new OutputNamer({ outputDir: 'out', template: '{index}', shard: 'date' }).allocate(item, ['png'])[0].filename, '2026-10-18/5.png');
+    assert.throws(() => new OutputNamer({ outputDir: 'out', shard: 'week' }), /Unknown shard mode "week"/);
+  });
+
+  it('rejects unknown placeholders unless the batch supplies them', () => {
+    assert.throws(() => new OutputNamer({ outputDir: 'out', template: '{index}-{slug}' }), /unknown placeholder \{slug\}/);
+  });
+
+  it('fills extra values such as document fields', () => {
+    const namer = new OutputNamer({ outputDir: 'out', template: 'invoice_{id}', placeholders: ['id'] });
+    assert.equal(namer.allocate({ index: 0, timestamp }, ['pdf'], { id: 'A-1' })[0].filename, 'invoice_A-1.pdf');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Batch progress events and renderers
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { BatchProcessor } from '../scripts/batch-processor.js';
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { startMockServer } from '../scripts/mock-server.js';
+import { BatchProgress, createProgressRenderer, formatDuration } from '../scripts/progress.js';
+
+describe('formatDuration', () => {
+  it('formats seconds, minutes and hours', () => {
+    assert.equal(formatDuration(45000), '45s');
+    assert.equal(formatDuration(185000), '3m 05s');
+    assert.equal(formatDuration(3720000), '1h 02m');
+  });
+});
+
+describe('BatchProgress', () => {
+  it('keeps running totals and emits them with every event', () => {
+    const events = [];
+    const progress = new BatchProgress({ kind: 'pdf', total: 3, listeners: [e => events.push(e), null] });
+
+    progress.start([{ url: 'a', status: 'success', browserMsUsed: 500 }]);
+    progress.itemStart(1, 'b');
+    progress.itemDone(1, 'b', { url: 'b', status: 'success', browserMsUsed: 1000, data: 'big' });
+    progress.itemDone(2, 'c', { url: 'c', status: 'failed', error: 'boom', browserMsUsed: 0 });
+    progress.finish({ total: 3 }, 'out');
+
+    assert.deepEqual(events.map(e => e.type), ['started', 'item-start', 'item-success', 'item-error', 'finished']);
+    assert.deepEqual([events[0].pending, events[0].skipped], [2, 1]);
+    assert.equal(events[2].result.data, undefined);
+    assert.equal(events[3].error, 'boom');
+
+    const last = events.at(-1);
+    assert.equal(last.kind, 'pdf');
+    assert.equal(last.outputDir, 'out');
+    assert.deepEqual(
+      [last.completed, last.total, last.success, last.failed, last.browserMsUsed],
+      [3, 3, 2, 1, 1500]
+    );
+    assert.equal(last.etaMs, 0);
+  });
+
+  it('has no ETA before the first processed item', () => {
+    const progress = new BatchProgress({ kind: 'pdf', total: 2 });
+    progress.start([{ url: 'a', status: 'success' }]);
+    assert.equal(progress.stats().etaMs, null);
+    assert.equal(progress.stats().throughput, 0);
+  });
+
+  it('reports listener errors without failing', () => {
+    const errors = mock.method(console, 'error', () => {});
+    const events = [];
+    const progress = new BatchProgress({
+      kind: 'links',
+      total: 1,
+      listeners: [() => { throw new Error('listener broke'); }, e => events.push(e)]
+    });
+
+    progress.start();
+    assert.equal(events.length, 1);
+    assert.match(errors.mock.calls[0].arguments[0], /listener broke/);
+    mock.restoreAll();
+  });
+
+  it('describes retries from the client onRetry hook', () => {
+    const events = [];
+    const progress = new BatchProgress({ kind: 'pdf', total: 1, listeners: [e => events.push(e)] });
+    progress.retry({
+      error: Object.assign(new Error('Timed out'), { code: '10030' }),
+      attempt: 1,
+      delay: 250,
+      request: { endpoint: 'pdf', body: { url: 'https://example.com' } }
+    });
+
+    assert.deepEqual(
+      [events[0].type, events[0].url, events[0].endpoint, events[0].attempt, events[0].delay, events[0].code],
+      ['retry', 'https://example.com', 'pdf', 1, 250, '10030']
+    );
+  });
+});
+
+describe('createProgressRenderer', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns no listener for log and quiet', () => {
+    assert.equal(createProgressRenderer('log'), null);
+    assert.equal(createProgressRenderer('quiet'), null);
+  });
+
+  it('prints one JSON event per line in jsonl mode', () => {
+    const log = mock.method(console, 'log', () => {});
+    createProgressRenderer('jsonl')({ type: 'started', total: 2 });
+    assert.deepEqual(JSON.parse(log.mock.calls[0].arguments[0]), { type: 'started', total: 2 });
+  });
+
+  it('prints to stderr with the stderr option', () => {
+    const log = mock.method(console, 'log', () => {});
+    const error = mock.method(console, 'error', () => {});
+    createProgressRenderer('jsonl', { stderr: true })({ type: 'started' });
+    assert.equal(log.mock.callCount(), 0);
+    assert.equal(error.mock.callCount(), 1);
+  });
+
+  it('prints a line per item and errors in bar mode off a terminal', () => {
+    const written = [];
+    mock.method(process.stdout, 'write', (text) => {
+      written.push(text);
+      return true;
+    });
+    const render = createProgressRenderer('bar');
+    const stats = { completed: 1, total: 2, failed: 1, throughput: 0, etaMs: 1000, browserMsUsed: 1500 };
+    render({ type: 'started', ...stats, completed: 0, failed: 0 });
+    render({ type: 'item-error', key: 'https://example.com', error: 'boom', ...stats });
+    mock.restoreAll();
+
+    assert.equal(written[0], '✗ https://example.com: boom\n');
+    assert.match(written[1], /1 failed · ETA 1s · browser 1\.5s\n$/);
+  });
+});
+
+describe('BatchProcessor progress', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    server.setFixture('links', undefined);
+    server.reset();
+    dir = await mkdtemp(join(tmpdir(), 'progress-test-'));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const createProcessor = (config = {}) => new BatchProcessor({
+    accountId: 'mock-account',
+    apiToken: 'test-token',
+    baseUrl: server.baseUrl,
+    retry: { maxAttempts: 2, baseDelay: 0, jitter: 0 },
+    progress: 'quiet',
+    ...config
+  });
+
+  it('emits item, retry and finished events to processor and batch listeners', async () => {
+    server.setFixture('links', [{ error: '10030' }, { result: ['https://example.com/a'] }]);
+    const processorEvents = [];
+    const batchEvents = [];
+    const processor = createProcessor({ onProgress: e => processorEvents.push(e) });
+
+    await processor.batchLinks(['https://example.com'], dir, { onProgress: e => batchEvents.push(e) });
+
+    assert.deepEqual(batchEvents.map(e => e.type), ['started', 'item-start', 'retry', 'item-success', 'finished']);
+    assert.deepEqual(processorEvents.map(e => e.type), batchEvents.map(e => e.type));
+    assert.equal(batchEvents[2].url, 'https://example.com');
+    assert.deepEqual(batchEvents.at(-1).summary, { total: 1, success: 1, failed: 0, cancelled: 0, browserMsUsed: 1000 });
+  });
+
+  it('only registers its retry hook on a shared client while a batch runs', async () => {
+    const client = new CloudflareBrowserRenderingClient({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      retry: { maxAttempts: 2, baseDelay: 0, jitter: 0 }
+    });
+
+    for (let i = 0; i < 3; i++) {
+      server.setFixture('links', [{ error: '10030' }, { result: ['https://example.com/a'] }]);
+      const events = [];
+      await createProcessor({ client }).batchLinks(['https://example.com'], dir, { onProgress: e => events.push(e) });
+      assert.equal(client.hooks.onRetry.length, 0);
+      assert.equal(events.filter(e => e.type === 'retry').length, 1);
+    }
+  });
+
+  it('prints nothing in quiet mode', async () => {
+    const log = mock.method(console, 'log', () => {});
+    await createProcessor().batchLinks(['https://example.com'], dir);
+    assert.equal(log.mock.callCount(), 0);
+  });
+
+  it('rejects an unknown progress mode', () => {
+    assert.throws(() => createProcessor({ progress: 'fancy' }), /Unknown progress mode "fancy"/);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Request rate limiting and browser time budgets
+ * Run: node --test test/
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { startMockServer } from '../scripts/mock-server.js';
+import { BudgetExceededError } from '../scripts/errors.js';
+import { BrowserTimeBudget, TokenBucketRateLimiter, getSharedBudget, getSharedRateLimiter } from '../scripts/rate-limiter.js';
+
+describe('TokenBucketRateLimiter', () => {
+  it('lets a burst through, then waits for the refill', async () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 600, burst: 2 });
+    const start = Date.now();
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.ok(Date.now() - start < 50);
+
+    await limiter.acquire();
+    assert.ok(Date.now() - start >= 90);
+  });
+
+  it('serves callers in arrival order', async () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 6000, burst: 1 });
+    const order = [];
+    await Promise.all([1, 2, 3].map(n => limiter.acquire().then(() => order.push(n))));
+    assert.deepEqual(order, [1, 2, 3]);
+  });
+
+  it('gives up an aborted turn without taking a token', async () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 60, burst: 1 });
+    await limiter.acquire();
+
+    const controller = new AbortController();
+    const waiting = limiter.acquire(controller.signal);
+    setTimeout(() => controller.abort(new Error('stop')), 20);
+    const start = Date.now();
+    await assert.rejects(waiting, /stop/);
+    assert.ok(Date.now() - start < 500);
+
+    await assert.rejects(limiter.acquire(AbortSignal.abort()), { name: 'AbortError' });
+    assert.ok(limiter.tokens < 1);
+  });
+
+  it('is shared per key', () => {
+    assert.equal(getSharedRateLimiter('limiter-test', { requestsPerMinute: 10 }), getSharedRateLimiter('limiter-test'));
+    assert.equal(getSharedRateLimiter('limiter-test', { requestsPerMinute: 10 }), getSharedRateLimiter('limiter-test'));
+    assert.notEqual(getSharedRateLimiter('limiter-test'), getSharedRateLimiter('limiter-test-2', {}));
+  });
+
+  it('rejects different options for an existing shared limiter', () => {
+    getSharedRateLimiter('limiter-mismatch', { requestsPerMinute: 10 });
+    assert.throws(() => getSharedRateLimiter('limiter-mismatch', { requestsPerMinute: 20 }), /already exists with options/);
+  });
+});
+
+describe('BrowserTimeBudget', () => {
+  it('requires a positive maxBrowserMs', () => {
+    assert.throws(() => new BrowserTimeBudget({ maxBrowserMs: 0 }), /positive maxBrowserMs/);
+  });
+
+  it('throws BudgetExceededError once the budget is used up', async () => {
+    const budget = new BrowserTimeBudget({ maxBrowserMs: 1000 });
+    budget.record(600);
+    await budget.check();
+    budget.record(400);
+    await assert.rejects(budget.check(), BudgetExceededError);
+  });
+
+  it('pauses until reset() with onExceeded pause', async () => {
+    const budget = new BrowserTimeBudget({ maxBrowserMs: 100, onExceeded: 'pause' });
+    budget.record(100);
+
+    let released = false;
+    const waiting = budget.check().then(() => {
+      released = true;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(released, false);
+
+    budget.reset();
+    await waiting;
+    assert.equal(released, true);
+  });
+
+  it('pauses until the next period', async () => {
+    const budget = new BrowserTimeBudget({ maxBrowserMs: 100, period: 50, onExceeded: 'pause' });
+    budget.record(100);
+    const start = Date.now();
+    await budget.check();
+    assert.ok(Date.now() - start >= 40);
+    assert.equal(budget.getUsage().browserMs, 0);
+  });
+
+  it('reports usage', () => {
+    const budget = new BrowserTimeBudget({ maxBrowserMs: 1000, period: 'day' });
+    budget.record(250);
+    const usage = budget.getUsage();
+    assert.deepEqual(
+      [usage.requests, usage.browserMs, usage.remainingMs, usage.period],
+      [1, 250, 750, 'day']
+    );
+    assert.match(usage.periodStart, /T00:00:00\.000Z$/);
+    assert.equal(Date.parse(usage.resetsAt) - Date.parse(usage.periodStart), 24 * 60 * 60 * 1000);
+  });
+
+  it('reserves browser time for in-flight requests', async () => {
+    const budget = new BrowserTimeBudget({ maxBrowserMs: 1000, reserveMs: 400 });
+    const first = await budget.check();
+    const second = await budget.check();
+    assert.deepEqual([budget.getUsage().inFlight, budget.getUsage().reservedMs], [2, 800]);
+
+    let third = null;
+    const waiting = budget.check().then(release => {
+      third = release;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(third, null);
+
+    budget.record(100);
+    first();
+    await waiting;
+    assert.equal(typeof third, 'function');
+    second();
+    third();
+    third();
+    assert.deepEqual([budget.getUsage().inFlight, budget.getUsage().reservedMs], [0, 0]);
+  });
+
+  it('stops waiting for room when aborted', async () => {
+    const budget = new BrowserTimeBudget({ maxBrowserMs: 100, onExceeded: 'pause' });
+    budget.record(100);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('stop')), 20);
+    await assert.rejects(budget.check(controller.signal), /stop/);
+  });
+
+  it('is shared per key', () => {
+    assert.equal(getSharedBudget('budget-test', { maxBrowserMs: 10 }), getSharedBudget('budget-test'));
+    assert.throws(() => getSharedBudget('budget-test', { maxBrowserMs: 20 }), /shared browser time budget/);
+  });
+});
+
+describe('client budget', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer({ browserMsUsed: 1000 });
+  });
+
+  after(() => server.close());
+
+  it('stops sending requests once the budget is exceeded', async () => {
+    const client = new CloudflareBrowserRenderingClient({
+      accountId: 'budget-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      budget: new BrowserTimeBudget({ maxBrowserMs: 1000 })
+    });
+
+    await client.content('https://example.com');
+    await assert.rejects(client.content('https://example.com'), BudgetExceededError);
+    assert.equal(server.requests.length, 1);
+    assert.equal(client.getUsage().budget.browserMs, 1000);
+  });
+});
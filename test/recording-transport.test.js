@@ -0,0 +1,146 @@
+/**
+ * Record-and-replay transport
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { BrowserRenderingError } from '../scripts/errors.js';
+import { startMockServer } from '../scripts/mock-server.js';
+import { RecordingTransport, redactRequestBody } from '../scripts/recording-transport.js';
+
+const url = 'https://example.com';
+
+describe('RecordingTransport', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    server = await startMockServer({ apiToken: 'secret-token' });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    server.reset();
+    dir = await mkdtemp(join(tmpdir(), 'recording-test-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  /**
+   * Client using a recording transport
+   * @param {RecordingTransport} transport - Transport
+   * @returns {CloudflareBrowserRenderingClient}
+   */
+  const clientFor = (transport) => new CloudflareBrowserRenderingClient({
+    accountId: 'mock-account',
+    apiToken: 'secret-token',
+    baseUrl: server.baseUrl,
+    retry: false,
+    fetch: transport.fetch
+  });
+
+  /**
+   * Transport whose network calls fail, to prove replays stay offline
+   * @param {string} mode - Transport mode
+   * @returns {RecordingTransport}
+   */
+  const offline = (mode) => new RecordingTransport({
+    mode,
+    fixtureDir: dir,
+    fetch: () => Promise.reject(new TypeError('network disabled'))
+  });
+
+  it('records responses and replays them offline, binary bodies included', async () => {
+    const recorder = new RecordingTransport({ mode: 'record', fixtureDir: dir });
+    const html = await clientFor(recorder).content(url);
+    const png = await clientFor(recorder).screenshot(url);
+    assert.deepEqual(recorder.stats, { recorded: 2, replayed: 0, missing: 0 });
+
+    const files = await readdir(dir);
+    assert.equal(files.length, 2);
+    assert.ok(files.every(name => /^(content|screenshot)-[0-9a-f]{16}\.json$/.test(name)));
+
+    const replayer = offline('replay');
+    assert.equal(await clientFor(replayer).content(url), html);
+    assert.deepEqual(await clientFor(replayer).screenshot(url), png);
+    assert.deepEqual(replayer.stats, { recorded: 0, replayed: 2, missing: 0 });
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('keeps credentials out of fixtures', async () => {
+    await clientFor(new RecordingTransport({ mode: 'record', fixtureDir: dir })).links(url);
+    const [file] = await readdir(dir);
+    const text = await readFile(join(dir, file), 'utf-8');
+    assert.doesNotMatch(text, /secret-token|mock-account/);
+  });
+
+  it('redacts passwords, cookie values and extra headers but still replays by the real values', async () => {
+    const options = {
+      authenticate: { username: 'user', password: 'hunter2' },
+      cookies: [{ name: 'session', value: 'cookie-secret', domain: 'example.com' }],
+      setExtraHTTPHeaders: { 'X-Api-Key': 'header-secret' }
+    };
+    await clientFor(new RecordingTransport({ mode: 'record', fixtureDir: dir })).content(url, options);
+
+    const [file] = await readdir(dir);
+    const text = await readFile(join(dir, file), 'utf-8');
+    assert.doesNotMatch(text, /hunter2|cookie-secret|header-secret/);
+    const { body } = JSON.parse(text).request;
+    assert.deepEqual(body.authenticate, { username: 'user', password: '[REDACTED]' });
+    assert.deepEqual(body.cookies, [{ name: 'session', value: '[REDACTED]', domain: 'example.com' }]);
+    assert.deepEqual(body.setExtraHTTPHeaders, { 'X-Api-Key': '[REDACTED]' });
+
+    const replayer = offline('replay');
+    await clientFor(replayer).content(url, options);
+    await assert.rejects(clientFor(replayer).content(url, { ...options, authenticate: { username: 'user', password: 'other' } }));
+    assert.deepEqual(replayer.stats, { recorded: 0, replayed: 1, missing: 1 });
+  });
+
+  it('redactRequestBody leaves other values and non-objects alone', () => {
+    const body = { url, cookies: ['raw'], authenticate: { username: 'user' } };
+    assert.deepEqual(redactRequestBody(body), body);
+    assert.equal(redactRequestBody('text'), 'text');
+    assert.equal(redactRequestBody(null), null);
+  });
+
+  it('fails missing fixtures in replay mode without retrying', async () => {
+    const replayer = offline('replay');
+    await assert.rejects(clientFor(replayer).content(url, { retry: 3 }), (error) => {
+      assert.ok(error instanceof BrowserRenderingError);
+      assert.equal(error.status, 501);
+      assert.match(error.message, /No recorded fixture content-[0-9a-f]{16}\.json/);
+      return true;
+    });
+    assert.equal(replayer.stats.missing, 1);
+  });
+
+  it('records only what is missing in auto mode', async () => {
+    const transport = new RecordingTransport({ mode: 'auto', fixtureDir: dir });
+    await clientFor(transport).links(url);
+    await clientFor(transport).links(url);
+    await clientFor(transport).links('https://example.org');
+    assert.deepEqual(transport.stats, { recorded: 2, replayed: 1, missing: 0 });
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('keys requests by endpoint and body, ignoring key order and the account', async () => {
+    const transport = offline('replay');
+    const a = await transport.requestKey('https://api.example/accounts/a/browser-rendering/pdf', { method: 'POST', body: '{"url":"x","b":1}' });
+    const b = await transport.requestKey('https://api.example/accounts/b/browser-rendering/pdf', { method: 'POST', body: '{"b":1,"url":"x"}' });
+    const c = await transport.requestKey('https://api.example/accounts/b/browser-rendering/pdf', { method: 'POST', body: '{"b":2,"url":"x"}' });
+    assert.equal(a.filename, b.filename);
+    assert.notEqual(a.hash, c.hash);
+    assert.match(a.filename, /^pdf-/);
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => new RecordingTransport({ mode: 'live', fixtureDir: dir }), /Unknown recording mode "live"/);
+  });
+});
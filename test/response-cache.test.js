@@ -0,0 +1,183 @@
+/**
+ * Response cache and its stores
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { CloudflareBrowserRenderingClient } from '../scripts/browser-rendering-client.js';
+import { startMockServer } from '../scripts/mock-server.js';
+import { FileCacheStore, MemoryCacheStore, ResponseCache } from '../scripts/response-cache.js';
+
+const url = 'https://example.com';
+
+/**
+ * Cache entry of a given size
+ * @param {number} size - Entry size (bytes)
+ * @returns {Object}
+ */
+const entry = (size) => ({ value: 'x', storedAt: 0, expiresAt: Infinity, size });
+
+describe('MemoryCacheStore', () => {
+  it('evicts the least recently used entries beyond maxEntries', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', entry(1));
+    await store.set('b', entry(1));
+    await store.get('a');
+    await store.set('c', entry(1));
+    assert.deepEqual([...store.entries.keys()], ['a', 'c']);
+  });
+
+  it('evicts entries beyond maxBytes', async () => {
+    const store = new MemoryCacheStore({ maxBytes: 10 });
+    await store.set('a', entry(6));
+    await store.set('b', entry(6));
+    assert.deepEqual([...store.entries.keys()], ['b']);
+    assert.equal(store.bytes, 6);
+  });
+});
+
+describe('FileCacheStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cache-test-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('persists text and binary values across instances', async () => {
+    await new FileCacheStore({ dir }).set('text', { ...entry(5), value: { title: 'Mock' } });
+    await new FileCacheStore({ dir }).set('bytes', { ...entry(3), value: Buffer.from([1, 2, 3]) });
+
+    const store = new FileCacheStore({ dir });
+    assert.deepEqual((await store.get('text')).value, { title: 'Mock' });
+    const bytes = (await store.get('bytes')).value;
+    assert.ok(Buffer.isBuffer(bytes));
+    assert.deepEqual([...bytes], [1, 2, 3]);
+    assert.equal(await store.get('missing'), null);
+  });
+
+  it('prunes the oldest files beyond maxEntries and clears the directory', async () => {
+    const store = new FileCacheStore({ dir, maxEntries: 2 });
+    for (const key of ['a', 'b', 'c']) {
+      await store.set(key, entry(1));
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.deepEqual((await readdir(dir)).sort(), ['b.json', 'c.json']);
+
+    await store.clear();
+    assert.deepEqual(await readdir(dir), []);
+  });
+});
+
+describe('ResponseCache', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => server.reset());
+
+  /**
+   * Client with a memory response cache
+   * @param {Object} [cache] - ResponseCache options
+   * @returns {CloudflareBrowserRenderingClient}
+   */
+  const cachedClient = (cache = {}) => new CloudflareBrowserRenderingClient({
+    accountId: 'mock-account',
+    apiToken: 'test-token',
+    baseUrl: server.baseUrl,
+    cache: { store: 'memory', ...cache }
+  });
+
+  it('serves repeated requests from the cache', async () => {
+    const client = cachedClient();
+    const first = await client.content(url);
+    assert.equal(await client.content(url), first);
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(client.getUsage().cache, { hits: 1, misses: 1, writes: 1, errors: 0 });
+    assert.equal(client.getUsage().browserMs, 1000);
+  });
+
+  it('marks cached results in withMeta mode', async () => {
+    const client = cachedClient();
+    await client.content(url);
+    const result = await client.content(url, { withMeta: true });
+    assert.deepEqual([result.cached, result.attempts, result.browserMsUsed], [true, 0, 0]);
+  });
+
+  it('keys entries by the request body', async () => {
+    const client = cachedClient();
+    await client.content(url);
+    await client.content(url, { waitForSelector: 'main' });
+    await client.content('https://example.org');
+    assert.equal(server.requests.length, 3);
+  });
+
+  it('caches binary responses', async () => {
+    const client = cachedClient();
+    const png = await client.screenshot(url);
+    assert.deepEqual(await client.screenshot(url), png);
+    assert.equal(server.requests.length, 1);
+  });
+
+  it('bypasses the cache with cache: false', async () => {
+    const client = cachedClient();
+    await client.content(url);
+    await client.content(url, { cache: false });
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('only caches the configured endpoints', async () => {
+    const client = cachedClient({ endpoints: ['links'] });
+    await client.content(url);
+    await client.content(url);
+    await client.links(url);
+    await client.links(url);
+    assert.deepEqual(server.requests.map(r => r.endpoint), ['content', 'content', 'links']);
+  });
+
+  it('expires entries after the TTL', async () => {
+    const client = cachedClient({ ttl: 5 });
+    await client.content(url);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await client.content(url);
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('does not cache failed requests', async () => {
+    server.setFixture('content', [{ error: '10031' }, {}]);
+    const client = cachedClient();
+    await assert.rejects(client.content(url));
+    await client.content(url);
+    assert.equal(server.requests.length, 2);
+    server.setFixture('content', undefined);
+  });
+
+  it('treats store failures as misses', async () => {
+    const broken = {
+      get: () => Promise.reject(new Error('disk full')),
+      set: () => Promise.reject(new Error('disk full'))
+    };
+    const client = new CloudflareBrowserRenderingClient({
+      accountId: 'mock-account',
+      apiToken: 'test-token',
+      baseUrl: server.baseUrl,
+      cache: new ResponseCache({ store: broken })
+    });
+    assert.match(await client.content(url), /Mock Page/);
+    assert.deepEqual(client.getUsage().cache, { hits: 0, misses: 1, writes: 0, errors: 2 });
+  });
+
+  it('rejects unknown stores', () => {
+    assert.throws(() => new ResponseCache({ store: 'redis' }), /Unknown cache store "redis"/);
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Storage adapters for batch outputs, with S3Storage against the local mock S3 server
+ * Run: node --test test/
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { inflateRawSync } from 'node:zlib';
+
+import { BatchProcessor } from '../scripts/batch-processor.js';
+import { StorageError } from '../scripts/errors.js';
+import { startMockServer } from '../scripts/mock-server.js';
+import { startMockS3Server } from '../scripts/mock-s3-server.js';
+import {
+  DownloadStorage,
+  FileSystemStorage,
+  MemoryStorage,
+  S3Storage,
+  ZipStorage,
+  awsUriEncode,
+  contentTypeFor,
+  toBytes
+} from '../scripts/storage.js';
+
+/**
+ * Read the entries of a zip archive through its central directory
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Map<string, Object>} Entries by name: { method, comment, data }
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.byteLength - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+
+  const entries = new Map();
+  let position = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const method = view.getUint16(position + 10, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    const commentStart = position + 46 + nameLength + extraLength;
+    const comment = new TextDecoder().decode(bytes.subarray(commentStart, commentStart + commentLength));
+
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const body = bytes.subarray(start, start + compressedSize);
+    entries.set(name, { method, comment, data: method === 8 ? new Uint8Array(inflateRawSync(body)) : body });
+    position = commentStart + commentLength;
+  }
+  return entries;
+}
+
+describe('storage helpers', () => {
+  it('derives content types from extensions', () => {
+    assert.equal(contentTypeFor('out/a.PNG'), 'image/png');
+    assert.equal(contentTypeFor('out/page.md'), 'text/markdown; charset=utf-8');
+    assert.equal(contentTypeFor('out.d/README'), 'application/octet-stream');
+  });
+
+  it('converts strings, buffers and blobs to bytes', async () => {
+    assert.deepEqual(await toBytes('hi'), new Uint8Array([104, 105]));
+    assert.deepEqual(await toBytes(new Uint8Array([1, 2]).buffer), new Uint8Array([1, 2]));
+    assert.deepEqual(await toBytes(new Blob(['hi'])), new Uint8Array([104, 105]));
+    await assert.rejects(toBytes(42), TypeError);
+  });
+
+  it('encodes URI components the way SigV4 expects', () => {
+    assert.equal(awsUriEncode("a b(1)!*'~"), "a%20b%281%29%21%2A%27~");
+  });
+});
+
+describe('MemoryStorage', () => {
+  it('stores objects with content type and metadata', async () => {
+    const storage = new MemoryStorage();
+    await storage.put('out/a.png', new Uint8Array([1, 2, 3]), { metadata: { url: 'https://example.com' } });
+    await storage.put('out/b.json', '{}');
+
+    const object = storage.objects.get('out/a.png');
+    assert.deepEqual([object.contentType, object.size, object.metadata.url], ['image/png', 3, 'https://example.com']);
+    assert.deepEqual(storage.keys('out/b'), ['out/b.json']);
+  });
+
+  it('appends text and reads missing keys as null', async () => {
+    const storage = new MemoryStorage();
+    assert.equal(await storage.get('log.jsonl'), null);
+    await storage.append('log.jsonl', 'a\n');
+    await storage.append('log.jsonl', 'b\n');
+    assert.equal(await storage.get('log.jsonl'), 'a\nb\n');
+  });
+});
+
+describe('FileSystemStorage', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('writes into new parent directories, appends and reads', async () => {
+    const storage = new FileSystemStorage();
+    await storage.put(`${dir}/nested/a.bin`, new Uint8Array([7, 8]));
+    await storage.put(`${dir}/blob.txt`, new Blob(['blob']));
+    await storage.append(`${dir}/log.txt`, 'a');
+    await storage.append(`${dir}/log.txt`, 'b');
+
+    assert.deepEqual([...await readFile(join(dir, 'nested', 'a.bin'))], [7, 8]);
+    assert.equal(await storage.get(`${dir}/blob.txt`), 'blob');
+    assert.equal(await storage.get(`${dir}/log.txt`), 'ab');
+    assert.equal(await storage.get(`${dir}/missing.txt`), null);
+  });
+
+  it('writes metadata sidecars only when asked', async () => {
+    await new FileSystemStorage().put(`${dir}/a.png`, 'x', { metadata: { url: 'https://example.com' } });
+    await new FileSystemStorage({ metadata: true }).put(`${dir}/b.png`, 'x', { metadata: { url: 'https://example.com' } });
+
+    assert.equal(await new FileSystemStorage().get(`${dir}/a.png.meta.json`), null);
+    assert.deepEqual(JSON.parse(await readFile(join(dir, 'b.png.meta.json'), 'utf-8')), {
+      contentType: 'image/png',
+      metadata: { url: 'https://example.com' }
+    });
+  });
+});
+
+describe('ZipStorage', () => {
+  it('requires an archive path', () => {
+    assert.throws(() => new ZipStorage({}), /archive path/);
+  });
+
+  it('writes a readable archive with relative entry names on flush', async () => {
+    const target = new MemoryStorage();
+    const zip = new ZipStorage({ path: 'out.zip', storage: target });
+    const text = 'compressible '.repeat(100);
+
+    await zip.put('./shots/../shots/a.png', new Uint8Array([137, 80, 78, 71]), { metadata: { url: 'https://example.com' } });
+    await zip.put('/shots/page.md', text);
+    await zip.append('shots/log.jsonl', '{"a":1}\n');
+    assert.equal(await zip.get('shots/log.jsonl'), '{"a":1}\n');
+    await zip.flush();
+
+    const object = target.objects.get('out.zip');
+    assert.equal(object.contentType, 'application/zip');
+    const entries = readZip(object.data);
+    assert.deepEqual([...entries.keys()], ['shots/shots/a.png', 'shots/page.md', 'shots/log.jsonl']);
+    assert.deepEqual([...entries.get('shots/shots/a.png').data], [137, 80, 78, 71]);
+    assert.equal(entries.get('shots/shots/a.png').method, 0);
+    assert.equal(entries.get('shots/page.md').method, 8);
+    assert.equal(new TextDecoder().decode(entries.get('shots/page.md').data), text);
+    assert.deepEqual(JSON.parse(entries.get('shots/shots/a.png').comment), { contentType: 'image/png', metadata: { url: 'https://example.com' } });
+    assert.deepEqual(JSON.parse(entries.get('shots/log.jsonl').comment), { contentType: 'application/x-ndjson' });
+  });
+
+  it('refuses more entries than a zip without zip64 can hold', async () => {
+    const zip = new ZipStorage({ path: 'out.zip', storage: new MemoryStorage() });
+    const entry = { data: new Uint8Array(0), contentType: 'text/plain', modifiedAt: new Date() };
+    for (let i = 0; i < 0xFFFF; i++) {
+      zip.entries.set(`f${i}`, entry);
+    }
+
+    await zip.put('f0', 'replaced');
+    await assert.rejects(zip.put('one-more.txt', 'x'), (error) => {
+      assert.ok(error instanceof StorageError);
+      assert.match(error.message, /more than 65535 entries/);
+      return true;
+    });
+  });
+
+  it('stores entries uncompressed with compress false', async () => {
+    const target = new MemoryStorage();
+    const zip = new ZipStorage({ path: 'out.zip', storage: target, compress: false });
+    await zip.put('a.txt', 'x'.repeat(500));
+    await zip.flush();
+    assert.equal(readZip(target.objects.get('out.zip').data).get('a.txt').method, 0);
+  });
+});
+
+describe('S3Storage', () => {
+  const credentials = { accessKeyId: 'test-key', secretAccessKey: 'test-secret' };
+  let server;
+
+  before(async () => {
+    server = await startMockS3Server({ ...credentials, buckets: ['outputs'] });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.objects.clear();
+    server.requests.length = 0;
+  });
+
+  const createStorage = (options = {}) => new S3Storage({ endpoint: server.url, bucket: 'outputs', ...credentials, ...options });
+
+  it('requires endpoint, bucket and credentials', () => {
+    assert.throws(() => new S3Storage({ endpoint: server.url, bucket: 'outputs', accessKeyId: 'x' }), /requires secretAccessKey/);
+  });
+
+  it('uploads signed objects with content type and metadata', async () => {
+    const storage = createStorage({ prefix: 'runs/1/' });
+    await storage.put('./shots/a b.png', new Uint8Array([1, 2]), { metadata: { url: 'https://example.com', title: 'Café' } });
+
+    const object = server.objects.get('outputs/runs/1/shots/a b.png');
+    assert.deepEqual([...object.body], [1, 2]);
+    assert.equal(object.contentType, 'image/png');
+    assert.deepEqual(object.metadata, { url: 'https://example.com', title: 'Caf%C3%A9' });
+  });
+
+  it('reads objects and missing keys as null', async () => {
+    const storage = createStorage();
+    assert.equal(await storage.get('a.txt'), null);
+    await storage.put('a.txt', 'hello');
+    assert.equal(await storage.get('a.txt'), 'hello');
+  });
+
+  it('buffers appends until flush()', async () => {
+    const storage = createStorage();
+    await storage.put('log.jsonl', 'a\n');
+    await storage.append('log.jsonl', 'b\n');
+    await storage.append('log.jsonl', 'c\n');
+    assert.equal(storage._appendTimer.hasRef(), false);
+    assert.equal(await storage.get('log.jsonl'), 'a\nb\nc\n');
+    assert.equal(server.requests.filter(r => r.method === 'PUT').length, 1);
+
+    await storage.flush();
+    assert.equal(server.objects.get('outputs/log.jsonl').body.toString(), 'a\nb\nc\n');
+    assert.equal(server.requests.filter(r => r.method === 'PUT').length, 2);
+    assert.equal(server.requests.filter(r => r.method === 'GET').length, 1);
+  });
+
+  it('writes appends periodically and drops them when the object is replaced', async () => {
+    const storage = createStorage({ appendInterval: 20 });
+    await storage.append('log.jsonl', 'a\n');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(server.objects.get('outputs/log.jsonl').body.toString(), 'a\n');
+
+    await storage.append('log.jsonl', 'b\n');
+    await storage.put('log.jsonl', '');
+    await storage.flush();
+    assert.equal(server.objects.get('outputs/log.jsonl').body.toString(), '');
+  });
+
+  it('reports a failed periodic append write on the next call', async () => {
+    const storage = createStorage({ appendInterval: 10, bucket: 'missing' });
+    await storage.append('log.jsonl', 'a\n');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await assert.rejects(storage.append('log.jsonl', 'b\n'), StorageError);
+  });
+
+  it('reports rejected requests as StorageError with the S3 code', async () => {
+    await assert.rejects(createStorage({ secretAccessKey: 'wrong' }).put('a.txt', 'x'), (error) => {
+      assert.ok(error instanceof StorageError);
+      assert.deepEqual([error.status, error.code, error.key], [403, 'SignatureDoesNotMatch', 'a.txt']);
+      return true;
+    });
+    await assert.rejects(createStorage({ bucket: 'missing' }).put('a.txt', 'x'), /HTTP 404 NoSuchBucket/);
+  });
+
+  it('reports transport failures as StorageError', async () => {
+    const storage = createStorage({ fetch: async () => { throw new Error('connection refused'); } });
+    await assert.rejects(storage.put('a.txt', 'x'), (error) => {
+      assert.ok(error instanceof StorageError);
+      assert.equal(error.cause.message, 'connection refused');
+      return true;
+    });
+  });
+});
+
+describe('BatchProcessor storage', () => {
+  let server;
+  let s3;
+
+  before(async () => {
+    server = await startMockServer();
+    s3 = await startMockS3Server({ accessKeyId: 'test-key', secretAccessKey: 'test-secret' });
+  });
+
+  after(async () => {
+    await server.close();
+    await s3.close();
+  });
+
+  beforeEach(() => server.reset());
+
+  const createProcessor = (storage) => new BatchProcessor({
+    accountId: 'mock-account',
+    apiToken: 'test-token',
+    baseUrl: server.baseUrl,
+    progress: 'quiet',
+    storage
+  });
+
+  it('writes outputs, results and checkpoints to the configured storage', async () => {
+    const storage = new MemoryStorage();
+    const results = await createProcessor(storage).batchScreenshots(['https://example.com'], 'out', {
+      filenameTemplate: '{index}',
+      checkpoint: true
+    });
+
+    assert.equal(results[0].filepath, 'out/1.png');
+    assert.equal(storage.objects.get('out/1.png').contentType, 'image/png');
+    assert.deepEqual(storage.keys('out/').sort(), [
+      'out/1.png', 'out/screenshot_checkpoint.jsonl', 'out/screenshot_outputs.json', 'out/screenshot_results.csv', 'out/screenshot_results.json',
+      'out/screenshot_summary.json'
+    ]);
+    assert.equal(JSON.parse(await storage.get('out/screenshot_checkpoint.jsonl')).status, 'success');
+  });
+
+  it('rejects checkpoints on storages that cannot append before sending', async () => {
+    const processor = createProcessor(new DownloadStorage());
+    await assert.rejects(processor.batchLinks(['https://example.com'], 'links', { checkpoint: true }), (error) => {
+      assert.ok(error instanceof StorageError);
+      assert.match(error.message, /DownloadStorage cannot/);
+      assert.equal(error.key, 'links/links_checkpoint.jsonl');
+      return true;
+    });
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('uploads batch outputs to S3-compatible storage', async () => {
+    const storage = new S3Storage({ endpoint: s3.url, bucket: 'outputs', accessKeyId: 'test-key', secretAccessKey: 'test-secret' });
+    await createProcessor(storage).batchExtractContent(['https://example.com'], './pages', { contentType: 'markdown', filenameTemplate: '{host}' });
+
+    assert.equal(s3.objects.get('outputs/pages/example.com.md').contentType, 'text/markdown; charset=utf-8');
+    assert.ok(s3.objects.has('outputs/pages/markdown_results.json'));
+  });
+});